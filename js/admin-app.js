@@ -45,6 +45,7 @@ async function loadEvoSDK() {
     console.error('Failed to load EvoSDK:', error);
     updateWasmStatus('error', 'Load Failed');
     appendOutput(`\nError loading SDK: ${error.message}`);
+    appendOutput('The Local network works without it.');
   }
 }
 
@@ -2,9 +2,17 @@
  * UI Handlers - Form logic and UI interactions
  */
 
-import { FORM_FIELDS } from './contract-schema.js';
-import { parseMagnetLink, isValidInfoHash, prepareDocumentData, validateDocumentData, bytesToHex, buildMagnetUri, formatImdbId, formatWorkId } from './utils.js';
-import { sdkClient } from './sdk-client.js';
+import { FORM_FIELDS, TORRENT_CONTRACT_SCHEMA } from './contract-schema.js';
+import { DOCUMENT_TYPES, getDocumentTypes, parseIdentifier, formatDocumentMeta, prepareDocumentData, validateDocumentData, documentToFormData } from './document-types.js';
+import { parseMagnetLink, isValidInfoHash, bytesToHex, buildMagnetUri, decodeByteField, parseSeasonEpisode, parseIdentityListInput, parseDapiAddressesInput, formatIdentifier } from './utils.js';
+import { sdkClient, DuplicateInfoHashError } from './sdk-client.js';
+import { parseTorrentFile } from './torrent-file.js';
+import { encodeFileList } from './file-list.js';
+import { REPORT_REASONS, formatReportReason, groupReports, collectHiddenTargets } from './moderation.js';
+import { LANGUAGES, parseLanguageList, formatLanguage } from './languages.js';
+import { MAX_TAGS, parseTagsInput } from './tags.js';
+import { parseCollectionItems } from './collections.js';
+import { BULK_MAX_CONCURRENCY, BULK_DEFAULT_CONCURRENCY, detectBulkFormat, parseBulkInput, parseColumnMapping, prepareBulkRows, summarizeBulkRows, pauseBulkJob, runBulkJob, formatBulkResults } from './bulk-import.js';
 
 /**
  * Format a document for display, converting infoHash to hex and building magnet
@@ -24,26 +32,23 @@ function formatDocumentForDisplay(doc) {
         const bytes = Uint8Array.from(atob(formatted.data.infoHash), c => c.charCodeAt(0));
         formatted.data.infoHashHex = bytesToHex(bytes);
 
-        // Build magnet URI with trackers
+        // v2 infohash for v2-only and hybrid torrents
+        const bytesV2 = decodeByteField(formatted.data.infoHashV2);
+        if (bytesV2) {
+          formatted.data.infoHashV2Hex = bytesToHex(bytesV2);
+        }
+
+        // Build magnet URI with trackers, web seeds and exact length
         const trackers = formatted.data.trackers || '';
-        formatted.data.magnetUri = buildMagnetUri(bytes, formatted.data.torrentName, trackers);
+        formatted.data.magnetUri = buildMagnetUri(bytes, formatted.data.torrentName, trackers, bytesV2, {
+          webSeeds: formatted.data.webSeeds,
+          exactLength: formatted.data.sizeBytes
+        });
       } catch (e) {
         console.warn('Could not decode infoHash:', e);
       }
     }
 
-    // Format IMDB IDs for display
-    if (formatted.data.imdbId != null) {
-      formatted.data.imdbIdFormatted = formatImdbId(formatted.data.imdbId);
-    }
-    if (formatted.data.seriesImdbId != null) {
-      formatted.data.seriesImdbIdFormatted = formatImdbId(formatted.data.seriesImdbId);
-    }
-
-    // Format Work ID for display
-    if (formatted.data.workId != null) {
-      formatted.data.workIdFormatted = formatWorkId(formatted.data.workId);
-    }
   }
 
   return formatted;
@@ -52,10 +57,29 @@ function formatDocumentForDisplay(doc) {
 // DOM Element references (populated on init)
 let elements = {};
 
+// Files from the last imported .torrent, published as a fileList after submission
+let importedFiles = null;
+
+// Document being edited from My Submissions ({ docType, documentId }), or null
+let editingDocument = null;
+
+// The identity's collections from the last load (document ID -> data)
+let ownCollections = new Map();
+
+// Checked bulk import rows and their outcomes ({ rows, paused, pauseReason }), or null
+let bulkJob = null;
+
+// Name of the file the bulk rows were loaded from (its extension picks the format)
+let bulkFileName = null;
+
+// Invalid rows listed in the output when checking (the result file has them all)
+const BULK_REPORT_LIMIT = 50;
+
 // Local storage keys
 const STORAGE_KEYS = {
   contractId: 'torrent_contract_id',
-  network: 'torrent_network'
+  network: 'torrent_network',
+  customNetwork: 'torrent_custom_network'
 };
 
 /**
@@ -66,6 +90,9 @@ export function initUI() {
   elements = {
     // Network
     networkRadios: document.querySelectorAll('input[name="network"]'),
+    customNetworkFields: document.getElementById('customNetworkFields'),
+    customAddressesInput: document.getElementById('customAddresses'),
+    customNetworkTypeSelect: document.getElementById('customNetworkType'),
 
     // Identity ID
     identityIdInput: document.getElementById('identityId'),
@@ -88,9 +115,19 @@ export function initUI() {
     magnetLinkInput: document.getElementById('magnetLink'),
     parseMagnetBtn: document.getElementById('parseMagnetBtn'),
 
+    // Torrent file import
+    torrentFileSection: document.getElementById('torrentFileSection'),
+    torrentDropZone: document.getElementById('torrentDropZone'),
+    torrentFileInput: document.getElementById('torrentFile'),
+
     // Form fields
     formFieldsSection: document.getElementById('formFieldsSection'),
     dynamicForm: document.getElementById('dynamicForm'),
+    editBanner: document.getElementById('editBanner'),
+    editBannerText: document.getElementById('editBannerText'),
+    cancelEditBtn: document.getElementById('cancelEditBtn'),
+    allowDuplicateCheckbox: document.getElementById('allowDuplicate'),
+    tagsInput: document.getElementById('tagsInput'),
 
     // Query section
     querySection: document.getElementById('querySection'),
@@ -99,6 +136,44 @@ export function initUI() {
     queryValue: document.getElementById('queryValue'),
     queryLimit: document.getElementById('queryLimit'),
 
+    // Moderation section
+    moderationSection: document.getElementById('moderationSection'),
+    moderationTargetInput: document.getElementById('moderationTarget'),
+    moderationDecisionSelect: document.getElementById('moderationDecision'),
+    moderationReasonSelect: document.getElementById('moderationReason'),
+    moderationNoteInput: document.getElementById('moderationNote'),
+    // My submissions section
+    submissionsSection: document.getElementById('submissionsSection'),
+    submissionsList: document.getElementById('submissionsList'),
+
+    // Trust list section
+    trustListSection: document.getElementById('trustListSection'),
+    trustListNameInput: document.getElementById('trustListName'),
+    trustListIdentitiesInput: document.getElementById('trustListIdentities'),
+
+    // Collection section
+    collectionSection: document.getElementById('collectionSection'),
+    collectionSelect: document.getElementById('collectionSelect'),
+    loadCollectionsBtn: document.getElementById('loadCollectionsBtn'),
+    collectionTitleInput: document.getElementById('collectionTitle'),
+    collectionDescriptionInput: document.getElementById('collectionDescription'),
+    collectionItemsLabel: document.getElementById('collectionItemsLabel'),
+    collectionItemsInput: document.getElementById('collectionItems'),
+
+    // Bulk import section
+    bulkSection: document.getElementById('bulkSection'),
+    bulkDropZone: document.getElementById('bulkDropZone'),
+    bulkFileInput: document.getElementById('bulkFile'),
+    bulkInput: document.getElementById('bulkInput'),
+    bulkDocumentTypeSelect: document.getElementById('bulkDocumentType'),
+    bulkMappingInput: document.getElementById('bulkMapping'),
+    bulkConcurrencyInput: document.getElementById('bulkConcurrency'),
+    bulkProgress: document.getElementById('bulkProgress'),
+    bulkProgressBar: document.getElementById('bulkProgressBar'),
+    bulkProgressText: document.getElementById('bulkProgressText'),
+    bulkPauseBtn: document.getElementById('bulkPauseBtn'),
+    bulkDownloadBtn: document.getElementById('bulkDownloadBtn'),
+
     // Execute
     executeBtn: document.getElementById('executeBtn'),
     executeBtnText: document.getElementById('executeBtnText'),
@@ -114,6 +189,19 @@ export function initUI() {
     networkStatus: document.getElementById('networkStatus')
   };
 
+  // Populate document types from the registry
+  populateDocumentTypes();
+
+  // Bulk rows can also take their type from a column
+  Object.entries(DOCUMENT_TYPES).forEach(([docType, def]) => {
+    addQueryOption(elements.bulkDocumentTypeSelect, docType, def.label);
+  });
+
+  // Populate moderation reasons
+  Object.entries(REPORT_REASONS).forEach(([code, label]) => {
+    addQueryOption(elements.moderationReasonSelect, code, label);
+  });
+
   // Load saved values from localStorage
   loadSavedState();
 
@@ -134,6 +222,17 @@ function loadSavedState() {
     elements.contractIdInput.value = savedContractId;
   }
 
+  // Load saved custom network nodes
+  try {
+    const savedCustom = JSON.parse(localStorage.getItem(STORAGE_KEYS.customNetwork) || 'null');
+    if (savedCustom) {
+      elements.customAddressesInput.value = (savedCustom.addresses || []).join('\n');
+      elements.customNetworkTypeSelect.value = savedCustom.network || 'local';
+    }
+  } catch (e) {
+    console.warn('Ignoring malformed custom network settings:', e);
+  }
+
   // Load saved network preference
   const savedNetwork = localStorage.getItem(STORAGE_KEYS.network);
   if (savedNetwork) {
@@ -141,10 +240,26 @@ function loadSavedState() {
     if (radio) {
       radio.checked = true;
       updateNetworkStatus(savedNetwork);
+      elements.customNetworkFields.style.display = savedNetwork === 'custom' ? '' : 'none';
     }
   }
 }
 
+/**
+ * Fill the document type select from the registry
+ */
+function populateDocumentTypes() {
+  const select = elements.documentTypeSelect;
+  select.innerHTML = '';
+
+  for (const [docType, def] of Object.entries(DOCUMENT_TYPES)) {
+    const option = document.createElement('option');
+    option.value = docType;
+    option.textContent = def.label;
+    select.appendChild(option);
+  }
+}
+
 /**
  * Set up event listeners
  */
@@ -154,6 +269,11 @@ function setupEventListeners() {
     radio.addEventListener('change', onNetworkChange);
   });
 
+  // Custom network nodes are kept for the next visit
+  [elements.customAddressesInput, elements.customNetworkTypeSelect].forEach(input => {
+    input.addEventListener('change', saveCustomNetwork);
+  });
+
   // Action change
   elements.actionRadios.forEach(radio => {
     radio.addEventListener('change', onActionChange);
@@ -162,6 +282,19 @@ function setupEventListeners() {
   // Document type change
   elements.documentTypeSelect.addEventListener('change', onDocumentTypeChange);
 
+  // Leave edit mode without saving
+  elements.cancelEditBtn.addEventListener('click', () => {
+    clearEditing();
+    updateActionUI();
+  });
+
+  // Moderation: the button switches between listing reports and publishing
+  elements.moderationTargetInput.addEventListener('input', updateActionUI);
+
+  // Collections: the button switches between creating and appending
+  elements.loadCollectionsBtn.addEventListener('click', loadOwnCollections);
+  elements.collectionSelect.addEventListener('change', onCollectionSelectChange);
+
   // Parse magnet button
   elements.parseMagnetBtn.addEventListener('click', onParseMagnet);
 
@@ -170,6 +303,68 @@ function setupEventListeners() {
     setTimeout(onParseMagnet, 100);
   });
 
+  // Torrent file picker
+  elements.torrentFileInput.addEventListener('change', () => {
+    const file = elements.torrentFileInput.files[0];
+    if (file) {
+      onImportTorrentFile(file);
+    }
+    // Reset so selecting the same file again re-triggers the import
+    elements.torrentFileInput.value = '';
+  });
+
+  // Torrent file drag-and-drop
+  elements.torrentDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    elements.torrentDropZone.classList.add('drag-over');
+  });
+  elements.torrentDropZone.addEventListener('dragleave', () => {
+    elements.torrentDropZone.classList.remove('drag-over');
+  });
+  elements.torrentDropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    elements.torrentDropZone.classList.remove('drag-over');
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      onImportTorrentFile(file);
+    }
+  });
+
+  // Bulk import: changed input needs checking again
+  elements.bulkInput.addEventListener('input', () => {
+    bulkFileName = null;
+    onBulkInputChange();
+  });
+  elements.bulkMappingInput.addEventListener('input', onBulkInputChange);
+  elements.bulkDocumentTypeSelect.addEventListener('change', onBulkInputChange);
+
+  // Bulk import file picker and drag-and-drop
+  elements.bulkFileInput.addEventListener('change', () => {
+    const file = elements.bulkFileInput.files[0];
+    if (file) {
+      onLoadBulkFile(file);
+    }
+    elements.bulkFileInput.value = '';
+  });
+  elements.bulkDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    elements.bulkDropZone.classList.add('drag-over');
+  });
+  elements.bulkDropZone.addEventListener('dragleave', () => {
+    elements.bulkDropZone.classList.remove('drag-over');
+  });
+  elements.bulkDropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    elements.bulkDropZone.classList.remove('drag-over');
+    const file = e.dataTransfer.files[0];
+    if (file && !elements.bulkFileInput.disabled) {
+      onLoadBulkFile(file);
+    }
+  });
+
+  elements.bulkPauseBtn.addEventListener('click', onPauseBulkImport);
+  elements.bulkDownloadBtn.addEventListener('click', onDownloadBulkResults);
+
   // Execute button
   elements.executeBtn.addEventListener('click', onExecute);
 
@@ -195,15 +390,52 @@ function onNetworkChange(e) {
   const network = e.target.value;
   localStorage.setItem(STORAGE_KEYS.network, network);
   updateNetworkStatus(network);
+  elements.customNetworkFields.style.display = network === 'custom' ? '' : 'none';
+
+  // A custom network connects once its addresses are entered (on the next action)
+  if (network === 'custom' && parseDapiAddressesInput(elements.customAddressesInput.value).addresses.length === 0) {
+    appendOutput('Enter the custom network\'s DAPI addresses');
+    return;
+  }
 
   // Reconnect SDK with new network
-  connectToNetwork(network);
+  connectToNetwork(network).catch(error => {
+    appendOutput(`\nError: ${error.message}`);
+  });
+}
+
+/**
+ * Save the custom network fields to localStorage
+ */
+function saveCustomNetwork() {
+  const { addresses } = parseDapiAddressesInput(elements.customAddressesInput.value);
+  localStorage.setItem(STORAGE_KEYS.customNetwork, JSON.stringify({
+    network: elements.customNetworkTypeSelect.value,
+    addresses
+  }));
+}
+
+/**
+ * Read the custom network fields
+ * @returns {{ network: string, addresses: string[] }}
+ * @throws {Error} If there are no addresses or any is malformed
+ */
+function readCustomNetwork() {
+  const { addresses, invalid } = parseDapiAddressesInput(elements.customAddressesInput.value);
+  if (invalid.length > 0) {
+    throw new Error(`Not valid DAPI addresses: ${invalid.join(', ')}`);
+  }
+  if (addresses.length === 0) {
+    throw new Error('Enter at least one DAPI address for the custom network');
+  }
+  return { network: elements.customNetworkTypeSelect.value, addresses };
 }
 
 /**
  * Handle action change (register vs submit)
  */
 function onActionChange() {
+  clearEditing();
   updateActionUI();
 }
 
@@ -211,6 +443,7 @@ function onActionChange() {
  * Handle document type change
  */
 function onDocumentTypeChange() {
+  clearEditing();
   const docType = elements.documentTypeSelect.value;
   generateFormFields(docType);
   updateQueryFieldOptions(docType);
@@ -223,21 +456,22 @@ function updateActionUI() {
   const action = document.querySelector('input[name="action"]:checked').value;
   const isSubmit = action === 'submit';
   const isQuery = action === 'query';
+  const isModerate = action === 'moderate';
 
   // Show/hide sections based on action
   elements.docTypeSection.style.display = (isSubmit || isQuery) ? 'block' : 'none';
   elements.magnetSection.style.display = isSubmit ? 'block' : 'none';
+  elements.torrentFileSection.style.display = isSubmit ? 'block' : 'none';
   elements.formFieldsSection.style.display = isSubmit ? 'block' : 'none';
   elements.querySection.style.display = isQuery ? 'block' : 'none';
+  elements.moderationSection.style.display = isModerate ? 'block' : 'none';
+  elements.submissionsSection.style.display = action === 'mine' ? 'block' : 'none';
+  elements.trustListSection.style.display = action === 'trustList' ? 'block' : 'none';
+  elements.collectionSection.style.display = action === 'collection' ? 'block' : 'none';
+  elements.bulkSection.style.display = action === 'bulk' ? 'block' : 'none';
 
   // Update button text
-  if (isSubmit) {
-    elements.executeBtnText.textContent = 'Submit Document';
-  } else if (isQuery) {
-    elements.executeBtnText.textContent = 'Query Documents';
-  } else {
-    elements.executeBtnText.textContent = 'Register Contract';
-  }
+  elements.executeBtnText.textContent = getExecuteLabel(action);
 
   // Generate form fields if submit mode
   if (isSubmit) {
@@ -252,6 +486,32 @@ function updateActionUI() {
   }
 }
 
+/**
+ * Get the execute button label for an action
+ * @param {string} action - Selected action
+ * @returns {string}
+ */
+function getExecuteLabel(action) {
+  switch (action) {
+    case 'submit':
+      return editingDocument ? 'Update Document' : 'Submit Document';
+    case 'mine':
+      return 'Load My Submissions';
+    case 'query':
+      return 'Query Documents';
+    case 'moderate':
+      return elements.moderationTargetInput.value.trim() ? 'Publish Decision' : 'Load Report Queue';
+    case 'trustList':
+      return 'Publish Trust List';
+    case 'collection':
+      return elements.collectionSelect.value ? 'Add to Collection' : 'Create Collection';
+    case 'bulk':
+      return getBulkExecuteLabel();
+    default:
+      return 'Register Contract';
+  }
+}
+
 /**
  * Update query field options based on document type
  * @param {string} docType - Document type
@@ -266,22 +526,10 @@ function updateQueryFieldOptions(docType) {
   allOption.textContent = 'All (no filter)';
   queryField.appendChild(allOption);
 
-  // Add type-specific query fields
-  switch (docType) {
-    case 'movie':
-      addQueryOption(queryField, 'imdbId', 'IMDB ID');
-      break;
-    case 'tv':
-      addQueryOption(queryField, 'seriesImdbId', 'Series IMDB ID');
-      break;
-    case 'book':
-      addQueryOption(queryField, 'workId', 'OpenLibrary Work ID');
-      break;
-    case 'iso':
-    case 'other':
-      addQueryOption(queryField, 'title', 'Title');
-      break;
-  }
+  // Add the type's identifier field, labelled as in the submit form
+  const { field } = DOCUMENT_TYPES[docType].identifier;
+  const formField = FORM_FIELDS[docType].find(f => f.name === field);
+  addQueryOption(queryField, field, formField ? formField.label : field);
 }
 
 /**
@@ -316,6 +564,14 @@ function generateFormFields(docType) {
     if (field.type === 'textarea') {
       input = document.createElement('textarea');
       input.rows = 4;
+    } else if (field.type === 'languages') {
+      // Multi-select of ISO 639 codes, stored comma-separated
+      input = document.createElement('select');
+      input.multiple = true;
+      input.size = 5;
+      Object.entries(LANGUAGES).forEach(([code, name]) => {
+        addQueryOption(input, code, `${name} (${code})`);
+      });
     } else {
       input = document.createElement('input');
       input.type = field.type;
@@ -323,7 +579,7 @@ function generateFormFields(docType) {
 
     input.id = `field_${field.name}`;
     input.name = field.name;
-    input.className = 'input-field';
+    input.className = field.type === 'languages' ? 'select-field' : 'input-field';
     input.placeholder = field.placeholder || '';
 
     if (field.maxLength) input.maxLength = field.maxLength;
@@ -335,6 +591,40 @@ function generateFormFields(docType) {
     formGroup.appendChild(input);
     elements.dynamicForm.appendChild(formGroup);
   });
+
+  // Keep season/episode in sync with the release name until edited by hand
+  const torrentNameInput = document.getElementById('field_torrentName');
+  if (torrentNameInput) {
+    torrentNameInput.addEventListener('input', autoFillSeasonEpisode);
+  }
+  ['season', 'episode'].forEach(name => {
+    const input = document.getElementById(`field_${name}`);
+    if (input) {
+      input.addEventListener('input', () => {
+        input.dataset.autofilled = 'false';
+      });
+    }
+  });
+}
+
+/**
+ * Fill season/episode fields from S01E05-style patterns in the torrent name
+ * Fields the user has typed into are left alone
+ */
+function autoFillSeasonEpisode() {
+  const torrentNameInput = document.getElementById('field_torrentName');
+  if (!torrentNameInput) return;
+
+  const parsed = parseSeasonEpisode(torrentNameInput.value);
+
+  ['season', 'episode'].forEach(name => {
+    const input = document.getElementById(`field_${name}`);
+    if (!input) return;
+    if (input.value === '' || input.dataset.autofilled === 'true') {
+      input.value = parsed[name] != null ? parsed[name] : '';
+      input.dataset.autofilled = 'true';
+    }
+  });
 }
 
 /**
@@ -362,6 +652,11 @@ function onParseMagnet() {
     appendOutput('Could not parse infoHash from magnet link');
   }
 
+  if (parsed.infoHashV2) {
+    setFieldValue('infoHashV2', parsed.infoHashV2);
+    appendOutput(`Parsed v2 infoHash: ${parsed.infoHashV2}`);
+  }
+
   if (parsed.displayName) {
     // Fill torrentName field
     const torrentNameInput = document.getElementById('field_torrentName');
@@ -370,6 +665,7 @@ function onParseMagnet() {
     }
 
     appendOutput(`Parsed displayName: ${parsed.displayName}`);
+    autoFillSeasonEpisode();
   }
 
   // Fill trackers field if trackers were found
@@ -382,6 +678,94 @@ function onParseMagnet() {
     const trackerCount = parsed.trackers.split('\n').filter(t => t.length > 0).length;
     appendOutput(`Parsed ${trackerCount} tracker(s)`);
   }
+
+  if (parsed.webSeeds) {
+    setFieldValue('webSeeds', parsed.webSeeds);
+    appendOutput(`Parsed ${parsed.webSeeds.split('\n').length} web seed(s)`);
+  }
+
+  // Exact length fills the size when the magnet carries one
+  if (parsed.exactLength != null) {
+    setFieldValue('sizeBytes', parsed.exactLength);
+    appendOutput(`Parsed exact length: ${parsed.exactLength} bytes`);
+  }
+
+  // Sources and peers are not stored: xs/as usually point at short-lived
+  // caches and x.pe peers are ephemeral
+  if (parsed.exactSources.length || parsed.acceptableSources.length || parsed.peers.length) {
+    appendOutput(`Ignored ${parsed.exactSources.length} exact source(s), ${parsed.acceptableSources.length} acceptable source(s) and ${parsed.peers.length} peer address(es)`);
+  }
+}
+
+/**
+ * Handle .torrent file import
+ * @param {File} file - The dropped or selected .torrent file
+ */
+async function onImportTorrentFile(file) {
+  appendOutput(`\nImporting ${file.name}...`);
+
+  let parsed;
+  try {
+    parsed = await parseTorrentFile(await file.arrayBuffer());
+  } catch (error) {
+    appendOutput(`Could not parse torrent file: ${error.message}`);
+    return;
+  }
+
+  setFieldValue('infoHash', parsed.infoHash);
+  appendOutput(`Parsed infoHash: ${parsed.infoHash}`);
+
+  setFieldValue('infoHashV2', parsed.infoHashV2 || '');
+  if (parsed.infoHashV2) {
+    appendOutput(`Parsed v2 infoHash: ${parsed.infoHashV2} (${parsed.version})`);
+  }
+
+  if (parsed.name) {
+    setFieldValue('torrentName', parsed.name);
+    appendOutput(`Parsed name: ${parsed.name}`);
+    autoFillSeasonEpisode();
+  }
+
+  if (parsed.trackers) {
+    setFieldValue('trackers', parsed.trackers);
+    const trackerCount = parsed.trackers.split('\n').length;
+    appendOutput(`Parsed ${trackerCount} tracker(s)`);
+  }
+
+  setFieldValue('webSeeds', parsed.webSeeds);
+  if (parsed.webSeeds) {
+    appendOutput(`Parsed ${parsed.webSeeds.split('\n').length} web seed(s)`);
+  }
+
+  setFieldValue('sizeBytes', parsed.sizeBytes);
+  appendOutput(`Parsed ${parsed.files.length} file(s), ${parsed.sizeBytes} bytes total`);
+
+  importedFiles = { infoHash: parsed.infoHash, name: parsed.name, files: parsed.files };
+  appendOutput('The file list will be published after the torrent is submitted');
+}
+
+/**
+ * Set the value of a generated form field, if present for the current type
+ * @param {string} name - Field name from FORM_FIELDS
+ * @param {string|number} value - Value to set
+ */
+function setFieldValue(name, value) {
+  const input = document.getElementById(`field_${name}`);
+  if (!input) {
+    return;
+  }
+
+  if (input.multiple) {
+    const codes = parseLanguageList(value);
+    codes.filter(code => !input.querySelector(`option[value="${code}"]`))
+      .forEach(code => addQueryOption(input, code, `${formatLanguage(code)} (${code})`));
+    Array.from(input.options).forEach(option => {
+      option.selected = codes.includes(option.value);
+    });
+    return;
+  }
+
+  input.value = value;
 }
 
 /**
@@ -392,8 +776,11 @@ async function onExecute() {
   const identityId = elements.identityIdInput.value.trim();
   const privateKey = elements.privateKeyInput.value.trim();
 
-  // Query doesn't require identity/key
-  if (action !== 'query') {
+  // Queries, the report queue, listing submissions and checking bulk rows don't require identity/key
+  const isReadOnly = action === 'query' || action === 'mine' ||
+    (action === 'moderate' && !elements.moderationTargetInput.value.trim()) ||
+    (action === 'bulk' && !hasPendingBulkRows());
+  if (!isReadOnly) {
     if (!identityId) {
       appendOutput('Error: Identity ID is required');
       return;
@@ -405,6 +792,17 @@ async function onExecute() {
     }
   }
 
+  // Checking bulk rows is local parsing; it needs no network connection
+  if (action === 'bulk' && isReadOnly) {
+    try {
+      executeCheckBulkRows();
+    } catch (error) {
+      appendOutput(`\nError: ${error.message}`);
+      console.error('Execution error:', error);
+    }
+    return;
+  }
+
   // Disable button during execution
   setExecuting(true);
 
@@ -417,6 +815,20 @@ async function onExecute() {
       await executeRegisterContract(identityId, privateKey);
     } else if (action === 'query') {
       await executeQueryDocuments();
+    } else if (action === 'mine') {
+      await executeListSubmissions(identityId);
+    } else if (action === 'moderate') {
+      if (isReadOnly) {
+        await executeListReports();
+      } else {
+        await executePublishDecision(identityId, privateKey);
+      }
+    } else if (action === 'trustList') {
+      await executePublishTrustList(identityId, privateKey);
+    } else if (action === 'collection') {
+      await executePublishCollection(identityId, privateKey);
+    } else if (action === 'bulk') {
+      await executeBulkImport(identityId, privateKey);
     } else {
       await executeSubmitDocument(identityId, privateKey);
     }
@@ -435,10 +847,11 @@ async function onExecute() {
  * @param {string} privateKey - Private key WIF
  */
 async function executeRegisterContract(identityId, privateKey) {
-  appendOutput('\n--- Registering Contract (v2) ---\n');
+  appendOutput('\n--- Registering Contract (v4) ---\n');
   appendOutput(`Identity ID: ${identityId}`);
-  appendOutput('Building contract definition with 5 document types...');
-  appendOutput('Document types: movie, tv, book, iso, other\n');
+  const documentTypes = Object.keys(TORRENT_CONTRACT_SCHEMA);
+  appendOutput(`Building contract definition with ${documentTypes.length} document types...`);
+  appendOutput(`Document types: ${documentTypes.join(', ')}\n`);
 
   const { contractId, result } = await sdkClient.registerContract(identityId, privateKey);
 
@@ -464,6 +877,11 @@ async function executeSubmitDocument(identityId, privateKey) {
     throw new Error('Contract ID is required. Register a contract first.');
   }
 
+  if (editingDocument) {
+    await executeUpdateDocument(identityId, privateKey);
+    return;
+  }
+
   appendOutput(`\n--- Submitting ${docType.toUpperCase()} Document ---\n`);
   appendOutput(`Identity ID: ${identityId}`);
   appendOutput(`Contract ID: ${contractId}\n`);
@@ -481,166 +899,977 @@ async function executeSubmitDocument(identityId, privateKey) {
   if (!validation.valid) {
     throw new Error(`Validation failed:\n- ${validation.errors.join('\n- ')}`);
   }
+  const tags = readTagsInput();
 
-  appendOutput('Validation passed. Submitting to Platform...\n');
+  appendOutput('Validation passed. Checking for existing documents with this infohash...\n');
 
-  const { documentId, result } = await sdkClient.submitDocument(
+  const allowDuplicate = elements.allowDuplicateCheckbox.checked;
+  const { documentId, result, duplicates } = await sdkClient.submitDocument(
     contractId,
     docType,
     identityId,
     preparedData,
-    privateKey
+    privateKey,
+    { allowDuplicate }
   );
 
+  if (duplicates.length > 0) {
+    appendOutput('Warning: this infohash was already submitted as:');
+    duplicates.forEach(d => appendOutput(`  - ${d.documentType} document ${d.documentId}`));
+  }
+
   appendOutput(`\nDocument submitted successfully!`);
   appendOutput(`Document ID: ${documentId}`);
   appendOutput(`\nFull result:\n${JSON.stringify(result, null, 2)}`);
+
+  await publishTags(contractId, identityId, privateKey, documentId, docType, tags);
+
+  await publishImportedFileList(contractId, identityId, privateKey, preparedData.infoHash);
 }
 
 /**
- * Execute document query
+ * Execute an update of the document being edited
+ * @param {string} identityId - Identity ID (must own the document)
+ * @param {string} privateKey - Private key WIF
  */
-async function executeQueryDocuments() {
+async function executeUpdateDocument(identityId, privateKey) {
   const contractId = elements.contractIdInput.value.trim();
-  const docType = elements.documentTypeSelect.value;
-  const queryField = elements.queryField.value;
-  const queryOperator = elements.queryOperator.value;
-  const queryValue = elements.queryValue.value.trim();
-  const limit = parseInt(elements.queryLimit.value, 10) || 10;
+  const { docType, documentId } = editingDocument;
 
-  if (!contractId) {
-    throw new Error('Contract ID is required for querying');
+  appendOutput(`\n--- Updating ${docType.toUpperCase()} Document ---\n`);
+  appendOutput(`Document ID: ${documentId}`);
+
+  const preparedData = prepareDocumentData(docType, collectFormData());
+  appendOutput(`Prepared data:\n${JSON.stringify(preparedData, null, 2)}\n`);
+
+  const validation = validateDocumentData(docType, preparedData);
+  if (!validation.valid) {
+    throw new Error(`Validation failed:\n- ${validation.errors.join('\n- ')}`);
   }
+  const tags = readTagsInput();
 
-  appendOutput(`\n--- Querying ${docType.toUpperCase()} Documents ---\n`);
-  appendOutput(`Contract ID: ${contractId}`);
-  appendOutput(`Document Type: ${docType}`);
-  appendOutput(`Limit: ${limit}`);
+  const allowDuplicate = elements.allowDuplicateCheckbox.checked;
+  const { duplicates } = await sdkClient.updateDocument(
+    contractId,
+    docType,
+    documentId,
+    identityId,
+    preparedData,
+    privateKey,
+    { allowDuplicate }
+  );
 
-  // Build query options
-  const queryOptions = { limit };
+  if (duplicates.length > 0) {
+    appendOutput('Warning: this infohash was already submitted as:');
+    duplicates.forEach(d => appendOutput(`  - ${d.documentType} document ${d.documentId}`));
+  }
 
-  if (queryField && queryValue) {
-    // Parse the query value based on field type
-    let parsedValue = queryValue;
+  appendOutput('\nDocument updated successfully!');
 
-    // Convert IMDB ID format to integer for querying
-    if (queryField === 'imdbId' || queryField === 'seriesImdbId') {
-      const match = queryValue.match(/^tt(\d+)$/i);
-      if (match) {
-        parsedValue = parseInt(match[1], 10);
-      } else if (/^\d+$/.test(queryValue)) {
-        parsedValue = parseInt(queryValue, 10);
-      }
-    }
+  await publishTags(contractId, identityId, privateKey, documentId, docType, tags);
 
-    // Convert Work ID format to integer for querying
-    if (queryField === 'workId') {
-      const match = queryValue.match(/^OL(\d+)W$/i);
-      if (match) {
-        parsedValue = parseInt(match[1], 10);
-      } else if (/^\d+$/.test(queryValue)) {
-        parsedValue = parseInt(queryValue, 10);
-      }
-    }
+  clearEditing();
+  updateActionUI();
 
-    queryOptions.where = [[queryField, queryOperator, parsedValue]];
-    appendOutput(`Filter: ${queryField} ${queryOperator} "${queryValue}" (parsed: ${parsedValue})`);
-  } else {
-    appendOutput('Filter: None (fetching all)');
-  }
+  await publishImportedFileList(contractId, identityId, privateKey, preparedData.infoHash);
+}
 
-  appendOutput('\nQuerying Platform...\n');
+/**
+ * List every torrent document owned by the identity, with edit/delete buttons
+ * @param {string} identityId - Identity ID
+ */
+async function executeListSubmissions(identityId) {
+  const contractId = elements.contractIdInput.value.trim();
 
-  const documents = await sdkClient.queryDocuments(contractId, docType, queryOptions);
+  if (!contractId) {
+    throw new Error('Contract ID is required to list submissions');
+  }
 
-  if (!documents || documents.length === 0) {
-    appendOutput('No documents found.');
-    return;
+  if (!identityId) {
+    throw new Error('Identity ID is required to list submissions');
   }
 
-  appendOutput(`Found ${documents.length} document(s):\n`);
+  appendOutput('\n--- My Submissions ---\n');
+  appendOutput(`Identity ID: ${identityId}`);
 
-  // Display each document with formatted data and magnet link
-  documents.forEach((doc, index) => {
-    const formatted = formatDocumentForDisplay(doc);
-    appendOutput(`\n--- Document ${index + 1} ---`);
-    appendOutput(`ID: ${formatted.id}`);
+  elements.submissionsList.innerHTML = '';
+  let total = 0;
 
-    // Display type-specific info
-    if (formatted.data?.imdbIdFormatted) {
-      appendOutput(`IMDB: ${formatted.data.imdbIdFormatted}`);
-    }
-    if (formatted.data?.seriesImdbIdFormatted) {
-      appendOutput(`Series IMDB: ${formatted.data.seriesImdbIdFormatted}`);
-    }
-    if (formatted.data?.workIdFormatted) {
-      appendOutput(`OpenLibrary Work: ${formatted.data.workIdFormatted}`);
-    }
-    if (formatted.data?.title) {
-      appendOutput(`Title: ${formatted.data.title}`);
+  for (const docType of getDocumentTypes()) {
+    const documents = await sdkClient.getDocumentsByOwner(contractId, docType, identityId, { limit: 100 });
+    total += documents.length;
+
+    if (documents.length > 0) {
+      appendOutput(`${DOCUMENT_TYPES[docType].label}: ${documents.length} document(s)${documents.length === 100 ? ' (first 100 shown)' : ''}`);
     }
 
-    appendOutput(`Torrent: ${formatted.data?.torrentName || 'N/A'}`);
+    documents.forEach(doc => {
+      elements.submissionsList.appendChild(createSubmissionRow(docType, doc));
+    });
+  }
 
-    if (formatted.data?.infoHashHex) {
-      appendOutput(`InfoHash: ${formatted.data.infoHashHex}`);
-    }
+  if (total === 0) {
+    appendOutput('No documents found for this identity.');
+    elements.submissionsList.innerHTML = '<small>No submissions</small>';
+  }
+}
 
-    if (formatted.data?.trackers && formatted.data.trackers.length > 0) {
-      const trackerCount = formatted.data.trackers.split('\n').filter(t => t.length > 0).length;
-      appendOutput(`Trackers: ${trackerCount}`);
+/**
+ * Build a My Submissions row
+ * @param {string} docType - Document type
+ * @param {object} doc - Document from query
+ * @returns {HTMLElement}
+ */
+function createSubmissionRow(docType, doc) {
+  const documentId = doc.$id || doc.id;
+  const data = doc.data || doc;
+
+  const row = document.createElement('div');
+  row.className = 'submission-row';
+
+  const info = document.createElement('div');
+  info.className = 'submission-info';
+  const name = document.createElement('strong');
+  name.textContent = data.torrentName || 'Unknown';
+  const meta = document.createElement('small');
+  meta.textContent = `${DOCUMENT_TYPES[docType].label} · ${documentId}`;
+  info.append(name, meta);
+
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.className = 'btn btn-small';
+  editBtn.textContent = 'Edit';
+  editBtn.addEventListener('click', () => startEditing(docType, doc));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.className = 'btn btn-small btn-danger';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => onDeleteSubmission(row, docType, documentId, data.torrentName));
+
+  const collectBtn = document.createElement('button');
+  collectBtn.type = 'button';
+  collectBtn.className = 'btn btn-small';
+  collectBtn.textContent = 'Collect';
+  collectBtn.title = 'Add to a collection';
+  collectBtn.addEventListener('click', () => addToCollectionForm(documentId));
+
+  // Publishes the listing from the .torrent, e.g. after an interrupted upload
+  const filesInput = document.createElement('input');
+  filesInput.type = 'file';
+  filesInput.accept = '.torrent,application/x-bittorrent';
+  filesInput.hidden = true;
+  filesInput.addEventListener('change', () => {
+    const file = filesInput.files[0];
+    if (file) {
+      onPublishSubmissionFileList(row, doc, file);
     }
+    filesInput.value = '';
+  });
 
-    if (formatted.data?.magnetUri) {
-      appendOutput(`\nMagnet Link:\n${formatted.data.magnetUri}`);
-    }
+  const filesBtn = document.createElement('button');
+  filesBtn.type = 'button';
+  filesBtn.className = 'btn btn-small';
+  filesBtn.textContent = 'Files';
+  filesBtn.title = 'Publish the file list from the .torrent';
+  filesBtn.addEventListener('click', () => filesInput.click());
 
-    appendOutput(`\nFull data:\n${JSON.stringify(formatted.data, null, 2)}`);
-  });
+  row.append(info, editBtn, collectBtn, filesBtn, filesInput, deleteBtn);
+  return row;
 }
 
 /**
- * Collect form data from dynamic fields
- * @returns {object} Form data object
+ * Switch to the collection form with a document added to its items
+ * @param {string} documentId - Document ID
  */
-function collectFormData() {
-  const data = {};
-  const inputs = elements.dynamicForm.querySelectorAll('input, textarea');
+function addToCollectionForm(documentId) {
+  document.querySelector('input[name="action"][value="collection"]').checked = true;
+  onActionChange();
 
-  inputs.forEach(input => {
-    const value = input.value.trim();
-    if (value !== '') {
-      data[input.name] = value;
-    }
+  const current = elements.collectionItemsInput.value.trim();
+  if (!current.split(/\s+/).includes(documentId)) {
+    elements.collectionItemsInput.value = current ? `${current}\n${documentId}` : documentId;
+  }
+}
+
+/**
+ * Switch to the submit form, pre-filled with a document for editing
+ * @param {string} docType - Document type
+ * @param {object} doc - Document from query
+ */
+function startEditing(docType, doc) {
+  const documentId = doc.$id || doc.id;
+
+  document.querySelector('input[name="action"][value="submit"]').checked = true;
+  elements.documentTypeSelect.value = docType;
+  editingDocument = { docType, documentId };
+  importedFiles = null;
+  updateActionUI();
+
+  Object.entries(documentToFormData(docType, doc.data || doc)).forEach(([name, value]) => {
+    setFieldValue(name, value);
   });
+  loadEditingTags(documentId);
 
-  return data;
+  elements.documentTypeSelect.disabled = true;
+  elements.editBannerText.textContent = `Editing ${DOCUMENT_TYPES[docType].label} document ${documentId}`;
+  elements.editBanner.style.display = 'flex';
+  appendOutput(`\nEditing ${docType} document ${documentId}. Change the fields and click Update Document.`);
 }
 
 /**
- * Connect to Dash Platform network
- * @param {string} network - Network name
+ * Fill the tags input with the identity's tags on the document being edited
+ * @param {string} documentId - Document ID
  */
-async function connectToNetwork(network) {
-  if (sdkClient.connected && sdkClient.network === network) {
-    return; // Already connected
-  }
-
-  updateSdkStatus('loading', 'Connecting...');
+async function loadEditingTags(documentId) {
+  const contractId = elements.contractIdInput.value.trim();
+  const identityId = elements.identityIdInput.value.trim();
+  elements.tagsInput.value = '';
 
   try {
-    await sdkClient.connect(network);
-    updateSdkStatus('connected', 'Connected');
+    const tags = (await sdkClient.getTagsForTargets(contractId, [documentId]))
+      .filter(doc => formatIdentifier(doc.$ownerId || doc.ownerId) === identityId)
+      .map(doc => (doc.data || doc).name);
+
+    // Only fill if the same document is still being edited
+    if (editingDocument && editingDocument.documentId === documentId) {
+      elements.tagsInput.value = tags.join(', ');
+    }
   } catch (error) {
-    updateSdkStatus('error', error.message);
-    throw error;
+    appendOutput(`Could not load tags: ${error.message}`);
   }
 }
 
 /**
- * Update SDK status display
- * @param {string} status - Status type
+ * Leave edit mode (callers refresh the action UI)
+ */
+function clearEditing() {
+  // The tags input held the edited document's tags
+  if (editingDocument) {
+    elements.tagsInput.value = '';
+  }
+
+  editingDocument = null;
+  elements.documentTypeSelect.disabled = false;
+  elements.editBanner.style.display = 'none';
+}
+
+/**
+ * Delete a submission after confirmation
+ * @param {HTMLElement} row - The submission row
+ * @param {string} docType - Document type
+ * @param {string} documentId - Document ID
+ * @param {string} torrentName - Name shown in the confirmation
+ */
+async function onDeleteSubmission(row, docType, documentId, torrentName) {
+  const contractId = elements.contractIdInput.value.trim();
+  const identityId = elements.identityIdInput.value.trim();
+  const privateKey = elements.privateKeyInput.value.trim();
+
+  if (!identityId || !privateKey) {
+    appendOutput('Error: Identity ID and private key are required to delete');
+    return;
+  }
+
+  if (!confirm(`Delete "${torrentName}"? This cannot be undone.`)) {
+    return;
+  }
+
+  appendOutput(`\n--- Deleting ${docType.toUpperCase()} Document ---\n`);
+  appendOutput(`Document ID: ${documentId}`);
+
+  row.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+  try {
+    await sdkClient.deleteDocument(contractId, docType, documentId, identityId, privateKey);
+    appendOutput('Document deleted.');
+    row.remove();
+
+    if (editingDocument && editingDocument.documentId === documentId) {
+      clearEditing();
+      updateActionUI();
+    }
+  } catch (error) {
+    appendOutput(`Error: ${error.message}`);
+    row.querySelectorAll('button').forEach(button => { button.disabled = false; });
+  }
+}
+
+/**
+ * Read and check the tags input
+ * @returns {string[]} Normalised tags
+ */
+function readTagsInput() {
+  const { tags, invalid } = parseTagsInput(elements.tagsInput.value);
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid tags: ${invalid.join(', ')}`);
+  }
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`Too many tags (${tags.length}, max ${MAX_TAGS})`);
+  }
+
+  return tags;
+}
+
+/**
+ * Make the identity's tags on a just-submitted or updated document match the input
+ * @param {string} contractId - Contract ID
+ * @param {string} identityId - Identity ID
+ * @param {string} privateKey - Private key WIF
+ * @param {string} documentId - Tagged document ID
+ * @param {string} docType - Document type
+ * @param {string[]} tags - Normalised tags
+ */
+async function publishTags(contractId, identityId, privateKey, documentId, docType, tags) {
+  // New documents have no tags yet, so there is nothing to do without input
+  if (tags.length === 0 && !editingDocument) {
+    return;
+  }
+
+  try {
+    const { added, removed } = await sdkClient.setTags(contractId, identityId, documentId, docType, tags, privateKey);
+    if (added.length > 0) {
+      appendOutput(`Tags added: ${added.join(', ')}`);
+    }
+    if (removed.length > 0) {
+      appendOutput(`Tags removed: ${removed.join(', ')}`);
+    }
+  } catch (error) {
+    appendOutput(`Could not update tags: ${error.message}`);
+  }
+}
+
+/**
+ * Publish the imported .torrent's file list for a submitted torrent
+ * Skipped when the submitted infohash doesn't match the imported file
+ * @param {string} contractId - Contract ID
+ * @param {string} identityId - Identity ID
+ * @param {string} privateKey - Private key WIF
+ * @param {number[]} infoHash - Submitted infohash bytes
+ */
+async function publishImportedFileList(contractId, identityId, privateKey, infoHash) {
+  if (!importedFiles || importedFiles.infoHash !== bytesToHex(new Uint8Array(infoHash))) {
+    return;
+  }
+
+  try {
+    const chunks = encodeFileList(importedFiles.files, importedFiles.name);
+    appendOutput(`\nPublishing file list (${importedFiles.files.length} file(s) in ${chunks.length} document(s))...`);
+
+    const { documentIds, skipped } = await sdkClient.submitFileList(contractId, identityId, infoHash, chunks, privateKey);
+    if (skipped > 0) {
+      appendOutput(`${skipped} document(s) were already published and were skipped`);
+    }
+    appendOutput(`File list published: ${documentIds.join(', ')}`);
+    importedFiles = null;
+  } catch (error) {
+    appendOutput(`Could not publish file list: ${error.message}`);
+    appendOutput('Finish it from My Submissions: Files, then choose the same .torrent');
+  }
+}
+
+/**
+ * Publish (or finish publishing) the file list of a submitted torrent from its .torrent file
+ * @param {HTMLElement} row - The submission row
+ * @param {object} doc - Torrent document from query
+ * @param {File} file - The selected .torrent file
+ */
+async function onPublishSubmissionFileList(row, doc, file) {
+  const contractId = elements.contractIdInput.value.trim();
+  const identityId = elements.identityIdInput.value.trim();
+  const privateKey = elements.privateKeyInput.value.trim();
+
+  if (!identityId || !privateKey) {
+    appendOutput('Error: Identity ID and private key are required to publish a file list');
+    return;
+  }
+
+  const infoHash = decodeByteField((doc.data || doc).infoHash);
+  let parsed;
+  try {
+    parsed = await parseTorrentFile(await file.arrayBuffer());
+  } catch (error) {
+    appendOutput(`\nCould not parse torrent file: ${error.message}`);
+    return;
+  }
+  if (!infoHash || parsed.infoHash !== bytesToHex(infoHash)) {
+    appendOutput(`\nError: ${file.name} is not this torrent (infohash ${parsed.infoHash})`);
+    return;
+  }
+
+  row.querySelectorAll('button').forEach(button => { button.disabled = true; });
+  importedFiles = { infoHash: parsed.infoHash, name: parsed.name, files: parsed.files };
+  try {
+    await publishImportedFileList(contractId, identityId, privateKey, Array.from(infoHash));
+  } finally {
+    row.querySelectorAll('button').forEach(button => { button.disabled = false; });
+  }
+}
+
+/**
+ * List reports grouped by target, with the contract owner's current decisions
+ */
+async function executeListReports() {
+  const contractId = elements.contractIdInput.value.trim();
+  if (!contractId) {
+    throw new Error('Contract ID is required for moderation');
+  }
+
+  appendOutput('\n--- Moderation Queue ---\n');
+
+  const moderatorId = await sdkClient.getContractOwnerId(contractId);
+  appendOutput(`Moderator (contract owner): ${moderatorId}`);
+
+  const reports = await sdkClient.getReports(contractId);
+  const groups = groupReports(reports);
+
+  if (groups.length === 0) {
+    appendOutput('No reports.');
+    return;
+  }
+
+  const decisions = await sdkClient.getModerationDecisions(contractId, moderatorId, groups.slice(0, 100).map(g => g.targetId));
+  const hidden = collectHiddenTargets(decisions);
+
+  appendOutput(`${reports.length} report(s) on ${groups.length} document(s):`);
+
+  groups.forEach(group => {
+    const status = hidden.has(group.targetId) ? ' [HIDDEN]' : '';
+    appendOutput(`\n${group.targetId} (${group.targetType}): ${group.count} report(s)${status}`);
+
+    const reasons = Object.entries(group.reasons)
+      .map(([code, count]) => `${formatReportReason(Number(code))}: ${count}`)
+      .join(', ');
+    appendOutput(`  Reasons: ${reasons}`);
+
+    group.notes.forEach(note => appendOutput(`  - "${note}"`));
+  });
+
+  appendOutput('\nEnter a target document ID above to hide or unhide it.');
+}
+
+/**
+ * Publish a hide/unhide decision for the target document
+ * @param {string} identityId - Identity ID (should be the contract owner)
+ * @param {string} privateKey - Private key WIF
+ */
+async function executePublishDecision(identityId, privateKey) {
+  const contractId = elements.contractIdInput.value.trim();
+  const targetId = elements.moderationTargetInput.value.trim();
+  const hidden = elements.moderationDecisionSelect.value === 'hide';
+  const reason = parseInt(elements.moderationReasonSelect.value, 10) || null;
+  const note = elements.moderationNoteInput.value.trim();
+
+  if (!contractId) {
+    throw new Error('Contract ID is required for moderation');
+  }
+
+  appendOutput(`\n--- ${hidden ? 'Hiding' : 'Unhiding'} Document ---\n`);
+  appendOutput(`Target: ${targetId}`);
+
+  const moderatorId = await sdkClient.getContractOwnerId(contractId);
+  if (moderatorId !== identityId) {
+    appendOutput(`Warning: ${identityId} is not the contract owner (${moderatorId}); browse will ignore this decision.`);
+  }
+
+  const documentId = await sdkClient.publishModerationDecision(
+    contractId,
+    identityId,
+    targetId,
+    { hidden, reason, note },
+    privateKey
+  );
+
+  appendOutput(`\nDecision published: ${documentId}`);
+}
+
+/**
+ * Execute trust list publication
+ * @param {string} identityId - Curator identity ID
+ * @param {string} privateKey - Private key WIF
+ */
+async function executePublishTrustList(identityId, privateKey) {
+  const contractId = elements.contractIdInput.value.trim();
+  const name = elements.trustListNameInput.value.trim();
+  const { identities, invalid } = parseIdentityListInput(elements.trustListIdentitiesInput.value);
+
+  if (!contractId) {
+    throw new Error('Contract ID is required to publish a trust list');
+  }
+
+  if (!name) {
+    throw new Error('List name is required');
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(`Not valid identity IDs: ${invalid.join(', ')}`);
+  }
+
+  if (identities.length === 0) {
+    throw new Error('At least one trusted identity is required');
+  }
+
+  const maxLength = TORRENT_CONTRACT_SCHEMA.trustList.properties.identities.maxLength;
+  if (identities.join('\n').length > maxLength) {
+    throw new Error(`Trust list too long (max ${maxLength} characters, about 100 identities)`);
+  }
+
+  appendOutput('\n--- Publishing Trust List ---\n');
+  appendOutput(`Name: ${name}`);
+  appendOutput(`Identities: ${identities.length}`);
+
+  const documentId = await sdkClient.publishTrustList(contractId, identityId, name, identities, privateKey);
+
+  appendOutput(`\nTrust list published: ${documentId}`);
+  appendOutput(`Browse users can import it with curator ID ${identityId}`);
+}
+
+/**
+ * Fill the collection select with the identity's collections
+ */
+async function loadOwnCollections() {
+  const contractId = elements.contractIdInput.value.trim();
+  const identityId = elements.identityIdInput.value.trim();
+
+  if (!contractId || !identityId) {
+    appendOutput('Error: Contract ID and identity ID are required to load collections');
+    return;
+  }
+
+  elements.loadCollectionsBtn.disabled = true;
+
+  try {
+    const network = document.querySelector('input[name="network"]:checked').value;
+    await connectToNetwork(network);
+
+    const collections = await sdkClient.getCollectionsByOwner(contractId, identityId);
+    ownCollections = new Map(collections.map(doc => [formatIdentifier(doc.$id || doc.id), doc.data || doc]));
+
+    elements.collectionSelect.innerHTML = '';
+    addQueryOption(elements.collectionSelect, '', 'New collection');
+    ownCollections.forEach((data, documentId) => addQueryOption(elements.collectionSelect, documentId, data.title));
+
+    appendOutput(`Loaded ${collections.length} collection(s)`);
+  } catch (error) {
+    appendOutput(`Error: ${error.message}`);
+  } finally {
+    elements.loadCollectionsBtn.disabled = false;
+    onCollectionSelectChange();
+  }
+}
+
+/**
+ * Fill title and description from the selected collection (or clear them for a new one)
+ */
+function onCollectionSelectChange() {
+  const data = ownCollections.get(elements.collectionSelect.value);
+
+  elements.collectionTitleInput.value = data ? data.title : '';
+  elements.collectionDescriptionInput.value = data ? (data.description || '') : '';
+  elements.collectionItemsLabel.textContent = data ? 'Items to Add' : 'Items';
+
+  updateActionUI();
+}
+
+/**
+ * Execute collection creation, or appending to the selected collection
+ * @param {string} identityId - Publisher identity ID
+ * @param {string} privateKey - Private key WIF
+ */
+async function executePublishCollection(identityId, privateKey) {
+  const contractId = elements.contractIdInput.value.trim();
+  let collectionId = elements.collectionSelect.value;
+  const title = elements.collectionTitleInput.value.trim();
+  const description = elements.collectionDescriptionInput.value.trim();
+  const { items, invalid } = parseCollectionItems(elements.collectionItemsInput.value);
+
+  if (!contractId) {
+    throw new Error('Contract ID is required to publish a collection');
+  }
+
+  if (!title) {
+    throw new Error('Collection title is required');
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(`Not document IDs, infohashes or magnet links: ${invalid.join(', ')}`);
+  }
+
+  if (collectionId) {
+    appendOutput('\n--- Adding to Collection ---\n');
+    appendOutput(`Collection: ${collectionId}`);
+    appendOutput(`Items: ${items.length}`);
+
+    const { added, total } = await sdkClient.appendToCollection(contractId, identityId, collectionId,
+      { title, description, items }, privateKey);
+
+    ownCollections.set(collectionId, { ...ownCollections.get(collectionId), title, description });
+    elements.collectionSelect.selectedOptions[0].textContent = title;
+    appendOutput(`\nAdded ${added.length} item(s); the collection now holds ${total}`);
+  } else {
+    if (items.length === 0) {
+      throw new Error('At least one item is required');
+    }
+
+    appendOutput('\n--- Creating Collection ---\n');
+    appendOutput(`Title: ${title}`);
+    appendOutput(`Items: ${items.length}`);
+
+    collectionId = await sdkClient.createCollection(contractId, identityId, { title, description, items }, privateKey);
+
+    // Further items append to the new collection
+    ownCollections.set(collectionId, { title, description });
+    addQueryOption(elements.collectionSelect, collectionId, title);
+    elements.collectionSelect.value = collectionId;
+    onCollectionSelectChange();
+    appendOutput(`\nCollection published: ${collectionId}`);
+  }
+
+  elements.collectionItemsInput.value = '';
+  appendOutput(`Browse link: ${new URL(`index.html#collection=${collectionId}`, window.location.href)}`);
+}
+
+/**
+ * Load bulk rows from a file into the rows input
+ * @param {File} file - The dropped or selected file
+ */
+async function onLoadBulkFile(file) {
+  try {
+    elements.bulkInput.value = await file.text();
+  } catch (error) {
+    appendOutput(`\nCould not read ${file.name}: ${error.message}`);
+    return;
+  }
+  bulkFileName = file.name;
+  appendOutput(`\nLoaded ${file.name} for bulk import`);
+  onBulkInputChange();
+}
+
+/**
+ * Drop the checked rows when the bulk input changes
+ */
+function onBulkInputChange() {
+  bulkJob = null;
+  updateBulkProgress();
+  elements.executeBtnText.textContent = getExecuteLabel('bulk');
+}
+
+/**
+ * Check whether the bulk job has rows left to submit (ready, or failed last run)
+ * @returns {boolean}
+ */
+function hasPendingBulkRows() {
+  if (!bulkJob) {
+    return false;
+  }
+  const counts = summarizeBulkRows(bulkJob.rows);
+  return counts.ready + counts.failed > 0;
+}
+
+/**
+ * Get the execute button label for bulk import: check, submit or resume
+ * @returns {string}
+ */
+function getBulkExecuteLabel() {
+  if (!hasPendingBulkRows()) {
+    return 'Check Rows';
+  }
+  const counts = summarizeBulkRows(bulkJob.rows);
+  const pending = counts.ready + counts.failed;
+  return counts.submitted + counts.exists + counts.failed > 0
+    ? `Resume Import (${pending} left)`
+    : `Submit ${pending} Row${pending === 1 ? '' : 's'}`;
+}
+
+/**
+ * Parse and check the bulk rows (nothing is submitted)
+ */
+function executeCheckBulkRows() {
+  const text = elements.bulkInput.value;
+  if (!text.trim()) {
+    throw new Error('Paste rows or choose a file to import');
+  }
+
+  const { mapping, invalid } = parseColumnMapping(elements.bulkMappingInput.value);
+  if (invalid.length > 0) {
+    throw new Error(`Unknown column mapping: ${invalid.join(', ')}`);
+  }
+
+  const format = detectBulkFormat(text, bulkFileName || '');
+  appendOutput(`\n--- Checking Bulk Import (${format.toUpperCase()}) ---\n`);
+
+  const docType = elements.bulkDocumentTypeSelect.value || null;
+  const { rows, ignoredColumns } = prepareBulkRows(parseBulkInput(text, format), { docType, mapping });
+  bulkJob = { rows, paused: false, pauseReason: null };
+
+  if (ignoredColumns.length > 0) {
+    appendOutput(`Ignored columns (map them to a field to use them): ${ignoredColumns.join(', ')}`);
+  }
+
+  const invalidRows = rows.filter(row => row.status === 'invalid');
+  invalidRows.slice(0, BULK_REPORT_LIMIT).forEach(row => {
+    appendOutput(`Row ${row.row}: ${row.errors.join('; ')}`);
+  });
+  if (invalidRows.length > BULK_REPORT_LIMIT) {
+    appendOutput(`...and ${invalidRows.length - BULK_REPORT_LIMIT} more invalid rows (see Download Results)`);
+  }
+
+  appendOutput(`\n${rows.length - invalidRows.length} of ${rows.length} rows ready to submit`);
+  updateBulkProgress();
+}
+
+/**
+ * Submit the checked bulk rows that are ready (or failed last run)
+ * @param {string} identityId - Identity ID
+ * @param {string} privateKey - Private key WIF
+ */
+async function executeBulkImport(identityId, privateKey) {
+  const contractId = elements.contractIdInput.value.trim();
+  if (!contractId) {
+    throw new Error('Contract ID is required. Register a contract first.');
+  }
+
+  const job = bulkJob;
+  const counts = summarizeBulkRows(job.rows);
+  const concurrency = Math.min(BULK_MAX_CONCURRENCY,
+    Math.max(1, parseInt(elements.bulkConcurrencyInput.value, 10) || BULK_DEFAULT_CONCURRENCY));
+
+  appendOutput(`\n--- Bulk Import: ${counts.ready + counts.failed} Rows ---\n`);
+  appendOutput(`Identity ID: ${identityId}`);
+  appendOutput(`Contract ID: ${contractId}`);
+  appendOutput(`Parallel submissions: ${concurrency}\n`);
+
+  setBulkRunning(true);
+  try {
+    const result = await runBulkJob(job, row => submitBulkRow(contractId, identityId, privateKey, row), {
+      concurrency,
+      onProgress: row => {
+        if (row.status === 'failed') {
+          appendOutput(`Row ${row.row} failed: ${row.message}`);
+        }
+        updateBulkProgress();
+      }
+    });
+
+    appendOutput(`\n${result.submitted} submitted, ${result.exists} already on chain, ${result.failed} failed, ${result.invalid} invalid`);
+    if (job.paused && result.ready + result.failed > 0) {
+      appendOutput(`Paused${job.pauseReason ? ` (${job.pauseReason})` : ''}. Execute resumes with the rows not yet submitted.`);
+    } else if (result.failed > 0) {
+      appendOutput('Execute retries the failed rows.');
+    }
+  } finally {
+    setBulkRunning(false);
+  }
+}
+
+/**
+ * Submit one bulk row
+ * submitDocument() refuses an infohash that is already on chain, so a row
+ * whose earlier attempt landed (or that someone else listed) is reported as
+ * existing instead of being submitted twice. Any other error fails the row.
+ * @param {string} contractId - The contract ID
+ * @param {string} identityId - Identity ID
+ * @param {string} privateKey - Private key WIF
+ * @param {object} row - Bulk row (prepareBulkRows())
+ * @returns {Promise<{ status: string, documentId: string, message?: string }>}
+ */
+async function submitBulkRow(contractId, identityId, privateKey, row) {
+  try {
+    const { documentId } = await sdkClient.submitDocument(contractId, row.docType, identityId, row.data, privateKey);
+    return { status: 'submitted', documentId };
+  } catch (error) {
+    if (!(error instanceof DuplicateInfoHashError)) {
+      throw error;
+    }
+    const [existing] = error.duplicates;
+    return {
+      status: 'exists',
+      documentId: existing.documentId,
+      message: `Already on chain as ${existing.documentType} document`
+    };
+  }
+}
+
+/**
+ * Lock the bulk inputs while rows are being submitted
+ * @param {boolean} running - Is a run in progress
+ */
+function setBulkRunning(running) {
+  [elements.bulkInput, elements.bulkFileInput, elements.bulkDocumentTypeSelect,
+    elements.bulkMappingInput, elements.bulkConcurrencyInput].forEach(input => {
+    input.disabled = running;
+  });
+  elements.bulkPauseBtn.disabled = !running;
+}
+
+/**
+ * Pause the bulk import after the submissions in flight
+ */
+function onPauseBulkImport() {
+  if (bulkJob) {
+    pauseBulkJob(bulkJob);
+    elements.bulkPauseBtn.disabled = true;
+    appendOutput('Pausing after the submissions in flight...');
+  }
+}
+
+/**
+ * Show the bulk job's progress
+ */
+function updateBulkProgress() {
+  elements.bulkDownloadBtn.disabled = !bulkJob;
+  elements.bulkProgress.style.display = bulkJob ? '' : 'none';
+  if (!bulkJob) {
+    return;
+  }
+
+  const counts = summarizeBulkRows(bulkJob.rows);
+  elements.bulkProgressBar.max = Math.max(1, counts.total - counts.invalid);
+  elements.bulkProgressBar.value = counts.submitted + counts.exists;
+  elements.bulkProgressText.textContent = `${counts.submitted} submitted, ${counts.exists} already on chain, ` +
+    `${counts.failed} failed, ${counts.ready + counts.submitting} to go, ${counts.invalid} invalid`;
+}
+
+/**
+ * Download the bulk job's rows and outcomes (document IDs, errors) as CSV
+ */
+function onDownloadBulkResults() {
+  if (!bulkJob) {
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([formatBulkResults(bulkJob.rows)], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `bulk-import-results-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Execute document query
+ */
+async function executeQueryDocuments() {
+  const contractId = elements.contractIdInput.value.trim();
+  const docType = elements.documentTypeSelect.value;
+  const queryField = elements.queryField.value;
+  const queryOperator = elements.queryOperator.value;
+  const queryValue = elements.queryValue.value.trim();
+  const limit = parseInt(elements.queryLimit.value, 10) || 10;
+
+  if (!contractId) {
+    throw new Error('Contract ID is required for querying');
+  }
+
+  appendOutput(`\n--- Querying ${docType.toUpperCase()} Documents ---\n`);
+  appendOutput(`Contract ID: ${contractId}`);
+  appendOutput(`Document Type: ${docType}`);
+  appendOutput(`Limit: ${limit}`);
+
+  // Build query options
+  const queryOptions = { limit };
+
+  if (queryField && queryValue) {
+    // Parse the identifier (tt0133093 -> 133093, OL8483260W -> 8483260, ...)
+    let parsedValue = queryValue;
+    if (queryField === DOCUMENT_TYPES[docType].identifier.field) {
+      parsedValue = parseIdentifier(docType, queryValue) ?? queryValue;
+    }
+
+    queryOptions.where = [[queryField, queryOperator, parsedValue]];
+    appendOutput(`Filter: ${queryField} ${queryOperator} "${queryValue}" (parsed: ${parsedValue})`);
+  } else {
+    appendOutput('Filter: None (fetching all)');
+  }
+
+  appendOutput('\nQuerying Platform...\n');
+
+  const documents = await sdkClient.queryDocuments(contractId, docType, queryOptions);
+
+  if (!documents || documents.length === 0) {
+    appendOutput('No documents found.');
+    return;
+  }
+
+  appendOutput(`Found ${documents.length} document(s):\n`);
+
+  // Display each document with formatted data and magnet link
+  documents.forEach((doc, index) => {
+    const formatted = formatDocumentForDisplay(doc);
+    appendOutput(`\n--- Document ${index + 1} ---`);
+    appendOutput(`ID: ${formatted.id}`);
+
+    // Display type-specific info
+    formatDocumentMeta(docType, formatted.data || {}).forEach(item => {
+      appendOutput(`${item.label}: ${item.value}`);
+    });
+
+    appendOutput(`Torrent: ${formatted.data?.torrentName || 'N/A'}`);
+
+    if (formatted.data?.infoHashHex) {
+      appendOutput(`InfoHash: ${formatted.data.infoHashHex}`);
+    }
+    if (formatted.data?.infoHashV2Hex) {
+      appendOutput(`InfoHash (v2): ${formatted.data.infoHashV2Hex}`);
+    }
+
+    if (formatted.data?.trackers && formatted.data.trackers.length > 0) {
+      const trackerCount = formatted.data.trackers.split('\n').filter(t => t.length > 0).length;
+      appendOutput(`Trackers: ${trackerCount}`);
+    }
+
+    if (formatted.data?.magnetUri) {
+      appendOutput(`\nMagnet Link:\n${formatted.data.magnetUri}`);
+    }
+
+    appendOutput(`\nFull data:\n${JSON.stringify(formatted.data, null, 2)}`);
+  });
+}
+
+/**
+ * Collect form data from dynamic fields
+ * @returns {object} Form data object
+ */
+function collectFormData() {
+  const data = {};
+  const inputs = elements.dynamicForm.querySelectorAll('input, textarea, select');
+
+  inputs.forEach(input => {
+    const value = input.multiple
+      ? Array.from(input.selectedOptions).map(option => option.value).join(',')
+      : input.value.trim();
+    if (value !== '') {
+      data[input.name] = value;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Connect to Dash Platform network
+ * @param {string} network - Network name
+ */
+async function connectToNetwork(network) {
+  const options = network === 'custom' ? { custom: readCustomNetwork() } : {};
+  if (sdkClient.isConnectedTo(network, options)) {
+    return; // Already connected
+  }
+
+  updateSdkStatus('loading', 'Connecting...');
+
+  try {
+    await sdkClient.connect(network, options);
+    updateSdkStatus('connected', 'Connected');
+  } catch (error) {
+    updateSdkStatus('error', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Update SDK status display
+ * @param {string} status - Status type
  * @param {string} message - Status message
  */
 export function updateSdkStatus(status, message) {
@@ -677,13 +1906,7 @@ function setExecuting(executing) {
     elements.executeBtnText.innerHTML = '<span class="loading"></span>Processing...';
   } else {
     const action = document.querySelector('input[name="action"]:checked').value;
-    if (action === 'submit') {
-      elements.executeBtnText.textContent = 'Submit Document';
-    } else if (action === 'query') {
-      elements.executeBtnText.textContent = 'Query Documents';
-    } else {
-      elements.executeBtnText.textContent = 'Register Contract';
-    }
+    elements.executeBtnText.textContent = getExecuteLabel(action);
   }
 }
 
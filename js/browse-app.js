@@ -3,9 +3,10 @@
  * Initializes SDK and loads browse UI
  */
 
-import { CONFIG, loadSettings, hasSettings } from './browse-config.js';
-import { initBrowseUI, updateSdkStatus, loadCurrentTab, showSettingsModal, updateContractDisplay } from './browse-ui.js';
+import { CONFIG, loadSettings, hasSettings, getContractSources } from './browse-config.js';
+import { initBrowseUI, updateSdkStatus, loadInitialView, prefetchTabs, showSettingsModal, updateContractDisplay } from './browse-ui.js';
 import { sdkClient } from './sdk-client.js';
+import { closeSourceClients } from './federation.js';
 
 /**
  * Initialize the application
@@ -30,6 +31,8 @@ async function init() {
   // Listen for settings changes to reconnect
   window.addEventListener('settings-changed', async () => {
     console.log('Settings changed, reconnecting...');
+    // Federated contracts' clients reconnect on demand with the new settings
+    await closeSourceClients();
     await connectAndLoad();
   });
 
@@ -49,6 +52,13 @@ async function init() {
  * Load EvoSDK WASM module and connect to network
  */
 async function loadEvoSDK() {
+  // The local network runs in memory and needs no SDK download (unless a
+  // federated contract is on another network)
+  if (getContractSources().every(source => source.network === 'local')) {
+    await connectToNetwork();
+    return;
+  }
+
   updateSdkStatus('loading', 'Loading SDK...');
 
   try {
@@ -74,12 +84,14 @@ async function connectToNetwork() {
 
   try {
     // Connect to the configured network
-    await sdkClient.connect(CONFIG.network);
+    await sdkClient.connect(CONFIG.network, { verification: CONFIG.verification, custom: CONFIG.customNetwork });
 
     updateSdkStatus('connected', 'Connected');
 
-    // Load the default tab data
-    loadCurrentTab();
+    // Load the linked collection or the default tab data, then warm the
+    // query cache with the other tabs' first pages
+    await loadInitialView();
+    prefetchTabs();
 
   } catch (error) {
     console.error('Failed to connect:', error);
@@ -2,12 +2,35 @@
  * Browse Page Configuration
  */
 
+import { DOCUMENT_TYPES, hasLanguageFields } from './document-types.js';
+
 const STORAGE_KEY = 'unstoppable-torrents-settings';
 
+// The signing key lives in sessionStorage only, so it is gone when the tab closes
+const SIGNING_KEY_STORAGE_KEY = 'unstoppable-torrents-signing-key';
+
+// Time of the previous visit, for marking documents added since then; the
+// session copy keeps it stable across reloads within one visit
+const LAST_VISIT_STORAGE_KEY = 'unstoppable-torrents-last-visit';
+const PREVIOUS_VISIT_SESSION_KEY = 'unstoppable-torrents-previous-visit';
+
+// Pseudo-tab listing the newest documents of every type
+export const RECENT_TAB = 'recent';
+
+// Pseudo-tab listing curated collections
+export const COLLECTIONS_TAB = 'collections';
+
 // Default configuration - no contract ID by default for safety
 export const CONFIG = {
   contractId: null,
+  contractLabel: null,  // Optional: name of contractId on cards when several contracts are browsed
+  federatedContracts: [],  // { contractId, network, label } browsed alongside contractId (network null: the same one)
   network: null,
+  customNetwork: null,  // { network, addresses } when network is 'custom' (a devnet or private deployment)
+  verification: 'trusted',  // 'trusted' (take the node's answer) or 'proof' (verify GroveDB proofs)
+  identityId: null,  // Optional: identity used to sign votes
+  trustedPublishers: [],  // Identity IDs whose documents are trusted
+  trustedOnly: false,  // Hide (rather than mark) documents from untrusted publishers
   pageSize: 12,
   defaultTab: 'movie'
 };
@@ -23,7 +46,18 @@ export function loadSettings() {
       const settings = JSON.parse(saved);
       if (settings.contractId && settings.network) {
         CONFIG.contractId = settings.contractId;
+        CONFIG.contractLabel = settings.contractLabel || null;
+        CONFIG.federatedContracts = Array.isArray(settings.federatedContracts)
+          ? settings.federatedContracts.filter(source => source && source.contractId)
+          : [];
         CONFIG.network = settings.network;
+        CONFIG.customNetwork = settings.customNetwork && Array.isArray(settings.customNetwork.addresses)
+          ? settings.customNetwork
+          : null;
+        CONFIG.verification = settings.verification === 'proof' ? 'proof' : 'trusted';
+        CONFIG.identityId = settings.identityId || null;
+        CONFIG.trustedPublishers = Array.isArray(settings.trustedPublishers) ? settings.trustedPublishers : [];
+        CONFIG.trustedOnly = !!settings.trustedOnly;
         return true;
       }
     }
@@ -36,12 +70,49 @@ export function loadSettings() {
 /**
  * Save settings to localStorage
  * @param {string} contractId - The contract ID
- * @param {string} network - The network (testnet/mainnet)
+ * @param {string} network - The network (testnet/mainnet/local/custom)
+ * @param {string|null} identityId - Optional identity for signing
+ * @param {object} options - { verification: 'trusted' or 'proof',
+ *   customNetwork: { network, addresses } for the custom network,
+ *   contractLabel, federatedContracts: other contracts to browse }
  */
-export function saveSettings(contractId, network) {
+export function saveSettings(contractId, network, identityId = null, options = {}) {
   CONFIG.contractId = contractId;
+  CONFIG.contractLabel = options.contractLabel || null;
+  CONFIG.federatedContracts = options.federatedContracts || [];
   CONFIG.network = network;
-  localStorage.setItem(STORAGE_KEY, JSON.stringify({ contractId, network }));
+  CONFIG.customNetwork = network === 'custom' ? options.customNetwork : null;
+  CONFIG.verification = options.verification === 'proof' ? 'proof' : 'trusted';
+  CONFIG.identityId = identityId || null;
+  persistSettings();
+}
+
+/**
+ * Save the trusted publisher list and trusted-only toggle
+ * @param {string[]} trustedPublishers - Trusted identity IDs
+ * @param {boolean} trustedOnly - Hide documents from untrusted publishers
+ */
+export function saveTrustSettings(trustedPublishers, trustedOnly) {
+  CONFIG.trustedPublishers = [...new Set(trustedPublishers)];
+  CONFIG.trustedOnly = !!trustedOnly;
+  persistSettings();
+}
+
+/**
+ * Write the persistent part of CONFIG to localStorage
+ */
+function persistSettings() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    contractId: CONFIG.contractId,
+    contractLabel: CONFIG.contractLabel,
+    federatedContracts: CONFIG.federatedContracts,
+    network: CONFIG.network,
+    customNetwork: CONFIG.customNetwork,
+    verification: CONFIG.verification,
+    identityId: CONFIG.identityId,
+    trustedPublishers: CONFIG.trustedPublishers,
+    trustedOnly: CONFIG.trustedOnly
+  }));
 }
 
 /**
@@ -49,8 +120,61 @@ export function saveSettings(contractId, network) {
  */
 export function clearSettings() {
   CONFIG.contractId = null;
+  CONFIG.contractLabel = null;
+  CONFIG.federatedContracts = [];
   CONFIG.network = null;
+  CONFIG.customNetwork = null;
+  CONFIG.verification = 'trusted';
+  CONFIG.identityId = null;
+  CONFIG.trustedPublishers = [];
+  CONFIG.trustedOnly = false;
   localStorage.removeItem(STORAGE_KEY);
+  sessionStorage.removeItem(SIGNING_KEY_STORAGE_KEY);
+}
+
+/**
+ * Get the signing key for this browser session
+ * @returns {string|null} Private key WIF
+ */
+export function getSigningKey() {
+  return sessionStorage.getItem(SIGNING_KEY_STORAGE_KEY);
+}
+
+/**
+ * Set (or clear, when empty) the signing key for this browser session
+ * @param {string|null} privateKeyWif - Private key WIF
+ */
+export function setSigningKey(privateKeyWif) {
+  if (privateKeyWif) {
+    sessionStorage.setItem(SIGNING_KEY_STORAGE_KEY, privateKeyWif);
+  } else {
+    sessionStorage.removeItem(SIGNING_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Check if an identity and signing key are available
+ * @returns {boolean}
+ */
+export function canSign() {
+  return !!(CONFIG.identityId && getSigningKey());
+}
+
+/**
+ * Record this visit and return the time of the previous one
+ * @returns {number|null} Previous visit in milliseconds, or null on the first visit
+ */
+export function recordVisit() {
+  let previous = sessionStorage.getItem(PREVIOUS_VISIT_SESSION_KEY);
+  if (previous === null) {
+    previous = localStorage.getItem(LAST_VISIT_STORAGE_KEY) || '';
+    sessionStorage.setItem(PREVIOUS_VISIT_SESSION_KEY, previous);
+  }
+
+  localStorage.setItem(LAST_VISIT_STORAGE_KEY, String(Date.now()));
+
+  const timestamp = parseInt(previous, 10);
+  return Number.isNaN(timestamp) ? null : timestamp;
 }
 
 /**
@@ -61,36 +185,28 @@ export function hasSettings() {
   return CONFIG.contractId && CONFIG.network;
 }
 
-// Tab configuration for each document type
-export const TAB_CONFIG = {
-  movie: {
-    label: 'Movies',
-    searchField: 'imdbId',
-    searchPlaceholder: 'Search by IMDB ID (e.g., tt0133093)',
-    indexField: 'imdbId'
-  },
-  tv: {
-    label: 'TV Shows',
-    searchField: 'seriesImdbId',
-    searchPlaceholder: 'Search by Series IMDB ID (e.g., tt0903747)',
-    indexField: 'seriesImdbId'
-  },
-  book: {
-    label: 'Books',
-    searchField: 'workId',
-    searchPlaceholder: 'Search by Work ID (e.g., OL8483260W)',
-    indexField: 'workId'
-  },
-  iso: {
-    label: 'Software',
-    searchField: 'title',
-    searchPlaceholder: 'Search by title...',
-    indexField: 'title'
-  },
-  other: {
-    label: 'Other',
-    searchField: 'title',
-    searchPlaceholder: 'Search by title...',
-    indexField: 'title'
-  }
-};
+/**
+ * Get the contracts browsed: contractId first, then the federated ones
+ * Federated contracts without a network take contractId's; repeats of
+ * contractId are dropped
+ * @returns {{ contractId: string, network: string, label: string|null }[]}
+ */
+export function getContractSources() {
+  const main = { contractId: CONFIG.contractId, network: CONFIG.network, label: CONFIG.contractLabel };
+  const federated = CONFIG.federatedContracts
+    .map(source => ({ contractId: source.contractId, network: source.network || CONFIG.network, label: source.label || null }))
+    .filter(source => !(source.contractId === main.contractId && source.network === main.network));
+  return [main, ...federated];
+}
+
+// Tab configuration for each document type, derived from the registry
+export const TAB_CONFIG = Object.fromEntries(
+  Object.entries(DOCUMENT_TYPES).map(([docType, def]) => [docType, {
+    label: def.tabLabel,
+    searchField: def.identifier.field,
+    searchPlaceholder: def.search.placeholder,
+    indexField: def.identifier.field,
+    episodeFilters: !!def.search.episodeFilters,
+    languageFilter: hasLanguageFields(docType)
+  }])
+);
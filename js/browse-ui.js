@@ -4,17 +4,49 @@
  */
 
 import { sdkClient } from './sdk-client.js';
-import { CONFIG, TAB_CONFIG, saveSettings, clearSettings, hasSettings } from './browse-config.js';
-import { buildMagnetUri, formatImdbId, formatWorkId, formatBytes, parseImdbId, parseWorkId, bytesToHex } from './utils.js';
+import { parseReleaseName, getReleaseBadges, RELEASE_FILTER_OPTIONS } from './release-parser.js';
+import { CONFIG, TAB_CONFIG, RECENT_TAB, COLLECTIONS_TAB, getContractSources, recordVisit, saveSettings, saveTrustSettings, clearSettings, hasSettings, getSigningKey, setSigningKey, canSign } from './browse-config.js';
+import { DOCUMENT_TYPES, buildIdentifierWhere, formatDocumentMeta } from './document-types.js';
+import { decodeFileList, selectFileListChunks, buildFileTree } from './file-list.js';
+import { aggregateVotes, applyOwnVote, emptyScore, sortByScore } from './votes.js';
+import { REPORT_REASONS, collectHiddenTargets } from './moderation.js';
+import { LANGUAGES, parseLanguageList, formatLanguage } from './languages.js';
+import { normalizeTag, groupTagsByTarget } from './tags.js';
+import { parseCollectionItems, orderCollectionDocuments } from './collections.js';
+import { parseContractSourcesInput, formatContractSources, sourceKey, sourceLabel, getSourceClient, connectSourceClient, compareByOrder, mergeSourcePages } from './federation.js';
+import { buildMagnetUri, formatBytes, formatRelativeTime, bytesToHex, hexToBytes, decodeByteField, truncateInfoHashV2, parseIdentityListInput, parseDapiAddressesInput, formatIdentifier } from './utils.js';
 
 // State
 let activeTab = CONFIG.defaultTab;
 let currentPage = 1;
 let pageHistory = [];  // Stack of cursors for previous pages
-let currentCursor = null;  // Last document ID for pagination
+let currentCursor = null;  // Last document ID for pagination (per contract and type in merged views)
 let lastResults = [];  // Store last results for pagination
 let isSearchMode = false;
 let searchQuery = '';
+let searchMode = 'identifier';  // Mode of the current search: 'identifier' (registry index) or 'tag'
+let tagPageCursor = null;  // Last tag document ID of a tag search page
+let tagPageFull = false;  // Whether the last tag search page was full (more may follow)
+let mergedPageCursor = null;  // Cursor after the last merged page: { after: stream key -> last document ID, claimed: [infohash, source key][] }
+let mergedPageMore = false;  // Whether any contract may hold more after the last merged page
+let seasonFilter = null;  // TV season/episode filters (applied with a series search)
+let episodeFilter = null;
+let releaseFilters = {};  // Client-side filters on parsed release names (field -> value)
+let languageFilter = '';  // Client-side audio/subtitle language filter (ISO 639 code)
+let voteScores = new Map();  // infohash hex -> aggregated vote score for the current page
+let sortMode = 'index';  // 'index' (query order), 'score' (current page by vote score) or 'newest'
+let hiddenTargets = new Set();  // Document IDs hidden by the contract owner's moderation decisions
+let reportTarget = null;  // { documentId, docType, torrentName, source } while the report modal is open
+let publisherId = null;  // Identity whose documents are listed (publisher view), or null
+let resultTypes = new Map();  // document -> document type, for publisher view pages spanning types
+let resultSources = new Map();  // document -> contract source, for merged pages spanning contracts
+let publisherNames = new Map();  // identity ID -> DPNS name (null if none)
+let tagsByTarget = new Map();  // document ID -> publisher's tag names for the current page
+let collection = null;  // { id, title, description, ownerId, items } while a collection is open
+let collectionMissing = 0;  // Items on the current collection page that matched no document
+let previousVisit = null;  // Time of the previous visit; newer documents get a "New" badge
+let loadGeneration = 0;  // Incremented per load, so superseded loads and revalidations are dropped
+let revalidations = [];  // Background revalidations of the cached pages the current load showed
 
 // DOM Elements
 let elements = {};
@@ -23,10 +55,21 @@ let elements = {};
  * Initialize Browse UI
  */
 export function initBrowseUI() {
+  previousVisit = recordVisit();
+
+  // Build tabs from the document type registry
+  renderTabs();
+
   // Cache DOM elements
   elements = {
     sdkStatus: document.getElementById('sdkStatus'),
+    searchContainer: document.getElementById('searchContainer'),
+    searchModeSelect: document.getElementById('searchModeSelect'),
     searchInput: document.getElementById('searchInput'),
+    tvFilters: document.getElementById('tvFilters'),
+    seasonFilterInput: document.getElementById('seasonFilter'),
+    episodeFilterInput: document.getElementById('episodeFilter'),
+    languageFilterSelect: document.getElementById('languageFilter'),
     searchBtn: document.getElementById('searchBtn'),
     clearSearchBtn: document.getElementById('clearSearchBtn'),
     resultsGrid: document.getElementById('resultsGrid'),
@@ -34,27 +77,107 @@ export function initBrowseUI() {
     emptyState: document.getElementById('emptyState'),
     errorState: document.getElementById('errorState'),
     errorMessage: document.getElementById('errorMessage'),
+    sourceNotice: document.getElementById('sourceNotice'),
     pagination: document.getElementById('pagination'),
     prevPageBtn: document.getElementById('prevPageBtn'),
     nextPageBtn: document.getElementById('nextPageBtn'),
     pageInfo: document.getElementById('pageInfo'),
     tabs: document.querySelectorAll('.tab'),
+    filterSelects: document.querySelectorAll('.filter-select[data-field]'),
+    sortSelect: document.getElementById('sortSelect'),
+    trustSelect: document.getElementById('trustSelect'),
+    publisherBar: document.getElementById('publisherBar'),
+    publisherName: document.getElementById('publisherName'),
+    publisherIdText: document.getElementById('publisherIdText'),
+    closePublisherBtn: document.getElementById('closePublisherBtn'),
+    collectionBar: document.getElementById('collectionBar'),
+    collectionTitle: document.getElementById('collectionTitle'),
+    collectionDescription: document.getElementById('collectionDescription'),
+    collectionMeta: document.getElementById('collectionMeta'),
+    copyCollectionLinkBtn: document.getElementById('copyCollectionLinkBtn'),
+    closeCollectionBtn: document.getElementById('closeCollectionBtn'),
     contractIdDisplay: document.getElementById('contractIdDisplay'),
     // Settings modal elements
     settingsBtn: document.getElementById('settingsBtn'),
     settingsModal: document.getElementById('settingsModal'),
     networkToggle: document.getElementById('networkToggle'),
     networkRadios: document.querySelectorAll('input[name="network"]'),
+    customNetworkFields: document.getElementById('customNetworkFields'),
+    customAddressesInput: document.getElementById('customAddressesInput'),
+    customNetworkTypeSelect: document.getElementById('customNetworkTypeSelect'),
+    customNetworkStatus: document.getElementById('customNetworkStatus'),
     contractIdInput: document.getElementById('contractIdInput'),
+    contractLabelInput: document.getElementById('contractLabelInput'),
+    federatedContractsInput: document.getElementById('federatedContractsInput'),
+    federatedContractsStatus: document.getElementById('federatedContractsStatus'),
+    identityIdInput: document.getElementById('identityIdInput'),
+    signingKeyInput: document.getElementById('signingKeyInput'),
+    trustedPublishersInput: document.getElementById('trustedPublishersInput'),
+    curatorIdInput: document.getElementById('curatorIdInput'),
+    importTrustListBtn: document.getElementById('importTrustListBtn'),
+    trustImportStatus: document.getElementById('trustImportStatus'),
     settingsCancelBtn: document.getElementById('settingsCancelBtn'),
-    settingsSaveBtn: document.getElementById('settingsSaveBtn')
+    settingsSaveBtn: document.getElementById('settingsSaveBtn'),
+    // Report modal elements
+    reportModal: document.getElementById('reportModal'),
+    reportTargetText: document.getElementById('reportTarget'),
+    reportError: document.getElementById('reportError'),
+    reportReasonSelect: document.getElementById('reportReason'),
+    reportNoteInput: document.getElementById('reportNote'),
+    reportCancelBtn: document.getElementById('reportCancelBtn'),
+    reportSubmitBtn: document.getElementById('reportSubmitBtn')
   };
 
+  // Populate release filter options
+  populateReleaseFilters();
+
+  // Populate language filter options
+  Object.entries(LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    elements.languageFilterSelect.appendChild(option);
+  });
+
+  // Populate report reasons
+  Object.entries(REPORT_REASONS).forEach(([code, label]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = label;
+    elements.reportReasonSelect.appendChild(option);
+  });
+
   // Set up event listeners
   setupEventListeners();
 
   // Set initial search placeholder
   updateSearchPlaceholder();
+
+  // Trust toggle reflects saved settings
+  updateTrustSelect();
+}
+
+/**
+ * Render one tab per document type into the tab bar
+ */
+function renderTabs() {
+  const tabBar = document.getElementById('tabBar');
+  tabBar.innerHTML = '';
+
+  // The recently added feed comes first, then the types in registry order, then collections
+  const tabs = [
+    [RECENT_TAB, 'Recently Added'],
+    ...Object.entries(TAB_CONFIG).map(([docType, config]) => [docType, config.label]),
+    [COLLECTIONS_TAB, 'Collections']
+  ];
+
+  tabs.forEach(([docType, label]) => {
+    const tab = document.createElement('button');
+    tab.className = `tab${docType === activeTab ? ' active' : ''}`;
+    tab.dataset.type = docType;
+    tab.textContent = label;
+    tabBar.appendChild(tab);
+  });
 }
 
 /**
@@ -65,7 +188,7 @@ function setupEventListeners() {
   elements.tabs.forEach(tab => {
     tab.addEventListener('click', () => {
       const docType = tab.dataset.type;
-      if (docType !== activeTab) {
+      if (docType !== activeTab || publisherId || collection) {
         switchTab(docType);
       }
     });
@@ -78,16 +201,77 @@ function setupEventListeners() {
       handleSearch();
     }
   });
+  [elements.seasonFilterInput, elements.episodeFilterInput].forEach(input => {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        handleSearch();
+      }
+    });
+  });
+
+  // Search mode applies from the next search
+  elements.searchModeSelect.addEventListener('change', updateSearchPlaceholder);
 
   // Clear search
   elements.clearSearchBtn.addEventListener('click', clearSearch);
 
+  // Release filters re-render the current page without querying again
+  elements.filterSelects.forEach(select => {
+    select.addEventListener('change', () => {
+      releaseFilters[select.dataset.field] = select.value;
+      renderResults(lastResults);
+      updatePaginationUI();
+    });
+  });
+
+  // The language filter also only applies to the fetched page
+  elements.languageFilterSelect.addEventListener('change', () => {
+    languageFilter = elements.languageFilterSelect.value;
+    renderResults(lastResults);
+    updatePaginationUI();
+  });
+
+  // Sorting by score only reorders the fetched page; newest first queries
+  // the byCreatedAt index when browsing a tab, so switching to or from it reloads
+  elements.sortSelect.addEventListener('change', () => {
+    const wasNewestQuery = isNewestQuery();
+    sortMode = elements.sortSelect.value;
+    if (isNewestQuery() !== wasNewestQuery) {
+      resetPagination();
+      loadCurrentTab();
+    } else {
+      renderResults(lastResults);
+      updatePaginationUI();
+    }
+  });
+
+  // Trusted-only toggle filters the fetched page
+  elements.trustSelect.addEventListener('change', () => {
+    saveTrustSettings(CONFIG.trustedPublishers, elements.trustSelect.value === 'trusted');
+    renderResults(lastResults);
+    updatePaginationUI();
+  });
+
+  // Publisher view
+  elements.closePublisherBtn.addEventListener('click', () => switchTab(activeTab));
+
+  // Collection view
+  elements.closeCollectionBtn.addEventListener('click', () => switchTab(COLLECTIONS_TAB));
+  elements.copyCollectionLinkBtn.addEventListener('click', () => {
+    copyToClipboard(window.location.href);
+    elements.copyCollectionLinkBtn.textContent = 'Copied!';
+    setTimeout(() => {
+      elements.copyCollectionLinkBtn.textContent = 'Copy Link';
+    }, 2000);
+  });
+
   // Pagination
   elements.prevPageBtn.addEventListener('click', loadPreviousPage);
   elements.nextPageBtn.addEventListener('click', loadNextPage);
 
   // Settings modal
   elements.settingsBtn.addEventListener('click', showSettingsModal);
+  elements.networkRadios.forEach(radio => radio.addEventListener('change', updateCustomNetworkFields));
   elements.settingsCancelBtn.addEventListener('click', hideSettingsModal);
   elements.settingsSaveBtn.addEventListener('click', handleSaveSettings);
   elements.settingsModal.addEventListener('click', (e) => {
@@ -98,6 +282,18 @@ function setupEventListeners() {
       }
     }
   });
+
+  // Trust list import
+  elements.importTrustListBtn.addEventListener('click', handleImportTrustList);
+
+  // Report modal
+  elements.reportCancelBtn.addEventListener('click', hideReportModal);
+  elements.reportSubmitBtn.addEventListener('click', handleSubmitReport);
+  elements.reportModal.addEventListener('click', (e) => {
+    if (e.target === elements.reportModal) {
+      hideReportModal();
+    }
+  });
 }
 
 /**
@@ -124,12 +320,103 @@ export function updateSdkStatus(status, message) {
   }
 }
 
+/**
+ * Fill the release filter selects with canonical values from the parser
+ */
+function populateReleaseFilters() {
+  elements.filterSelects.forEach(select => {
+    const values = RELEASE_FILTER_OPTIONS[select.dataset.field] || [];
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+  });
+}
+
+/**
+ * Show the trust toggle only when a trusted publisher list is configured
+ */
+function updateTrustSelect() {
+  const hasTrustList = CONFIG.trustedPublishers.length > 0;
+  elements.trustSelect.style.display = hasTrustList ? '' : 'none';
+  elements.trustSelect.value = CONFIG.trustedOnly ? 'trusted' : 'all';
+}
+
+/**
+ * Check whether a document comes from a trusted publisher
+ * With no trusted publishers configured every document counts as trusted
+ * @param {object} doc - Document from query
+ * @returns {boolean}
+ */
+function isTrustedPublisher(doc) {
+  if (CONFIG.trustedPublishers.length === 0) {
+    return true;
+  }
+  return CONFIG.trustedPublishers.includes(formatIdentifier(doc.$ownerId || doc.ownerId));
+}
+
+/**
+ * Check a document against the language filter (audio or subtitle tracks)
+ * @param {object} doc - Document from query
+ * @returns {boolean}
+ */
+function matchesLanguageFilter(doc) {
+  if (!languageFilter) {
+    return true;
+  }
+  const data = doc.data || doc;
+  return parseLanguageList(data.audioLanguages).includes(languageFilter) ||
+    parseLanguageList(data.subtitleLanguages).includes(languageFilter);
+}
+
+/**
+ * Clear the language filter
+ */
+function resetLanguageFilter() {
+  languageFilter = '';
+  elements.languageFilterSelect.value = '';
+}
+
+/**
+ * Check a document against the active release filters
+ * @param {object} doc - Document from query
+ * @returns {boolean}
+ */
+function matchesReleaseFilters(doc) {
+  const activeFilters = Object.entries(releaseFilters).filter(([, value]) => value);
+  if (activeFilters.length === 0) {
+    return true;
+  }
+
+  const data = doc.data || doc;
+  const parsed = parseReleaseName(data.torrentName);
+  return activeFilters.every(([field, value]) => parsed[field] === value);
+}
+
 /**
  * Switch to a different tab
  */
 function switchTab(docType) {
-  // Update active tab
+  activateTab(docType);
+
+  // Load data for new tab
+  loadCurrentTab();
+}
+
+/**
+ * Make a tab active and reset search and pagination, without loading it
+ * @param {string} docType - Document type, or RECENT_TAB
+ */
+function activateTab(docType) {
+  // Leave the publisher or collection view, if open
+  closePublisherView();
+  closeCollectionView();
+
+  // Update active tab (the recent feed and collections have no search)
   activeTab = docType;
+  elements.searchContainer.style.display = TAB_CONFIG[docType] ? '' : 'none';
 
   // Update tab styling
   elements.tabs.forEach(tab => {
@@ -144,77 +431,779 @@ function switchTab(docType) {
   isSearchMode = false;
   searchQuery = '';
   elements.searchInput.value = '';
+  resetEpisodeFilters();
+  if (!(TAB_CONFIG[docType] && TAB_CONFIG[docType].languageFilter)) {
+    resetLanguageFilter();
+  }
+}
+
+/**
+ * Search a tab for a tag (from a tag chip on a card)
+ * @param {string} docType - Document type the tag was found on
+ * @param {string} tag - Tag name
+ */
+function searchTag(docType, tag) {
+  activateTab(docType);
+
+  searchMode = 'tag';
+  elements.searchModeSelect.value = 'tag';
+  updateSearchPlaceholder();
+
+  elements.searchInput.value = tag;
+  searchQuery = tag;
+  isSearchMode = true;
+  loadCurrentTab();
+}
+
+/**
+ * Check whether the current results come from a tag search
+ * @returns {boolean}
+ */
+function isTagSearch() {
+  return isSearchMode && searchMode === 'tag' && !publisherId && activeTab !== RECENT_TAB;
+}
+
+/**
+ * Check whether the active tab is queried newest first (byCreatedAt)
+ * Searches and the publisher view use other indices, so they sort the fetched page instead
+ * @returns {boolean}
+ */
+function isNewestQuery() {
+  return sortMode === 'newest' && !isSearchMode && !publisherId && !!TAB_CONFIG[activeTab];
+}
+
+/**
+ * Check whether results mix document types (recent feed, publisher and collection views)
+ * @returns {boolean}
+ */
+function isMixedView() {
+  return !!publisherId || activeTab === RECENT_TAB || !!collection;
+}
+
+/**
+ * Check whether the results are collections rather than torrent documents
+ * @returns {boolean}
+ */
+function isCollectionList() {
+  return activeTab === COLLECTIONS_TAB && !collection && !publisherId;
+}
+
+/**
+ * Show every document an identity submitted, across all types
+ * @param {string} ownerId - Publisher identity ID
+ */
+function showPublisher(ownerId) {
+  closeCollectionView();
+  publisherId = ownerId;
+  resetLanguageFilter();
+
+  elements.tabs.forEach(tab => tab.classList.remove('active'));
+  elements.searchContainer.style.display = 'none';
+  elements.publisherBar.style.display = 'flex';
+  elements.publisherName.textContent = publisherNames.get(ownerId) || 'No DPNS name';
+  elements.publisherIdText.textContent = ownerId;
+
+  resetPagination();
+  loadCurrentTab();
+}
+
+/**
+ * Hide the publisher bar and restore the search controls
+ * Callers reload the tab themselves
+ */
+function closePublisherView() {
+  publisherId = null;
+  elements.publisherBar.style.display = 'none';
+  elements.searchContainer.style.display = '';
+}
+
+/**
+ * Open a collection: its items as torrent cards, in the curator's order
+ * The URL hash links to it (#collection=<id>)
+ * @param {object} doc - collection document
+ */
+function showCollection(doc) {
+  const data = doc.data || doc;
+  activateTab(COLLECTIONS_TAB);
+
+  collection = {
+    id: formatIdentifier(doc.$id || doc.id),
+    title: data.title,
+    description: data.description || '',
+    ownerId: formatIdentifier(doc.$ownerId || doc.ownerId),
+    items: parseCollectionItems(data.items).items
+  };
+  collectionMissing = 0;
+
+  elements.collectionBar.style.display = 'flex';
+  elements.collectionTitle.textContent = collection.title;
+  elements.collectionDescription.textContent = collection.description;
+  elements.collectionDescription.style.display = collection.description ? '' : 'none';
+  updateCollectionMeta();
+  window.history.replaceState(null, '', `#collection=${collection.id}`);
+
+  loadCurrentTab();
+}
+
+/**
+ * Hide the collection bar and drop the collection link from the URL
+ * Callers reload the tab themselves
+ */
+function closeCollectionView() {
+  collection = null;
+  elements.collectionBar.style.display = 'none';
+  if (window.location.hash.startsWith('#collection=')) {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+}
+
+/**
+ * Show the open collection's publisher, size and unresolved items
+ */
+function updateCollectionMeta() {
+  const parts = [`By ${formatPublisher(collection.ownerId)}`, `${collection.items.length} items`];
+  if (collectionMissing > 0) {
+    parts.push(`${collectionMissing} on this page not found`);
+  }
+  elements.collectionMeta.textContent = parts.join(' · ');
+}
+
+/**
+ * Load the first view after connecting: a linked collection (#collection=<id>),
+ * otherwise the current tab
+ */
+export async function loadInitialView() {
+  const match = window.location.hash.match(/^#collection=([1-9A-HJ-NP-Za-km-z]+)$/);
+  if (!match || !sdkClient.isReady()) {
+    loadCurrentTab();
+    return;
+  }
+
+  showLoading();
+
+  try {
+    const doc = await sdkClient.getDocument(CONFIG.contractId, 'collection', match[1]);
+    if (!doc) {
+      showError(`Collection ${match[1]} not found`);
+      return;
+    }
+    showCollection(doc);
+  } catch (error) {
+    console.error('Failed to load collection:', error);
+    showError(error.message);
+  }
+}
+/**
+ * Update search input placeholder based on active tab
+ */
+function updateSearchPlaceholder() {
+  const config = TAB_CONFIG[activeTab];
+  const tagMode = elements.searchModeSelect && elements.searchModeSelect.value === 'tag';
+  if (config && elements.searchInput) {
+    elements.searchInput.placeholder = tagMode ? 'Search by tag (e.g., linux)' : config.searchPlaceholder;
+  }
+  if (config && elements.tvFilters) {
+    elements.tvFilters.style.display = config.episodeFilters && !tagMode ? 'flex' : 'none';
+  }
+  if (config && elements.languageFilterSelect) {
+    elements.languageFilterSelect.style.display = config.languageFilter ? '' : 'none';
+  }
+}
+
+/**
+ * Clear the season/episode filter inputs and state
+ */
+function resetEpisodeFilters() {
+  seasonFilter = null;
+  episodeFilter = null;
+  elements.seasonFilterInput.value = '';
+  elements.episodeFilterInput.value = '';
+}
+
+/**
+ * Read a non-negative integer from a filter input
+ * @returns {number|null} Parsed value, or null if empty/invalid
+ */
+function readFilterNumber(input) {
+  const value = parseInt(input.value, 10);
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Reset pagination state
+ */
+function resetPagination() {
+  currentPage = 1;
+  pageHistory = [];
+  currentCursor = null;
+  lastResults = [];
+  mergedPageMore = false;
+  updatePaginationUI();
+}
+
+/**
+ * Load data for the current tab
+ * @param {object} options - { quiet: keep the current cards until the new ones render }
+ */
+export async function loadCurrentTab({ quiet = false } = {}) {
+  if (!sdkClient.isReady()) {
+    console.log('SDK not ready yet');
+    return;
+  }
+
+  const generation = ++loadGeneration;
+  revalidations = [];
+  if (!quiet) {
+    showLoading();
+  }
+
+  try {
+    resultTypes = new Map();
+    resultSources = new Map();
+    let results;
+    let unreachable = [];
+    if (publisherId) {
+      results = await queryPublisherPage();
+    } else if (collection) {
+      results = await queryCollectionPage();
+    } else if (activeTab === COLLECTIONS_TAB) {
+      results = await queryCachedPage('collection', collectionsPageOptions());
+    } else if (activeTab === RECENT_TAB) {
+      ({ results, unreachable } = await queryRecentFeed());
+    } else if (isTagSearch()) {
+      results = await queryTagPage();
+    } else {
+      ({ results, unreachable } = await queryActiveTab());
+    }
+
+    // Collections have no votes or tags, but the contract owner can hide them
+    const torrents = isCollectionList() ? [] : results || [];
+    const [scores, hidden, tags] = await Promise.all([
+      loadVoteScores(torrents),
+      loadHiddenTargets(results || []),
+      loadTags(torrents)
+    ]);
+
+    // A newer load (another tab, page or search) took over meanwhile
+    if (generation !== loadGeneration) {
+      return;
+    }
+
+    lastResults = results || [];
+    [voteScores, hiddenTargets, tagsByTarget] = [scores, hidden, tags];
+    renderResults(lastResults);
+    updatePaginationUI();
+    showSourceNotice(unreachable);
+
+    // Names fill in on the rendered cards when they resolve
+    resolvePublisherNames(lastResults);
+
+    // Cached pages shown stale are refreshed once their queries come back
+    refreshWhenRevalidated(generation, revalidations);
+
+  } catch (error) {
+    if (generation !== loadGeneration) {
+      return;
+    }
+    console.error('Failed to load documents:', error);
+    showError(error.message);
+  }
+}
+
+/**
+ * Query one page through the query cache, recording any background revalidation
+ * @param {string} docType - Document type
+ * @param {object} options - Query options
+ * @param {object|null} source - Contract source (from getContractSources()); the main contract if null
+ * @returns {Promise<object[]>}
+ */
+async function queryCachedPage(docType, options, source = null) {
+  const client = source ? await connectSourceClient(source, connectOptions()) : sdkClient;
+  const contractId = source ? source.contractId : CONFIG.contractId;
+  const { documents, revalidation } = await client.queryDocumentsCached(contractId, docType, options);
+  if (revalidation) {
+    revalidations.push(revalidation);
+  }
+  return documents;
+}
+
+/**
+ * Reload the view quietly if revalidating its cached pages changed any of them
+ * The reload is served from the just-updated cache
+ * @param {number} generation - Load that showed the pages
+ * @param {Promise<boolean>[]} pending - Its revalidations
+ */
+async function refreshWhenRevalidated(generation, pending) {
+  if (pending.length === 0) {
+    return;
+  }
+
+  const changed = await Promise.all(pending);
+  if (changed.some(Boolean) && generation === loadGeneration) {
+    loadCurrentTab({ quiet: true });
+  }
+}
+
+/**
+ * Warm the query cache with the first page of every tab, from every contract
+ * Runs one query at a time after the initial view has loaded; failures
+ * (e.g. a contract without collections) are skipped, as are the remaining
+ * queries of a contract whose network could not be reached
+ */
+export async function prefetchTabs() {
+  const [main, ...federated] = getContractSources();
+  const queries = [
+    ...Object.keys(TAB_CONFIG).map(docType => [main, docType, tabPageOptions(docType)]),
+    ...Object.keys(TAB_CONFIG).map(docType => [main, docType, recentFeedOptions(null)]),
+    [main, 'collection', collectionsPageOptions()],
+    ...federated.flatMap(source => Object.keys(TAB_CONFIG).flatMap(docType => [
+      [source, docType, tabPageOptions(docType)],
+      [source, docType, recentFeedOptions(null)]
+    ]))
+  ];
+
+  const unreachable = new Set();
+  for (const [source, docType, options] of queries) {
+    if (!sdkClient.isReady()) {
+      return;
+    }
+    if (unreachable.has(sourceKey(source))) {
+      continue;
+    }
+    try {
+      const client = await connectSourceClient(source, connectOptions());
+      await client.queryDocumentsCached(source.contractId, docType, { ...options, startAfter: null });
+    } catch (error) {
+      console.warn(`Could not prefetch ${docType} documents from ${sourceLabel(source)}:`, error);
+      if (!getSourceClient(source, connectOptions()).isReady()) {
+        unreachable.add(sourceKey(source));
+      }
+    }
+  }
+}
+
+/**
+ * Get the connect() options of the main connection, which source clients share
+ * @returns {object}
+ */
+function connectOptions() {
+  return { verification: CONFIG.verification, custom: CONFIG.customNetwork };
+}
+
+/**
+ * Check whether the view merges pages from every configured contract
+ * (type tabs, their identifier searches and the recent feed)
+ * @returns {boolean}
+ */
+function isMergedView() {
+  return !publisherId && !collection && !isTagSearch() && activeTab !== COLLECTIONS_TAB;
+}
+
+/**
+ * Check whether more than one contract is browsed
+ * @returns {boolean}
+ */
+function isFederated() {
+  return getContractSources().length > 1;
+}
+
+/**
+ * Query one page merged across contract sources
+ * Every stream (a contract, or a contract and document type) is queried
+ * from its own cursor and the pages merged in query order, so a page is
+ * stable however the contracts' results interleave. A release several
+ * contracts list is shown once. Streams that fail are left out of the page
+ * (and keep their cursors) unless all of them fail.
+ * @param {{ key: string, source: object, docType: string }[]} streams
+ * @param {function(object, string|null): object} optionsFor - (stream, startAfter) -> query options
+ * @param {Array[]} orderBy - Order the streams are queried in
+ * @returns {Promise<{ results: object[], unreachable: object[] }>} The page and the sources that failed
+ */
+async function queryMergedPage(streams, optionsFor, orderBy) {
+  const cursor = currentCursor || { after: {}, claimed: [] };
+  const errors = [];
+
+  const pages = await Promise.all(streams.map(async stream => {
+    const options = optionsFor(stream, cursor.after[stream.key] || null);
+    try {
+      const documents = await queryCachedPage(stream.docType, options, stream.source);
+      return { ...stream, sourceKey: sourceKey(stream.source), documents, full: documents.length >= options.limit };
+    } catch (error) {
+      console.warn(`Could not query ${stream.docType} documents from ${sourceLabel(stream.source)}:`, error);
+      errors.push({ stream, error });
+      return { ...stream, sourceKey: sourceKey(stream.source), documents: [], full: false };
+    }
+  }));
+
+  if (errors.length === streams.length) {
+    throw errors[0].error;
+  }
+
+  const claimed = new Map(cursor.claimed);
+  const { entries, after, more } = mergeSourcePages(pages, compareByOrder(orderBy), CONFIG.pageSize, cursor.after, claimed);
+  mergedPageCursor = { after, claimed: [...claimed] };
+  mergedPageMore = more;
+
+  entries.forEach(({ doc, stream }) => {
+    resultTypes.set(doc, stream.docType);
+    resultSources.set(doc, stream.source);
+  });
+
+  const unreachable = [...new Set(errors.map(({ stream }) => stream.source))];
+  return { results: entries.map(({ doc }) => doc), unreachable };
+}
+
+/**
+ * Show which contracts could not be queried for the current page (hidden if none)
+ * @param {object[]} sources - Contract sources
+ */
+function showSourceNotice(sources) {
+  if (!elements.sourceNotice) return;
+  elements.sourceNotice.textContent = sources.length > 0
+    ? `Could not load results from ${sources.map(sourceLabel).join(', ')}; they are missing from this page`
+    : '';
+  elements.sourceNotice.style.display = sources.length > 0 ? '' : 'none';
+}
+
+/**
+ * Query one page of the active tab (search, filters and cursor applied) across contracts
+ * @returns {Promise<{ results: object[], unreachable: object[] }>}
+ */
+async function queryActiveTab() {
+  const options = tabPageOptions(activeTab);
+
+  // Add search filter if in search mode
+  if (isSearchMode && searchQuery) {
+    options.where = buildWhereClause(searchQuery);
+  }
+
+  // Season/episode filters use the (seriesImdbId, season, episode) index,
+  // so results within a series come back in episode order
+  if (seasonFilter !== null && options.where && options.where.some(([field]) => field === 'seriesImdbId')) {
+    options.orderBy = [['season', 'asc'], ['episode', 'asc']];
+  }
+
+  console.log(`Querying ${activeTab} documents:`, options);
+
+  const streams = getContractSources().map(source => ({ key: sourceKey(source), source, docType: activeTab }));
+  return await queryMergedPage(streams, (stream, startAfter) => ({ ...options, startAfter }), options.orderBy);
+}
+
+/**
+ * Build the query options of a tab page (sort order; no search or cursor)
+ * @param {string} docType - Document type
+ * @returns {object}
+ */
+function tabPageOptions(docType) {
+  const options = {
+    limit: CONFIG.pageSize,
+    // orderBy is required for range queries (startsWith) - must match the index field
+    orderBy: [[TAB_CONFIG[docType].indexField, 'asc']]
+  };
+
+  // Newest first walks the byCreatedAt index backwards (outside searches,
+  // which use the identifier indices)
+  if (sortMode === 'newest' && !(isSearchMode && docType === activeTab)) {
+    options.orderBy = [['$createdAt', 'desc']];
+  }
+
+  return options;
+}
+
+/**
+ * Build the query options of one type's part of a recent feed page
+ * @param {string|null} startAfter - Last document of the type already shown
+ * @returns {object}
+ */
+function recentFeedOptions(startAfter) {
+  return {
+    orderBy: [['$createdAt', 'desc']],
+    limit: CONFIG.pageSize,
+    startAfter
+  };
+}
+
+/**
+ * Build the query options of a collections tab page, newest first
+ * @returns {object}
+ */
+function collectionsPageOptions() {
+  return {
+    orderBy: [['$createdAt', 'desc']],
+    limit: CONFIG.pageSize,
+    startAfter: currentCursor && currentPage > 1 ? currentCursor : null
+  };
+}
+
+/**
+ * Query one page of the newest documents across all types and contracts
+ * Every type of every contract is queried newest first from its own cursor
+ * and the results merged
+ * @returns {Promise<{ results: object[], unreachable: object[] }>}
+ */
+async function queryRecentFeed() {
+  const streams = getContractSources().flatMap(source => Object.keys(TAB_CONFIG).map(docType => ({
+    key: `${sourceKey(source)}|${docType}`,
+    source,
+    docType
+  })));
+
+  return await queryMergedPage(streams, (stream, startAfter) => recentFeedOptions(startAfter), recentFeedOptions(null).orderBy);
+}
+
+/**
+ * Query one page of tag search results for the active tab
+ * Tags are paged newest first and their targets fetched by ID; a tag only
+ * counts when its tagger published the target, so a page can show fewer
+ * documents than tags and the cursor is the last tag document ID
+ * @returns {Promise<object[]>}
+ */
+async function queryTagPage() {
+  const tags = await sdkClient.getTagsByName(CONFIG.contractId, activeTab, searchQuery, {
+    limit: CONFIG.pageSize,
+    startAfter: currentCursor && currentPage > 1 ? currentCursor : null
+  });
+
+  tagPageFull = tags.length >= CONFIG.pageSize;
+  tagPageCursor = tags.length > 0 ? (tags[tags.length - 1].$id || tags[tags.length - 1].id) : null;
+
+  const targets = await Promise.all(tags.map(tag =>
+    sdkClient.getDocument(CONFIG.contractId, activeTab, formatIdentifier((tag.data || tag).targetId))
+  ));
+
+  const seen = new Set();
+  return targets.filter((doc, index) => {
+    if (!doc) return false;
+    const documentId = doc.$id || doc.id;
+    const taggerId = formatIdentifier(tags[index].$ownerId || tags[index].ownerId);
+    if (seen.has(documentId) || formatIdentifier(doc.$ownerId || doc.ownerId) !== taggerId) {
+      return false;
+    }
+    seen.add(documentId);
+    return true;
+  });
+}
+
+/**
+ * Query one page of the open collection
+ * The cursor is the offset of the page's first item
+ * @returns {Promise<object[]>}
+ */
+async function queryCollectionPage() {
+  const offset = currentCursor || 0;
+  const items = collection.items.slice(offset, offset + CONFIG.pageSize);
+
+  const matches = await sdkClient.getCollectionDocuments(CONFIG.contractId, items);
+  const { entries, missing } = orderCollectionDocuments(items, matches, collection.ownerId);
+
+  collectionMissing = missing.length;
+  updateCollectionMeta();
+
+  entries.forEach(({ doc, documentType }) => resultTypes.set(doc, documentType));
+  return entries.map(({ doc }) => doc);
+}
+
+/**
+ * Get a document's creation time
+ * @param {object} doc - Document from query
+ * @returns {number} Milliseconds since the epoch (0 if unknown)
+ */
+function getCreatedAt(doc) {
+  return Number(doc.$createdAt ?? doc.createdAt ?? 0);
+}
+
+/**
+ * Sort documents newest first
+ * @param {object[]} documents - Documents from query
+ * @returns {object[]} A sorted copy
+ */
+function sortByNewest(documents) {
+  return [...documents].sort((a, b) => getCreatedAt(b) - getCreatedAt(a));
+}
+
+/**
+ * Query one page of the publisher's documents across all types
+ * Types are walked in tab order and a page continues into the next type
+ * once the current one runs out, so the cursor is { typeIndex, startAfter }
+ * @returns {Promise<object[]>}
+ */
+async function queryPublisherPage() {
+  const docTypes = Object.keys(TAB_CONFIG);
+  let { typeIndex, startAfter } = currentCursor || { typeIndex: 0, startAfter: null };
+  const documents = [];
+
+  while (typeIndex < docTypes.length && documents.length < CONFIG.pageSize) {
+    const docType = docTypes[typeIndex];
+    const limit = CONFIG.pageSize - documents.length;
+    const results = await sdkClient.getDocumentsByOwner(CONFIG.contractId, docType, publisherId, { limit, startAfter });
+
+    results.forEach(doc => {
+      documents.push(doc);
+      resultTypes.set(doc, docType);
+    });
+
+    if (results.length < limit) {
+      typeIndex++;
+      startAfter = null;
+    } else {
+      const lastDoc = results[results.length - 1];
+      startAfter = lastDoc.$id || lastDoc.id;
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Resolve DPNS names for the publishers on the page and update their cards
+ * Failures leave the shortened identity IDs in place
+ * @param {object[]} documents - Rendered documents
+ */
+async function resolvePublisherNames(documents) {
+  const ownerIds = documents.map(doc => formatIdentifier(doc.$ownerId || doc.ownerId)).filter(Boolean);
+  if (publisherId) {
+    ownerIds.push(publisherId);
+  }
+  if (collection) {
+    ownerIds.push(collection.ownerId);
+  }
+
+  try {
+    const names = await sdkClient.getDpnsNames(ownerIds);
+    names.forEach((name, ownerId) => publisherNames.set(ownerId, name));
+  } catch (error) {
+    console.warn('Could not resolve DPNS names:', error);
+    return;
+  }
 
-  // Load data for new tab
-  loadCurrentTab();
+  elements.resultsGrid.querySelectorAll('.publisher-link, .publisher-name').forEach(link => {
+    link.textContent = formatPublisher(link.dataset.ownerId);
+  });
+  if (publisherId && publisherNames.get(publisherId)) {
+    elements.publisherName.textContent = publisherNames.get(publisherId);
+  }
+  if (collection) {
+    updateCollectionMeta();
+  }
 }
 
 /**
- * Update search input placeholder based on active tab
+ * Format a publisher for display: DPNS name, or a shortened identity ID
+ * @param {string} ownerId - Publisher identity ID
+ * @returns {string}
  */
-function updateSearchPlaceholder() {
-  const config = TAB_CONFIG[activeTab];
-  if (config && elements.searchInput) {
-    elements.searchInput.placeholder = config.searchPlaceholder;
-  }
+function formatPublisher(ownerId) {
+  return publisherNames.get(ownerId) || `${ownerId.substring(0, 6)}...${ownerId.substring(ownerId.length - 4)}`;
 }
 
 /**
- * Reset pagination state
+ * Get the contract source a rendered document came from
+ * @param {object} doc - Document from query
+ * @returns {object} Its source, or the main contract's
  */
-function resetPagination() {
-  currentPage = 1;
-  pageHistory = [];
-  currentCursor = null;
-  lastResults = [];
-  updatePaginationUI();
+function getResultSource(doc) {
+  return resultSources.get(doc) || getContractSources()[0];
 }
 
 /**
- * Load data for the current tab
+ * Check whether the signing identity can write to a source (votes, reports)
+ * Identities live on one network, so only contracts on the main
+ * connection's network are writable
+ * @param {object} source - Contract source
+ * @returns {boolean}
  */
-export async function loadCurrentTab() {
-  if (!sdkClient.isReady()) {
-    console.log('SDK not ready yet');
-    return;
-  }
-
-  showLoading();
-
-  try {
-    const tabConfig = TAB_CONFIG[activeTab];
-    const options = {
-      limit: CONFIG.pageSize,
-      // orderBy is required for range queries (startsWith) - must match the index field
-      orderBy: [[tabConfig.indexField, 'asc']]
-    };
+function canWriteTo(source) {
+  return getSourceClient(source, connectOptions()) === sdkClient;
+}
 
-    // Add cursor for pagination if not first page
-    if (currentCursor && currentPage > 1) {
-      options.startAfter = currentCursor;
+/**
+ * Split a page of documents by the contract they came from
+ * Votes, tags and moderation decisions live in each document's own contract
+ * @param {object[]} documents - Documents from query
+ * @returns {{ source: object, client: SdkClient, documents: object[] }[]}
+ */
+function groupBySource(documents) {
+  const groups = new Map();
+  documents.forEach(doc => {
+    const source = getResultSource(doc);
+    const key = sourceKey(source);
+    if (!groups.has(key)) {
+      groups.set(key, { source, client: getSourceClient(source, connectOptions()), documents: [] });
     }
+    groups.get(key).documents.push(doc);
+  });
+  return [...groups.values()];
+}
 
-    // Add search filter if in search mode
-    if (isSearchMode && searchQuery) {
-      options.where = buildWhereClause(searchQuery);
+/**
+ * Fetch and aggregate votes for a page of documents
+ * Failures (e.g. a contract without the vote type) just leave scores empty
+ * @param {object[]} documents - Torrent documents
+ * @returns {Promise<Map>} Scores by infohash hex
+ */
+async function loadVoteScores(documents) {
+  const perSource = await Promise.all(groupBySource(documents).map(async ({ source, client, documents }) => {
+    const infoHashes = documents
+      .map(doc => decodeByteField((doc.data || doc).infoHash))
+      .filter(hash => hash && hash.length === 20);
+
+    try {
+      const votes = await client.getVoteDocuments(source.contractId, infoHashes);
+      return aggregateVotes(votes, CONFIG.identityId);
+    } catch (error) {
+      console.warn('Could not load votes:', error);
+      return new Map();
     }
+  }));
 
-    console.log(`Querying ${activeTab} documents:`, options);
+  return new Map(perSource.flatMap(scores => [...scores]));
+}
 
-    const results = await sdkClient.queryDocuments(
-      CONFIG.contractId,
-      activeTab,
-      options
-    );
+/**
+ * Fetch each contract owner's hide decisions for a page of documents
+ * Failures (e.g. a contract without the moderation type) hide nothing
+ * @param {object[]} documents - Torrent documents
+ * @returns {Promise<Set<string>>} Hidden document IDs
+ */
+async function loadHiddenTargets(documents) {
+  const perSource = await Promise.all(groupBySource(documents).map(async ({ source, client, documents }) => {
+    const documentIds = documents.map(doc => doc.$id || doc.id).filter(Boolean);
+
+    try {
+      const moderatorId = await client.getContractOwnerId(source.contractId);
+      const decisions = await client.getModerationDecisions(source.contractId, moderatorId, documentIds);
+      return collectHiddenTargets(decisions);
+    } catch (error) {
+      console.warn('Could not load moderation decisions:', error);
+      return new Set();
+    }
+  }));
 
-    lastResults = results || [];
-    renderResults(lastResults);
-    updatePaginationUI();
+  return new Set(perSource.flatMap(hidden => [...hidden]));
+}
 
-  } catch (error) {
-    console.error('Failed to load documents:', error);
-    showError(error.message);
-  }
+/**
+ * Fetch the publishers' tags for a page of documents
+ * Failures (e.g. a contract without the tag type) just leave cards untagged
+ * @param {object[]} documents - Torrent documents
+ * @returns {Promise<Map<string, string[]>>} Tag names by document ID
+ */
+async function loadTags(documents) {
+  const perSource = await Promise.all(groupBySource(documents).map(async ({ source, client, documents }) => {
+    const ownersByTarget = new Map(documents
+      .filter(doc => (doc.$id || doc.id) && (doc.$ownerId || doc.ownerId))
+      .map(doc => [formatIdentifier(doc.$id || doc.id), formatIdentifier(doc.$ownerId || doc.ownerId)]));
+
+    try {
+      const tags = await client.getTagsForTargets(source.contractId, [...ownersByTarget.keys()]);
+      return groupTagsByTarget(tags, ownersByTarget);
+    } catch (error) {
+      console.warn('Could not load tags:', error);
+      return new Map();
+    }
+  }));
+
+  return new Map(perSource.flatMap(tags => [...tags]));
 }
 
 /**
@@ -222,39 +1211,67 @@ export async function loadCurrentTab() {
  */
 function buildWhereClause(query) {
   const config = TAB_CONFIG[activeTab];
-  const field = config.searchField;
 
-  if (field === 'imdbId' || field === 'seriesImdbId') {
-    // Parse IMDB format
-    const imdbNum = parseImdbId(query);
-    if (imdbNum !== null) {
-      return [[field, '==', imdbNum]];
-    }
-  } else if (field === 'workId') {
-    // Parse OpenLibrary format
-    const workNum = parseWorkId(query);
-    if (workNum !== null) {
-      return [[field, '==', workNum]];
+  // Identifier parsing and exact/prefix semantics come from the registry
+  const where = buildIdentifierWhere(activeTab, query);
+  if (!where) {
+    return null;
+  }
+
+  // Narrow a series search to a season and optionally an episode
+  if (config.episodeFilters && seasonFilter !== null) {
+    where.push(['season', '==', seasonFilter]);
+    if (episodeFilter !== null) {
+      where.push(['episode', '==', episodeFilter]);
     }
-  } else if (field === 'title') {
-    // Title search: starts with
-    return [[field, 'startsWith', query]];
   }
 
-  return null;
+  return where;
 }
 
 /**
  * Handle search
  */
 function handleSearch() {
-  const query = elements.searchInput.value.trim();
+  let query = elements.searchInput.value.trim();
+  const mode = elements.searchModeSelect.value;
+
+  // Season/episode filters only apply to TV identifier searches
+  const config = TAB_CONFIG[activeTab];
+  const episodeFilters = config.episodeFilters && mode !== 'tag';
+  seasonFilter = episodeFilters ? readFilterNumber(elements.seasonFilterInput) : null;
+  episodeFilter = episodeFilters ? readFilterNumber(elements.episodeFilterInput) : null;
+
+  // Tags are searched in their stored form
+  if (query && mode === 'tag') {
+    query = normalizeTag(query);
+    if (!query) {
+      showError('Tags are letters and digits separated by hyphens (e.g., linux-distro)');
+      return;
+    }
+    elements.searchInput.value = query;
+  }
 
   if (!query) {
+    if (seasonFilter !== null || episodeFilter !== null) {
+      showError('Enter a series IMDB ID to filter by season or episode');
+      return;
+    }
     clearSearch();
     return;
   }
 
+  if (episodeFilter !== null && seasonFilter === null) {
+    showError('Enter a season to filter by episode');
+    return;
+  }
+
+  if (seasonFilter !== null && !buildIdentifierWhere(activeTab, query)) {
+    showError('Enter a series IMDB ID to filter by season or episode');
+    return;
+  }
+
+  searchMode = mode;
   searchQuery = query;
   isSearchMode = true;
   resetPagination();
@@ -267,6 +1284,7 @@ function handleSearch() {
 function clearSearch() {
   elements.searchInput.value = '';
   searchQuery = '';
+  resetEpisodeFilters();
   isSearchMode = false;
   resetPagination();
   loadCurrentTab();
@@ -288,11 +1306,22 @@ export function showSettingsModal() {
     // Clear all radio selections
     elements.networkRadios.forEach(r => r.checked = false);
   }
+  elements.customAddressesInput.value = CONFIG.customNetwork ? CONFIG.customNetwork.addresses.join('\n') : '';
+  elements.customNetworkTypeSelect.value = CONFIG.customNetwork ? CONFIG.customNetwork.network : 'local';
+  updateCustomNetworkFields();
+  const verificationRadio = document.querySelector(`input[name="verification"][value="${CONFIG.verification}"]`);
+  if (verificationRadio) verificationRadio.checked = true;
   if (CONFIG.contractId) {
     elements.contractIdInput.value = CONFIG.contractId;
   } else {
     elements.contractIdInput.value = '';
   }
+  elements.contractLabelInput.value = CONFIG.contractLabel || '';
+  elements.federatedContractsInput.value = formatContractSources(CONFIG.federatedContracts);
+  elements.identityIdInput.value = CONFIG.identityId || '';
+  elements.signingKeyInput.value = getSigningKey() || '';
+  elements.trustedPublishersInput.value = CONFIG.trustedPublishers.join('\n');
+  elements.curatorIdInput.value = '';
 
   // Hide cancel button if no settings configured (force user to configure)
   elements.settingsCancelBtn.style.display = hasSettings() ? 'block' : 'none';
@@ -308,6 +1337,18 @@ export function hideSettingsModal() {
   // Clear any error states
   elements.networkToggle.classList.remove('input-error');
   elements.contractIdInput.classList.remove('input-error');
+  elements.federatedContractsInput.classList.remove('input-error');
+  elements.customAddressesInput.classList.remove('input-error');
+  elements.identityIdInput.classList.remove('input-error');
+  elements.trustedPublishersInput.classList.remove('input-error');
+}
+
+/**
+ * Show the DAPI address fields only while the custom network is selected
+ */
+function updateCustomNetworkFields() {
+  const selected = document.querySelector('input[name="network"]:checked');
+  elements.customNetworkFields.style.display = selected && selected.value === 'custom' ? '' : 'none';
 }
 
 /**
@@ -316,7 +1357,15 @@ export function hideSettingsModal() {
 async function handleSaveSettings() {
   const selectedNetwork = document.querySelector('input[name="network"]:checked');
   const network = selectedNetwork ? selectedNetwork.value : '';
+  const selectedVerification = document.querySelector('input[name="verification"]:checked');
+  const verification = selectedVerification ? selectedVerification.value : 'trusted';
   const contractId = elements.contractIdInput.value.trim();
+  const contractLabel = elements.contractLabelInput.value.trim();
+  const federated = parseContractSourcesInput(elements.federatedContractsInput.value);
+  const identityId = elements.identityIdInput.value.trim();
+  const signingKey = elements.signingKeyInput.value.trim();
+  const trustList = parseIdentityListInput(elements.trustedPublishersInput.value);
+  const customAddresses = parseDapiAddressesInput(elements.customAddressesInput.value);
 
   // Validate
   let valid = true;
@@ -328,6 +1377,17 @@ async function handleSaveSettings() {
     elements.networkToggle.classList.remove('input-error');
   }
 
+  // A custom network needs at least one node and no malformed addresses
+  if (network === 'custom' && (customAddresses.addresses.length === 0 || customAddresses.invalid.length > 0)) {
+    elements.customAddressesInput.classList.add('input-error');
+    elements.customNetworkStatus.textContent = customAddresses.invalid.length > 0
+      ? `Not valid addresses: ${customAddresses.invalid.join(', ')}`
+      : 'Enter at least one DAPI address';
+    valid = false;
+  } else {
+    elements.customAddressesInput.classList.remove('input-error');
+  }
+
   if (!contractId) {
     elements.contractIdInput.classList.add('input-error');
     valid = false;
@@ -335,12 +1395,44 @@ async function handleSaveSettings() {
     elements.contractIdInput.classList.remove('input-error');
   }
 
+  if (federated.invalid.length > 0) {
+    elements.federatedContractsInput.classList.add('input-error');
+    elements.federatedContractsStatus.textContent = `Not valid contract IDs: ${federated.invalid.join(', ')}`;
+    valid = false;
+  } else {
+    elements.federatedContractsInput.classList.remove('input-error');
+  }
+
+  // A signing key is only useful with the identity it belongs to
+  if (signingKey && !identityId) {
+    elements.identityIdInput.classList.add('input-error');
+    valid = false;
+  } else {
+    elements.identityIdInput.classList.remove('input-error');
+  }
+
+  if (trustList.invalid.length > 0) {
+    elements.trustedPublishersInput.classList.add('input-error');
+    elements.trustImportStatus.textContent = `Not valid identity IDs: ${trustList.invalid.join(', ')}`;
+    valid = false;
+  } else {
+    elements.trustedPublishersInput.classList.remove('input-error');
+  }
+
   if (!valid) {
     return;
   }
 
-  // Save settings
-  saveSettings(contractId, network);
+  // Save settings (the signing key only for this session)
+  saveSettings(contractId, network, identityId, {
+    verification,
+    customNetwork: { network: elements.customNetworkTypeSelect.value, addresses: customAddresses.addresses },
+    contractLabel,
+    federatedContracts: federated.sources
+  });
+  setSigningKey(signingKey);
+  saveTrustSettings(trustList.identities, CONFIG.trustedOnly && trustList.identities.length > 0);
+  updateTrustSelect();
 
   // Update footer display
   updateContractDisplay();
@@ -353,17 +1445,62 @@ async function handleSaveSettings() {
 }
 
 /**
- * Update the contract ID display in the footer
+ * Merge a curator's on-chain trust list into the trusted publishers field
+ * The merged list takes effect when the settings are saved
+ */
+async function handleImportTrustList() {
+  const curatorId = elements.curatorIdInput.value.trim();
+  const contractId = elements.contractIdInput.value.trim() || CONFIG.contractId;
+
+  if (!curatorId || !contractId) {
+    elements.trustImportStatus.textContent = 'Enter a contract ID and a curator identity ID to import';
+    return;
+  }
+
+  if (!sdkClient.isReady()) {
+    elements.trustImportStatus.textContent = 'Connect to a network before importing';
+    return;
+  }
+
+  elements.importTrustListBtn.disabled = true;
+  elements.trustImportStatus.textContent = 'Fetching trust list...';
+
+  try {
+    const list = await sdkClient.getTrustList(contractId, curatorId);
+    if (!list) {
+      elements.trustImportStatus.textContent = 'This curator has not published a trust list';
+      return;
+    }
+
+    const data = list.data || list;
+    const imported = parseIdentityListInput(data.identities).identities;
+    const current = parseIdentityListInput(elements.trustedPublishersInput.value).identities;
+    const merged = [...new Set([...current, ...imported])];
+
+    elements.trustedPublishersInput.value = merged.join('\n');
+    elements.trustImportStatus.textContent =
+      `Imported "${data.name}" (${imported.length} identities, ${merged.length - current.length} new). Save to apply.`;
+  } catch (error) {
+    console.error('Trust list import failed:', error);
+    elements.trustImportStatus.textContent = `Import failed: ${error.message}`;
+  } finally {
+    elements.importTrustListBtn.disabled = false;
+  }
+}
+
+/**
+ * Update the contract ID display in the footer (with the number of federated contracts)
  */
 export function updateContractDisplay() {
   if (elements.contractIdDisplay) {
     if (CONFIG.contractId) {
       // Show truncated contract ID
       const id = CONFIG.contractId;
-      elements.contractIdDisplay.textContent = id.length > 20
+      const others = getContractSources().slice(1);
+      elements.contractIdDisplay.textContent = (id.length > 20
         ? `${id.substring(0, 8)}...${id.substring(id.length - 8)}`
-        : id;
-      elements.contractIdDisplay.title = CONFIG.contractId;
+        : id) + (others.length > 0 ? ` (+${others.length} more)` : '');
+      elements.contractIdDisplay.title = [CONFIG.contractId, ...others.map(source => `${sourceLabel(source)}: ${source.contractId} (${source.network})`)].join('\n');
     } else {
       elements.contractIdDisplay.textContent = 'Not configured';
       elements.contractIdDisplay.title = '';
@@ -375,17 +1512,31 @@ export function updateContractDisplay() {
  * Load next page
  */
 async function loadNextPage() {
-  if (lastResults.length < CONFIG.pageSize) {
+  if (!hasMoreResults()) {
     return; // No more results
   }
 
   // Save current cursor to history for going back
   pageHistory.push(currentCursor);
 
-  // Set cursor to last document's ID
-  if (lastResults.length > 0) {
+  // Set cursor to last document's ID (in the publisher view with its type;
+  // in merged tab and recent pages, the last document of every contract and
+  // type; in a tag search, the last tag document; in a collection, the next
+  // item offset)
+  if (isTagSearch()) {
+    currentCursor = tagPageCursor;
+  } else if (collection) {
+    currentCursor = (currentCursor || 0) + CONFIG.pageSize;
+  } else if (isMergedView()) {
+    currentCursor = mergedPageCursor;
+  } else if (lastResults.length > 0) {
     const lastDoc = lastResults[lastResults.length - 1];
-    currentCursor = lastDoc.$id || lastDoc.id;
+    const lastId = lastDoc.$id || lastDoc.id;
+    if (publisherId) {
+      currentCursor = { typeIndex: Object.keys(TAB_CONFIG).indexOf(resultTypes.get(lastDoc)), startAfter: lastId };
+    } else {
+      currentCursor = lastId;
+    }
   }
 
   currentPage++;
@@ -407,12 +1558,28 @@ async function loadPreviousPage() {
   await loadCurrentTab();
 }
 
+/**
+ * Check whether another page may follow the current one
+ * Tag search, collection and merged pages can hold fewer documents than the
+ * page size, so they are judged by their tags, items and contracts
+ * @returns {boolean}
+ */
+function hasMoreResults() {
+  if (collection) {
+    return (currentCursor || 0) + CONFIG.pageSize < collection.items.length;
+  }
+  if (isMergedView()) {
+    return mergedPageMore;
+  }
+  return isTagSearch() ? tagPageFull : lastResults.length >= CONFIG.pageSize;
+}
+
 /**
  * Update pagination UI
  */
 function updatePaginationUI() {
-  const hasResults = lastResults.length > 0;
-  const hasMore = lastResults.length >= CONFIG.pageSize;
+  const hasMore = hasMoreResults();
+  const hasResults = lastResults.length > 0 || hasMore;
   const hasPrevious = currentPage > 1;
 
   // Show/hide pagination
@@ -439,42 +1606,232 @@ function renderResults(documents) {
     return;
   }
 
-  hideEmpty();
+  if (isCollectionList()) {
+    renderCollections(documents);
+    return;
+  }
+
+  // Release filters only apply to the fetched page; keep pagination so
+  // later pages can still be checked for matches. Moderated documents are
+  // dropped the same way.
+  const visible = documents
+    .filter(doc => !hiddenTargets.has(doc.$id || doc.id))
+    .filter(doc => !CONFIG.trustedOnly || isTrustedPublisher(doc))
+    .filter(matchesReleaseFilters)
+    .filter(matchesLanguageFilter);
 
   // Clear grid
   elements.resultsGrid.innerHTML = '';
 
+  if (visible.length === 0) {
+    showEmpty();
+    return;
+  }
+
+  hideEmpty();
+
+  let ordered = visible;
+  if (sortMode === 'score') {
+    ordered = sortByScore(visible, voteScores);
+  } else if (sortMode === 'newest') {
+    ordered = sortByNewest(visible);
+  }
+
   // Render cards
-  documents.forEach(doc => {
-    const card = createTorrentCard(doc);
+  ordered.forEach(doc => {
+    const card = createTorrentCard(doc, resultTypes.get(doc) || activeTab);
     elements.resultsGrid.appendChild(card);
   });
 }
 
+/**
+ * Render collection cards to the grid (hidden and untrusted curators dropped as for torrents)
+ * @param {object[]} documents - collection documents
+ */
+function renderCollections(documents) {
+  const visible = documents
+    .filter(doc => !hiddenTargets.has(doc.$id || doc.id))
+    .filter(doc => !CONFIG.trustedOnly || isTrustedPublisher(doc));
+
+  elements.resultsGrid.innerHTML = '';
+
+  if (visible.length === 0) {
+    showEmpty();
+    return;
+  }
+
+  hideEmpty();
+  visible.forEach(doc => elements.resultsGrid.appendChild(createCollectionCard(doc)));
+}
+
+/**
+ * Create a collection card element
+ * @param {object} doc - collection document
+ */
+function createCollectionCard(doc) {
+  const data = doc.data || doc;
+  const ownerId = formatIdentifier(doc.$ownerId || doc.ownerId);
+  const itemCount = parseCollectionItems(data.items).items.length;
+  const createdAt = getCreatedAt(doc);
+
+  const card = document.createElement('div');
+  card.className = 'torrent-card collection-card';
+
+  card.innerHTML = `
+    <div class="card-title" title="${escapeHtml(data.title)}">
+      ${escapeHtml(data.title)}
+    </div>
+    ${data.description ? `<p class="collection-description">${escapeHtml(data.description)}</p>` : ''}
+    ${ownerId ? `
+    <div class="card-publisher">
+      <span>By</span>
+      <button class="publisher-link" data-owner-id="${escapeHtml(ownerId)}" title="All releases by ${escapeHtml(ownerId)}">${escapeHtml(formatPublisher(ownerId))}</button>
+    </div>` : ''}
+    <div class="card-meta">
+      <span class="card-meta-item"><span>Items:</span> <strong>${itemCount}</strong></span>
+      ${createdAt ? `<span class="card-meta-item"><span>Created:</span> <strong>${escapeHtml(formatRelativeTime(createdAt))}</strong></span>` : ''}
+    </div>
+    <div class="card-actions">
+      <button class="btn btn-magnet btn-open-collection">Open Collection</button>
+    </div>
+  `;
+
+  const publisherLink = card.querySelector('.publisher-link');
+  if (publisherLink) {
+    publisherLink.addEventListener('click', () => showPublisher(ownerId));
+  }
+
+  card.querySelector('.btn-open-collection').addEventListener('click', () => showCollection(doc));
+
+  return card;
+}
+
+/**
+ * Describe how a document was verified, for its card badge
+ * A proof served from the query cache only shows the document as it was when
+ * cached, so it gets its own badge until the background query replaces it
+ * @param {{ level: string, height: number|null, cachedAt?: number }|null} verification - From sdkClient.getVerification()
+ * @returns {{ level: string, label: string, title: string }|null} null if unknown
+ */
+function describeVerification(verification) {
+  if (!verification) {
+    return null;
+  }
+  if (verification.level === 'proof' && verification.cachedAt) {
+    return {
+      level: 'cached',
+      label: `Proof verified (cached, ${formatRelativeTime(verification.cachedAt)})`,
+      title: `Checked against a GroveDB proof${verification.height ? ` at block ${verification.height}` : ''} when cached; refreshed in the background once older than 30 seconds`
+    };
+  }
+  if (verification.level === 'proof') {
+    return {
+      level: 'proof',
+      label: 'Proof verified',
+      title: verification.height
+        ? `Checked against a GroveDB proof signed by a Platform quorum (block ${verification.height})`
+        : 'Checked against a GroveDB proof signed by a Platform quorum'
+    };
+  }
+  if (verification.level === 'local') {
+    return { level: 'local', label: 'Local', title: 'From the in-memory local network; there is nothing to verify' };
+  }
+  return { level: 'trusted', label: 'Trusted node', title: 'Returned by a DAPI node without a proof; choose Proof-Verified in Settings to check it' };
+}
+
 /**
  * Create a torrent card element
+ * The publisher view and tag searches only cover the main contract, so the
+ * publisher and tags are links on its documents (home) and plain text on
+ * federated ones. Votes and reports go to the card's own contract, so they
+ * appear wherever canWriteTo() allows (writable): federated contracts on the
+ * main connection's network included
+ * @param {object} doc - Document from query
+ * @param {string} docType - Document type the document was queried from
  */
-function createTorrentCard(doc) {
+function createTorrentCard(doc, docType) {
   const card = document.createElement('div');
   card.className = 'torrent-card';
 
+  // Untrusted publishers are marked when not filtered out
+  const trusted = isTrustedPublisher(doc);
+  if (!trusted) {
+    card.classList.add('untrusted');
+  }
+
   // Format document data
-  const formatted = formatDocument(doc);
+  const formatted = formatDocument(doc, docType);
+  const ownerId = formatIdentifier(doc.$ownerId || doc.ownerId);
+  const votes = (formatted.infoHashHex && voteScores.get(formatted.infoHashHex)) || emptyScore();
+  const ownVote = votes.own ? votes.own.value : 0;
+  const tags = tagsByTarget.get(formatIdentifier(doc.$id || doc.id)) || [];
+  const source = getResultSource(doc);
+  const home = sourceKey(source) === sourceKey(getContractSources()[0]);
+  const writable = canWriteTo(source);
+  const verification = describeVerification(getSourceClient(source, connectOptions()).getVerification(doc));
 
   card.innerHTML = `
     <div class="card-title" title="${escapeHtml(formatted.torrentName)}">
       ${escapeHtml(formatted.torrentName)}
     </div>
+    <div class="card-badges">
+      ${isFederated() ? `<span class="badge badge-source" title="Listed in contract ${escapeHtml(source.contractId)} (${escapeHtml(source.network)})">${escapeHtml(sourceLabel(source))}</span>` : ''}
+      ${verification ? `<span class="badge badge-${verification.level}" title="${escapeHtml(verification.title)}">${verification.label}</span>` : ''}
+      ${formatted.isNew ? '<span class="badge badge-new" title="Added since your last visit">New</span>' : ''}
+      ${!trusted ? '<span class="badge badge-untrusted" title="Publisher is not in your trusted list">Untrusted publisher</span>' : ''}
+      ${formatted.badges.map(badge => `
+        <span class="badge badge-${badge.field}">${escapeHtml(badge.value)}</span>
+      `).join('')}
+    </div>
+    ${ownerId ? `
+    <div class="card-publisher">
+      <span>By</span>
+      ${home
+        ? `<button class="publisher-link" data-owner-id="${escapeHtml(ownerId)}" title="All releases by ${escapeHtml(ownerId)}">${escapeHtml(formatPublisher(ownerId))}</button>`
+        : `<span class="publisher-name" data-owner-id="${escapeHtml(ownerId)}" title="${escapeHtml(ownerId)}">${escapeHtml(formatPublisher(ownerId))}</span>`}
+    </div>` : ''}
+    ${formatted.audioLanguages.length > 0 || formatted.subtitleLanguages.length > 0 ? `
+    <div class="card-languages">
+      ${formatted.audioLanguages.length > 0 ? `
+      <span class="lang-group">
+        <span class="lang-label">Audio</span>
+        ${formatted.audioLanguages.map(code => `<span class="lang-chip" title="${escapeHtml(formatLanguage(code))}">${escapeHtml(code.toUpperCase())}</span>`).join('')}
+      </span>` : ''}
+      ${formatted.subtitleLanguages.length > 0 ? `
+      <span class="lang-group">
+        <span class="lang-label">Subs</span>
+        ${formatted.subtitleLanguages.map(code => `<span class="lang-chip lang-chip-sub" title="${escapeHtml(formatLanguage(code))}">${escapeHtml(code.toUpperCase())}</span>`).join('')}
+      </span>` : ''}
+    </div>` : ''}
+    ${tags.length > 0 ? `
+    <div class="card-tags">
+      ${tags.map(tag => home
+        ? `<button class="tag-chip" data-tag="${escapeHtml(tag)}" title="Browse tag ${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`
+        : `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}
+    </div>` : ''}
     <div class="card-meta">
       ${formatted.metaItems.map(item => `
         <span class="card-meta-item">
           <span>${item.label}:</span>
-          <strong>${escapeHtml(item.value)}</strong>
+          ${item.url
+            ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener"><strong>${escapeHtml(item.value)}</strong></a>`
+            : `<strong>${escapeHtml(item.value)}</strong>`}
         </span>
       `).join('')}
     </div>
+    ${formatted.infoHashHex ? `
+    <div class="card-votes">
+      ${writable ? `<button class="vote-btn vote-up${ownVote === 1 ? ' active' : ''}" data-value="1" title="Upvote">&#9650;</button>` : ''}
+      <span class="vote-score" title="${votes.up} up, ${votes.down} down">${votes.score}</span>
+      ${writable ? `<button class="vote-btn vote-down${ownVote === -1 ? ' active' : ''}" data-value="-1" title="Downvote">&#9660;</button>
+      <button class="btn-report" title="Report this release">Report</button>` : ''}
+    </div>
+    <details class="card-files">
+      <summary>Files</summary>
+      <div class="card-files-body"></div>
+    </details>` : ''}
     <div class="card-actions">
-      <button class="btn btn-magnet" onclick="window.open('${escapeHtml(formatted.magnetUri)}')">
+      <button class="btn btn-magnet">
         Open Magnet
       </button>
       <button class="btn btn-copy" data-magnet="${escapeHtml(formatted.magnetUri)}">
@@ -483,6 +1840,46 @@ function createTorrentCard(doc) {
     </div>
   `;
 
+  // Publisher link opens the publisher view
+  const publisherLink = card.querySelector('.publisher-link');
+  if (publisherLink) {
+    publisherLink.addEventListener('click', () => showPublisher(ownerId));
+  }
+
+  // Tag chips search the document's type for the tag
+  card.querySelectorAll('button.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => searchTag(docType, chip.dataset.tag));
+  });
+
+  // Vote buttons
+  card.querySelectorAll('.vote-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      handleVote(card, formatted.infoHashHex, parseInt(button.dataset.value, 10), source);
+    });
+  });
+
+  // Report button
+  const reportBtn = card.querySelector('.btn-report');
+  if (reportBtn) {
+    reportBtn.addEventListener('click', () => {
+      showReportModal({ documentId: doc.$id || doc.id, docType, torrentName: formatted.torrentName, source });
+    });
+  }
+
+  // Fetch the file list the first time it is expanded
+  const filesDetails = card.querySelector('.card-files');
+  if (filesDetails) {
+    filesDetails.addEventListener('toggle', () => {
+      if (filesDetails.open && !filesDetails.dataset.loaded) {
+        filesDetails.dataset.loaded = 'true';
+        loadFileList(filesDetails, formatted.infoHashHex, ownerId, source);
+      }
+    });
+  }
+
+  // Open the magnet link (not an inline handler: the URI may hold quotes)
+  card.querySelector('.btn-magnet').addEventListener('click', () => window.open(formatted.magnetUri));
+
   // Add copy button handler
   const copyBtn = card.querySelector('.btn-copy');
   copyBtn.addEventListener('click', () => {
@@ -496,46 +1893,199 @@ function createTorrentCard(doc) {
   return card;
 }
 
+/**
+ * Cast a vote from a card; voting the same way again withdraws the vote
+ * @param {HTMLElement} card - The card voted on
+ * @param {string} infoHashHex - Release infohash (hex)
+ * @param {number} value - 1 or -1
+ * @param {object} source - Contract source the release is listed in (votes go there)
+ */
+async function handleVote(card, infoHashHex, value, source) {
+  if (!canSign()) {
+    updateSdkStatus('error', 'Add an identity and private key in Settings to vote');
+    showSettingsModal();
+    return;
+  }
+
+  if (!voteScores.has(infoHashHex)) {
+    voteScores.set(infoHashHex, emptyScore());
+  }
+  const entry = voteScores.get(infoHashHex);
+  const newValue = entry.own && entry.own.value === value ? 0 : value;
+
+  const buttons = card.querySelectorAll('.vote-btn');
+  buttons.forEach(button => { button.disabled = true; });
+
+  try {
+    const client = getSourceClient(source, connectOptions());
+    const documentId = await client.castVote(
+      source.contractId,
+      CONFIG.identityId,
+      hexToBytes(infoHashHex),
+      newValue,
+      getSigningKey(),
+      entry.own
+    );
+    applyOwnVote(entry, newValue, documentId);
+    renderResults(lastResults);
+  } catch (error) {
+    console.error('Vote failed:', error);
+    updateSdkStatus('error', `Vote failed: ${error.message}`);
+    buttons.forEach(button => { button.disabled = false; });
+  }
+}
+
+/**
+ * Show the report modal for a document
+ * @param {{ documentId: string, docType: string, torrentName: string, source: object }} target -
+ *   Document being reported and the contract source it is listed in
+ */
+function showReportModal(target) {
+  if (!canSign()) {
+    updateSdkStatus('error', 'Add an identity and private key in Settings to report');
+    showSettingsModal();
+    return;
+  }
+
+  reportTarget = target;
+  elements.reportTargetText.textContent = target.torrentName;
+  elements.reportReasonSelect.selectedIndex = 0;
+  elements.reportNoteInput.value = '';
+  elements.reportSubmitBtn.disabled = false;
+  elements.reportError.style.display = 'none';
+  elements.reportModal.classList.add('active');
+}
+
+/**
+ * Hide the report modal
+ */
+function hideReportModal() {
+  reportTarget = null;
+  elements.reportModal.classList.remove('active');
+}
+
+/**
+ * Submit a report for the document in the report modal
+ */
+async function handleSubmitReport() {
+  if (!reportTarget) return;
+
+  const data = {
+    targetId: reportTarget.documentId,
+    targetType: reportTarget.docType,
+    reason: parseInt(elements.reportReasonSelect.value, 10)
+  };
+  const note = elements.reportNoteInput.value.trim();
+  if (note) {
+    data.note = note;
+  }
+
+  elements.reportSubmitBtn.disabled = true;
+
+  try {
+    const { source } = reportTarget;
+    const client = getSourceClient(source, connectOptions());
+    await client.submitDocument(source.contractId, 'report', CONFIG.identityId, data, getSigningKey());
+    hideReportModal();
+    updateSdkStatus('connected', 'Report submitted. Thank you.');
+  } catch (error) {
+    console.error('Report failed:', error);
+    elements.reportError.textContent = `Report failed: ${error.message}`;
+    elements.reportError.style.display = '';
+    elements.reportSubmitBtn.disabled = false;
+  }
+}
+
+/**
+ * Load and render a torrent's file list into a card's files section
+ * @param {HTMLDetailsElement} details - The card's files section
+ * @param {string} infoHashHex - Torrent infohash (hex)
+ * @param {string|null} ownerId - Torrent publisher, whose listing is preferred
+ * @param {object} source - Contract source the torrent is listed in
+ */
+async function loadFileList(details, infoHashHex, ownerId, source) {
+  const body = details.querySelector('.card-files-body');
+  body.innerHTML = '<p class="card-files-status">Loading file list...</p>';
+
+  try {
+    const client = await connectSourceClient(source, connectOptions());
+    const docs = await client.getFileListDocuments(source.contractId, hexToBytes(infoHashHex));
+    const chunks = selectFileListChunks(docs, ownerId);
+
+    if (!chunks) {
+      body.innerHTML = '<p class="card-files-status">No file list published for this torrent.</p>';
+      return;
+    }
+
+    const files = decodeFileList(chunks);
+    details.querySelector('summary').textContent = `Files (${files.length})`;
+    body.innerHTML = renderFileTree(buildFileTree(files).children);
+  } catch (error) {
+    console.error('Failed to load file list:', error);
+    // Allow another attempt on the next expand
+    delete details.dataset.loaded;
+    body.innerHTML = `<p class="card-files-status">Could not load file list: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Render file tree nodes as nested lists; directories are collapsible
+ * @param {object[]} nodes - Children from buildFileTree()
+ * @returns {string} HTML
+ */
+function renderFileTree(nodes) {
+  return `<ul class="file-tree">${nodes.map(node => node.children
+    ? `<li><details${nodes.length === 1 ? ' open' : ''}>
+        <summary>${escapeHtml(node.name)}/ <span class="file-size">${formatBytes(node.size)}</span></summary>
+        ${renderFileTree(node.children)}
+      </details></li>`
+    : `<li class="file-tree-file">
+        <span class="file-name">${escapeHtml(node.name)}</span>
+        <span class="file-size">${formatBytes(node.size)}</span>
+      </li>`
+  ).join('')}</ul>`;
+}
+
 /**
  * Format document for display
+ * @param {object} doc - Document from query
+ * @param {string} docType - Document type, for registry-driven meta items
  */
-function formatDocument(doc) {
+function formatDocument(doc, docType) {
   const data = doc.data || doc;
 
   // Get torrent name
   const torrentName = data.torrentName || 'Unknown';
 
-  // Convert infoHash to hex if needed
-  let infoHashHex;
-  if (data.infoHash) {
-    if (Array.isArray(data.infoHash)) {
-      infoHashHex = bytesToHex(new Uint8Array(data.infoHash));
-    } else if (data.infoHash instanceof Uint8Array) {
-      infoHashHex = bytesToHex(data.infoHash);
-    } else if (typeof data.infoHash === 'string') {
-      infoHashHex = data.infoHash;
-    }
-  }
+  // Convert infoHash to hex (arrays, Uint8Array, hex or base64 strings)
+  const infoHash = decodeByteField(data.infoHash);
+  const infoHashHex = infoHash ? bytesToHex(infoHash) : null;
+
+  // v2 infohash (v2-only and hybrid torrents)
+  const infoHashV2 = decodeByteField(data.infoHashV2);
+  const infoHashV2Hex = infoHashV2 ? bytesToHex(infoHashV2) : null;
 
-  // Build magnet URI
+  // Build magnet URI (emits both xt parameters for hybrids, web seeds and xl)
   const trackers = data.trackers || '';
-  const magnetUri = infoHashHex ? buildMagnetUri(infoHashHex, torrentName, trackers) : '';
+  const webSeeds = data.webSeeds || '';
+  const magnetUri = infoHashHex
+    ? buildMagnetUri(infoHashHex, torrentName, trackers, infoHashV2Hex, { webSeeds, exactLength: data.sizeBytes })
+    : '';
 
-  // Build meta items based on document type
-  const metaItems = [];
+  // Quality badges parsed from the release name
+  const release = parseReleaseName(torrentName);
+  const badges = getReleaseBadges(release);
 
-  // Add type-specific identifier
-  if (data.imdbId != null) {
-    metaItems.push({ label: 'IMDB', value: formatImdbId(data.imdbId) || data.imdbId });
-  }
-  if (data.seriesImdbId != null) {
-    metaItems.push({ label: 'Series', value: formatImdbId(data.seriesImdbId) || data.seriesImdbId });
-  }
-  if (data.workId != null) {
-    metaItems.push({ label: 'Work ID', value: formatWorkId(data.workId) || data.workId });
+  // Type-specific identifier and meta items from the registry
+  const metaItems = formatDocumentMeta(docType, data);
+
+  // The recent feed and publisher view mix types, so say which one each card is
+  if (isMixedView()) {
+    metaItems.unshift({ label: 'Type', value: DOCUMENT_TYPES[docType].label });
   }
-  if (data.title) {
-    metaItems.push({ label: 'Title', value: data.title });
+
+  if (release.year) {
+    metaItems.push({ label: 'Year', value: release.year.toString() });
   }
 
   // Add size if available
@@ -551,10 +2101,33 @@ function formatDocument(doc) {
     }
   }
 
+  // Add web seed count
+  const webSeedCount = webSeeds.split('\n').filter(w => w.trim()).length;
+  if (webSeedCount > 0) {
+    metaItems.push({ label: 'Web seeds', value: webSeedCount.toString() });
+  }
+
+  // Add when it was submitted
+  const createdAt = getCreatedAt(doc);
+  if (createdAt) {
+    metaItems.push({ label: 'Added', value: formatRelativeTime(createdAt) });
+  }
+
+  // Add BitTorrent protocol version
+  if (infoHashV2Hex) {
+    const isV2Only = infoHashHex === truncateInfoHashV2(infoHashV2Hex);
+    metaItems.push({ label: 'Protocol', value: isV2Only ? 'v2' : 'Hybrid' });
+  }
+
   return {
     torrentName,
+    audioLanguages: parseLanguageList(data.audioLanguages),
+    subtitleLanguages: parseLanguageList(data.subtitleLanguages),
+    isNew: !!previousVisit && createdAt > previousVisit,
     infoHashHex,
+    infoHashV2Hex,
     magnetUri,
+    badges,
     metaItems
   };
 }
@@ -580,12 +2153,18 @@ async function copyToClipboard(text) {
 
 /**
  * Escape HTML to prevent XSS
+ * Quotes are escaped too, so the result is safe inside attribute values
+ * @param {string} str - Untrusted text
+ * @returns {string}
  */
 function escapeHtml(str) {
   if (!str) return '';
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
@@ -0,0 +1,490 @@
+/**
+ * Bulk Import
+ * Parsing, checking and submitting many torrent documents at once
+ *
+ * Rows come from CSV (with a header row), a JSON array of objects, NDJSON,
+ * or one magnet link per line (optionally followed by the type's
+ * identifier). Columns named like document fields are used as they are;
+ * others can be mapped to a field, or to the pseudo-fields "type" (document
+ * type), "id" (the type's identifier) and "magnet". Every row goes through
+ * prepareDocumentData() and validateDocumentData() before anything is
+ * submitted.
+ *
+ * A run submits the ready and failed rows with a few submissions in flight
+ * and can be paused between rows. sdkClient.submitDocument() refuses
+ * infohashes that are already on chain, so retrying a row whose earlier
+ * attempt landed (or importing the same file again) never submits it twice.
+ */
+
+import { DOCUMENT_TYPES, prepareDocumentData, validateDocumentData } from './document-types.js';
+import { parseMagnetLink, parseSeasonEpisode, base32ToHex, bytesToHex, decodeByteField } from './utils.js';
+
+// Most submissions in flight at once
+export const BULK_MAX_CONCURRENCY = 5;
+
+export const BULK_DEFAULT_CONCURRENCY = 2;
+
+// Consecutive failed submissions that pause a run (e.g. the connection is down)
+export const BULK_FAILURES_BEFORE_PAUSE = 3;
+
+// Targets a column can map to besides document fields
+const PSEUDO_FIELDS = ['type', 'id', 'magnet'];
+
+// Field names of every document type, by lowercased name
+const FIELD_NAMES = new Map(
+  Object.values(DOCUMENT_TYPES)
+    .flatMap(def => def.fields.filter(field => field.form).map(field => field.name))
+    .concat(PSEUDO_FIELDS)
+    .map(name => [name.toLowerCase(), name])
+);
+
+/**
+ * Guess the format of bulk input from the file name, else from its content
+ * @param {string} text - Input text
+ * @param {string} [fileName] - Name of the file it came from
+ * @returns {string} 'csv', 'json', 'ndjson' or 'magnets'
+ */
+export function detectBulkFormat(text, fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'json') return 'json';
+  if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+  if (extension === 'csv' || extension === 'tsv') return 'csv';
+
+  const start = text.trimStart();
+  if (start.startsWith('[')) return 'json';
+  if (start.startsWith('{')) return 'ndjson';
+  if (start.startsWith('magnet:')) return 'magnets';
+  return 'csv';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab separated,
+ * whichever the first line uses most)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Non-blank records
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^﻿/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse bulk input into records of column -> value
+ * Rows are numbered from 1 in input order (CSV: after the header row)
+ * @param {string} text - Input text
+ * @param {string} format - 'csv', 'json', 'ndjson' or 'magnets'
+ * @returns {{ records: { row: number, values: object }[], errors: { row: number, message: string }[] }}
+ * @throws {Error} If the input as a whole can't be read in this format
+ */
+export function parseBulkInput(text, format) {
+  const records = [];
+  const errors = [];
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error('JSON input must be an array of objects');
+    }
+    parsed.forEach((values, index) => {
+      if (values && typeof values === 'object' && !Array.isArray(values)) {
+        records.push({ row: index + 1, values });
+      } else {
+        errors.push({ row: index + 1, message: 'Not an object' });
+      }
+    });
+  } else if (format === 'ndjson' || format === 'magnets') {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    lines.forEach((line, index) => {
+      const row = index + 1;
+      if (format === 'magnets') {
+        const [magnet, ...rest] = line.split(/\s+/);
+        if (magnet.startsWith('magnet:')) {
+          records.push({ row, values: { magnet, id: rest.join(' ') } });
+        } else {
+          errors.push({ row, message: 'Not a magnet link' });
+        }
+        return;
+      }
+      try {
+        const values = JSON.parse(line);
+        if (values && typeof values === 'object' && !Array.isArray(values)) {
+          records.push({ row, values });
+        } else {
+          errors.push({ row, message: 'Not an object' });
+        }
+      } catch (error) {
+        errors.push({ row, message: `Not valid JSON: ${error.message}` });
+      }
+    });
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error('CSV input needs a header row naming its columns');
+    }
+    const columns = header.map(name => name.trim());
+    rows.forEach((fields, index) => {
+      records.push({
+        row: index + 1,
+        values: Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? '']))
+      });
+    });
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Parse a column mapping: "column=field" entries, one per line (or comma-separated)
+ * @param {string} input - e.g., "imdb=id, name=torrentName"
+ * @returns {{ mapping: Map<string, string>, invalid: string[] }} Lowercased
+ *   column -> field name, and entries without a known target
+ */
+export function parseColumnMapping(input) {
+  const mapping = new Map();
+  const invalid = [];
+
+  if (!input || typeof input !== 'string') {
+    return { mapping, invalid };
+  }
+
+  const entries = input.split(/[\n,]+/).map(entry => entry.trim()).filter(entry => entry.length > 0);
+  for (const entry of entries) {
+    const [column, target, ...rest] = entry.split('=').map(part => part.trim());
+    const field = target && FIELD_NAMES.get(target.toLowerCase());
+    if (!column || !field || rest.length > 0) {
+      invalid.push(entry);
+      continue;
+    }
+    mapping.set(column.toLowerCase(), field);
+  }
+
+  return { mapping, invalid };
+}
+
+/**
+ * Find a document type by its key or label ("tv", "TV Show")
+ * @param {string} value - Type as written in the input
+ * @returns {string|null}
+ */
+function resolveDocumentType(value) {
+  const name = String(value || '').trim().toLowerCase();
+  const match = Object.entries(DOCUMENT_TYPES)
+    .find(([docType, def]) => docType === name || def.label.toLowerCase() === name);
+  return match ? match[0] : null;
+}
+
+/**
+ * Normalise an infohash value to lowercase hex
+ * Accepts hex, base32 (v1) and byte arrays or base64 from exported documents
+ * @param {*} value - Raw value
+ * @returns {string} Hex, or the value as text if it is none of these
+ */
+function normalizeHashValue(value) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (/^[a-f0-9]+$/i.test(text)) return text.toLowerCase();
+    if (/^[a-z2-7]{32}$/i.test(text)) return base32ToHex(text);
+  }
+  const bytes = decodeByteField(value);
+  if (bytes && (bytes.length === 20 || bytes.length === 32)) {
+    return bytesToHex(bytes);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Convert a raw record value to form input text
+ * @param {*} value - From CSV (text) or JSON (any type)
+ * @returns {string} Empty if missing
+ */
+function toFormValue(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(',');
+  return String(value).trim();
+}
+
+/**
+ * Build one row's form data: mapped columns, then the magnet link, the
+ * identifier and the values derived from the torrent name
+ * @param {object} values - Mapped field -> raw value
+ * @param {string} docType - The row's document type
+ * @param {string[]} errors - Collects problems
+ * @returns {object} Form data for prepareDocumentData()
+ */
+function buildRowFormData(values, docType, errors) {
+  const def = DOCUMENT_TYPES[docType];
+  const fieldNames = def.fields.filter(field => field.form).map(field => field.name);
+  const formData = {};
+
+  for (const name of fieldNames) {
+    const value = ['infoHash', 'infoHashV2'].includes(name) && values[name] != null && values[name] !== ''
+      ? normalizeHashValue(values[name])
+      : toFormValue(values[name]);
+    if (value !== '') {
+      formData[name] = value;
+    }
+  }
+
+  if (values.magnet) {
+    const parsed = parseMagnetLink(toFormValue(values.magnet));
+    if (!parsed.infoHash) {
+      errors.push('Could not parse an infohash from the magnet link');
+    }
+    const fromMagnet = {
+      infoHash: parsed.infoHash,
+      infoHashV2: parsed.infoHashV2,
+      torrentName: parsed.displayName,
+      trackers: parsed.trackers,
+      webSeeds: parsed.webSeeds,
+      sizeBytes: parsed.exactLength != null ? String(parsed.exactLength) : null
+    };
+    Object.entries(fromMagnet).forEach(([name, value]) => {
+      if (value && !formData[name] && fieldNames.includes(name)) {
+        formData[name] = value;
+      }
+    });
+  }
+
+  const identifier = def.identifier.field;
+  if (!formData[identifier] && toFormValue(values.id)) {
+    formData[identifier] = toFormValue(values.id);
+  }
+
+  // Titled types fall back to the torrent name, TV episodes to its S01E05 pattern
+  if (!formData[identifier] && def.identifier.kind === 'title' && formData.torrentName) {
+    formData[identifier] = formData.torrentName;
+  }
+  if (formData.torrentName && fieldNames.includes('season')) {
+    const parsed = parseSeasonEpisode(formData.torrentName);
+    ['season', 'episode'].forEach(name => {
+      if (!formData[name] && parsed[name] != null) {
+        formData[name] = String(parsed[name]);
+      }
+    });
+  }
+
+  return formData;
+}
+
+/**
+ * Turn parsed records into checked rows
+ * @param {{ records: object[], errors: object[] }} parsed - From parseBulkInput()
+ * @param {object} options - { docType: type of every row (or null to read a
+ *   "type" column), mapping: from parseColumnMapping() }
+ * @returns {{ rows: object[], ignoredColumns: string[] }} Rows in input order
+ *   ({ row, docType, data, infoHash, torrentName, status: 'ready' or 'invalid',
+ *   errors, documentId, message }) and columns that matched no field
+ */
+export function prepareBulkRows(parsed, { docType = null, mapping = new Map() } = {}) {
+  const ignoredColumns = new Set();
+  const seenInfoHashes = new Map();  // infohash hex -> row that has it
+
+  const rows = parsed.records.map(record => {
+    const values = {};
+    for (const [column, value] of Object.entries(record.values)) {
+      const key = column.trim().toLowerCase();
+      const field = mapping.get(key) || FIELD_NAMES.get(key);
+      if (field) {
+        values[field] = value;
+      } else {
+        ignoredColumns.add(column);
+      }
+    }
+
+    const errors = [];
+    const rowType = docType || resolveDocumentType(values.type);
+    let data = null;
+
+    if (!rowType) {
+      errors.push(values.type ? `Unknown document type: ${values.type}` : 'No document type (choose one or map a "type" column)');
+    } else {
+      const formData = buildRowFormData(values, rowType, errors);
+      if (formData.infoHash && !/^[a-f0-9]{40}$/.test(formData.infoHash)) {
+        errors.push('Invalid infoHash (must be 40-char hex or 32-char base32)');
+      } else if (formData.infoHashV2 && !/^(1220)?[a-f0-9]{64}$/.test(formData.infoHashV2)) {
+        errors.push('Invalid v2 infoHash (must be 64-char hex)');
+      } else if (errors.length === 0) {
+        data = prepareDocumentData(rowType, formData);
+        errors.push(...validateDocumentData(rowType, data).errors);
+      }
+    }
+
+    const infoHash = data && data.infoHash ? bytesToHex(new Uint8Array(data.infoHash)) : null;
+    if (errors.length === 0 && seenInfoHashes.has(infoHash)) {
+      errors.push(`Same infohash as row ${seenInfoHashes.get(infoHash)}`);
+    } else if (errors.length === 0) {
+      seenInfoHashes.set(infoHash, record.row);
+    }
+
+    return {
+      row: record.row,
+      docType: rowType,
+      data,
+      infoHash,
+      torrentName: data ? data.torrentName : toFormValue(values.torrentName),
+      status: errors.length === 0 ? 'ready' : 'invalid',
+      errors,
+      documentId: null,
+      message: null
+    };
+  });
+
+  // Records that could not be read at all are reported like invalid rows
+  parsed.errors.forEach(({ row, message }) => {
+    rows.push({ row, docType: docType, data: null, infoHash: null, torrentName: '', status: 'invalid', errors: [message], documentId: null, message: null });
+  });
+  rows.sort((a, b) => a.row - b.row);
+
+  return { rows, ignoredColumns: [...ignoredColumns] };
+}
+
+/**
+ * Count rows by status
+ * @param {object[]} rows - Bulk rows
+ * @returns {{ total: number, ready: number, submitting: number, submitted: number, exists: number, failed: number, invalid: number }}
+ */
+export function summarizeBulkRows(rows) {
+  const counts = { total: rows.length, ready: 0, submitting: 0, submitted: 0, exists: 0, failed: 0, invalid: 0 };
+  rows.forEach(row => {
+    counts[row.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Pause a run: rows in flight finish, no new ones start
+ * @param {object} job - Bulk job ({ rows, paused, pauseReason })
+ * @param {string|null} reason - Why, when the run paused itself
+ */
+export function pauseBulkJob(job, reason = null) {
+  if (!job.paused) {
+    job.paused = true;
+    job.pauseReason = reason;
+  }
+}
+
+/**
+ * Submit a job's ready and failed rows
+ * Each row is attempted once per run. A run ends when every row has been
+ * attempted or it is paused (by pauseBulkJob(), or after
+ * BULK_FAILURES_BEFORE_PAUSE failures in a row); running the job again
+ * resumes it.
+ * @param {object} job - Bulk job ({ rows, paused, pauseReason })
+ * @param {function(object): Promise<{ status: string, documentId: string, message?: string }>} submitRow -
+ *   Submits one row; resolves to status 'submitted', or 'exists' for an
+ *   infohash already on chain
+ * @param {object} options - { concurrency, onProgress: called with each row as it starts and ends }
+ * @returns {Promise<object>} Row counts after the run (summarizeBulkRows())
+ */
+export async function runBulkJob(job, submitRow, { concurrency = BULK_DEFAULT_CONCURRENCY, onProgress = () => {} } = {}) {
+  job.paused = false;
+  job.pauseReason = null;
+
+  const queue = job.rows.filter(row => row.status === 'ready' || row.status === 'failed');
+  const workers = Math.max(1, Math.min(BULK_MAX_CONCURRENCY, Math.floor(concurrency) || 1, queue.length));
+  let consecutiveFailures = 0;
+
+  const work = async () => {
+    while (!job.paused && queue.length > 0) {
+      const row = queue.shift();
+      row.status = 'submitting';
+      row.message = null;
+      onProgress(row);
+
+      try {
+        const { status, documentId, message } = await submitRow(row);
+        row.status = status;
+        row.documentId = documentId;
+        row.message = message || null;
+        consecutiveFailures = 0;
+      } catch (error) {
+        row.status = 'failed';
+        row.message = error.message;
+        if (++consecutiveFailures >= BULK_FAILURES_BEFORE_PAUSE) {
+          pauseBulkJob(job, `${consecutiveFailures} submissions in a row failed`);
+        }
+      }
+      onProgress(row);
+    }
+  };
+
+  if (queue.length > 0) {
+    await Promise.all(Array.from({ length: workers }, work));
+  }
+  return summarizeBulkRows(job.rows);
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCsvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the result file of a job: one CSV line per row with its outcome
+ * @param {object[]} rows - Bulk rows
+ * @returns {string} CSV text (row, status, type, infoHash, torrentName, documentId, message)
+ */
+export function formatBulkResults(rows) {
+  const header = ['row', 'status', 'type', 'infoHash', 'torrentName', 'documentId', 'message'];
+  const lines = rows.map(row => [
+    row.row,
+    row.status,
+    row.docType,
+    row.infoHash,
+    row.torrentName,
+    row.documentId,
+    row.status === 'invalid' ? row.errors.join('; ') : row.message
+  ].map(formatCsvField).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,114 @@
+/**
+ * Collections
+ * Parsing and resolution of collection items
+ *
+ * A collection is an ordered, newline-separated list of items. Each item is
+ * a torrent document ID (base58) or a v1 infohash (40-char hex); an infohash
+ * item shows whichever document carries it, preferring the collection
+ * publisher's own.
+ */
+
+import { formatIdentifier, isValidIdentifier, parseMagnetLink, bytesToHex, decodeByteField } from './utils.js';
+
+// Most items per collection
+export const MAX_COLLECTION_ITEMS = 100;
+
+// Longest items string (schema maxLength): 100 base58 IDs of up to 44 characters plus newlines
+export const COLLECTION_ITEMS_MAX_LENGTH = 4500;
+
+/**
+ * Check whether an item is an infohash (rather than a document ID)
+ * @param {string} item - Normalised item
+ * @returns {boolean}
+ */
+export function isInfoHashItem(item) {
+  return /^[a-f0-9]{40}$/.test(item);
+}
+
+/**
+ * Parse collection item input: document IDs, infohashes or magnet links
+ * @param {string} input - One item per line (commas and spaces also separate)
+ * @returns {{ items: string[], invalid: string[] }} Deduplicated normalised items,
+ *   in input order, and entries that are none of the accepted forms
+ */
+export function parseCollectionItems(input) {
+  if (!input || typeof input !== 'string') {
+    return { items: [], invalid: [] };
+  }
+
+  const entries = input.split(/[\s,]+/).filter(entry => entry.length > 0);
+  const items = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    if (entry.startsWith('magnet:')) {
+      const { infoHash } = parseMagnetLink(entry);
+      if (infoHash) {
+        items.push(infoHash);
+      } else {
+        invalid.push(entry);
+      }
+    } else if (/^[a-f0-9]{40}$/i.test(entry)) {
+      items.push(entry.toLowerCase());
+    } else if (isValidIdentifier(entry)) {
+      items.push(entry);
+    } else {
+      invalid.push(entry);
+    }
+  }
+
+  return { items: [...new Set(items)], invalid };
+}
+
+/**
+ * Append items to a collection, skipping ones it already holds
+ * @param {string[]} existing - Current items
+ * @param {string[]} items - Items to append
+ * @returns {{ items: string[], added: string[] }} The combined list and the items actually added
+ */
+export function mergeCollectionItems(existing, items) {
+  const added = [...new Set(items)].filter(item => !existing.includes(item));
+  return { items: [...existing, ...added], added };
+}
+
+/**
+ * Match queried documents to collection items, in collection order
+ * @param {string[]} items - Normalised items
+ * @param {{ doc: object, documentType: string }[]} matches - Documents found by ID or infohash
+ * @param {string|null} preferredOwnerId - Collection publisher, preferred for infohash items
+ * @returns {{ entries: { item: string, doc: object, documentType: string }[], missing: string[] }}
+ */
+export function orderCollectionDocuments(items, matches, preferredOwnerId = null) {
+  const byId = new Map();
+  const byInfoHash = new Map();
+
+  for (const match of matches) {
+    byId.set(formatIdentifier(match.doc.$id || match.doc.id), match);
+
+    const bytes = decodeByteField((match.doc.data || match.doc).infoHash);
+    if (!bytes || bytes.length !== 20) continue;
+    const hex = bytesToHex(bytes);
+    const ownerId = formatIdentifier(match.doc.$ownerId || match.doc.ownerId);
+    if (!byInfoHash.has(hex) || ownerId === preferredOwnerId) {
+      byInfoHash.set(hex, match);
+    }
+  }
+
+  const entries = [];
+  const missing = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const match = isInfoHashItem(item) ? byInfoHash.get(item) : byId.get(item);
+    if (!match) {
+      missing.push(item);
+      continue;
+    }
+    // An ID and an infohash can name the same document
+    if (seen.has(match.doc)) continue;
+    seen.add(match.doc);
+    entries.push({ item, ...match });
+  }
+
+  return { entries, missing };
+}
@@ -1,16 +1,74 @@
 /**
- * Torrent Metadata Data Contract Schema v2
- * Defines 5 document types: movie, tv, book, iso, other
+ * Torrent Metadata Data Contract Schema v4
+ * Defines 6 torrent document types: movie, tv, book, music, iso, other
+ * plus fileList (file manifests linked to a torrent by infohash), vote
+ * (one up/down vote per identity per infohash), report (abuse reports) and
+ * moderation (hide decisions, honoured when published by the contract owner)
+ * and trustList (a curator's list of trusted publishers) and tag (one tag
+ * on one torrent document) and collection (a curated, ordered list of releases)
+ * Schemas and form fields are derived from the registry in document-types.js
  *
  * Changes from v1:
  * - Simplified movie/tv/book schemas (query by IMDB/OpenLibrary ID only)
  * - TV: removed showName, season, episode fields
  * - Book: uses OpenLibrary Work ID instead of title/author
  * - Added trackers string (newline-separated URLs) to all document types
+ *
+ * Changes from v2:
+ * - Added optional infoHashV2 (32-byte SHA-256) to all document types for
+ *   BitTorrent v2 and hybrid torrents; v2-only torrents store the truncated
+ *   v2 infohash in infoHash
+ * - TV: restored optional season/episode integers with a
+ *   (seriesImdbId, season, episode) index
+ * - Added byInfoHash index to all document types for duplicate detection
+ * - Added music document type keyed by MusicBrainz release-group ID
+ * - Added optional webSeeds string (newline-separated BEP 19 URLs) to all
+ *   document types
+ * - Added fileList document type: path/size listings chunked across
+ *   documents, indexed by (infoHash, chunkIndex)
+ * - Added vote document type, unique per ($ownerId, infoHash)
+ * - Added report and moderation document types for abuse reporting
+ * - Added trustList document type, one per curator identity
+ * - Added byOwner ($ownerId) index to all torrent document types for
+ *   publisher pages
+ *
+ * Changes from v3:
+ * - Torrent document types are mutable and deletable, so owners can fix or
+ *   withdraw their submissions (contract defaults stay immutable, so votes,
+ *   reports and file lists keep their own settings)
+ * - Added byCreatedAt index (with $createdAt required) to all torrent
+ *   document types for the newest-first sort and the recently added feed
+ * - Movie, TV and book: optional audioLanguages/subtitleLanguages strings
+ *   (comma-separated ISO 639 codes)
+ * - Added tag document type, searchable by (targetType, name)
+ * - Added collection document type (title, description, newline-separated
+ *   document IDs or infohashes), listed newest first and by owner
+ * - Added byInfoHashV2 index to all torrent document types, so duplicate
+ *   detection matches a torrent stored by its v1 or its v2 infohash
  */
 
-// Movie document schema
-const movieSchema = {
+import { DOCUMENT_TYPES, buildDocumentSchema, buildFormFields } from './document-types.js';
+import { FILE_LIST_CHUNK_BYTES, FILE_LIST_MAX_CHUNKS } from './file-list.js';
+import { REPORT_REASONS } from './moderation.js';
+import { MAX_TAG_LENGTH, TAG_PATTERN } from './tags.js';
+import { COLLECTION_ITEMS_MAX_LENGTH } from './collections.js';
+
+// Identifier properties (document and identity IDs)
+const IDENTIFIER_PROPERTY = {
+  type: 'array',
+  byteArray: true,
+  minItems: 32,
+  maxItems: 32,
+  contentMediaType: 'application/x.dash.dpp.identifier'
+};
+
+const REASON_CODES = Object.keys(REPORT_REASONS).map(Number);
+
+/**
+ * File manifest for a torrent, one chunk per document
+ * files holds "<length>\t<path>" lines (see file-list.js)
+ */
+const FILE_LIST_SCHEMA = {
   type: 'object',
   properties: {
     infoHash: {
@@ -19,219 +77,249 @@ const movieSchema = {
       minItems: 20,
       maxItems: 20,
       position: 0,
-      description: '20-byte raw BitTorrent v1 infohash'
+      description: 'infoHash of the torrent document this listing describes'
     },
-    torrentName: {
-      type: 'string',
-      maxLength: 256,
+    chunkIndex: {
+      type: 'integer',
+      minimum: 0,
+      maximum: FILE_LIST_MAX_CHUNKS - 1,
       position: 1,
-      description: 'Full release name for display/magnet dn'
+      description: 'Index of this chunk within the listing'
     },
-    imdbId: {
+    chunkCount: {
       type: 'integer',
-      minimum: 0,
-      maximum: 9999999999,
+      minimum: 1,
+      maximum: FILE_LIST_MAX_CHUNKS,
       position: 2,
-      description: 'IMDB numeric ID (e.g., 133093 from tt0133093)'
+      description: 'Total number of chunks in the listing'
     },
-    trackers: {
+    files: {
       type: 'string',
-      maxLength: 2048,
+      maxLength: FILE_LIST_CHUNK_BYTES,
       position: 3,
-      description: 'Tracker URLs separated by newline (optional)'
-    },
-    sizeBytes: {
-      type: 'integer',
-      minimum: 0,
-      position: 4,
-      description: 'Total torrent size in bytes'
+      description: 'Newline-separated "<length>\\t<path>" entries, paths relative to the torrent root'
     }
   },
-  required: ['infoHash', 'torrentName', 'imdbId'],
+  required: ['infoHash', 'chunkIndex', 'chunkCount', 'files'],
   additionalProperties: false,
   indices: [
-    {
-      name: 'byImdbId',
-      properties: [{ imdbId: 'asc' }]
-    }
+    { name: 'byInfoHashChunk', properties: [{ infoHash: 'asc' }, { chunkIndex: 'asc' }] }
   ]
 };
 
-// TV show document schema
-const tvSchema = {
+/**
+ * Vote on a release, one per identity per infohash
+ * Votes are changed or withdrawn (value 0) by replacing the document, so
+ * this type overrides the contract's immutable-documents default
+ */
+const VOTE_SCHEMA = {
   type: 'object',
+  documentsMutable: true,
   properties: {
     infoHash: {
       type: 'array',
       byteArray: true,
       minItems: 20,
       maxItems: 20,
-      position: 0
+      position: 0,
+      description: 'infoHash of the release being voted on'
     },
-    torrentName: {
+    value: {
+      type: 'integer',
+      minimum: -1,
+      maximum: 1,
+      position: 1,
+      description: '1 = upvote, -1 = downvote, 0 = withdrawn'
+    }
+  },
+  required: ['infoHash', 'value'],
+  additionalProperties: false,
+  indices: [
+    { name: 'byOwnerInfoHash', properties: [{ $ownerId: 'asc' }, { infoHash: 'asc' }], unique: true },
+    { name: 'byInfoHash', properties: [{ infoHash: 'asc' }] }
+  ]
+};
+
+/**
+ * Abuse report against a torrent document, one per identity per target
+ */
+const REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    targetId: {
+      ...IDENTIFIER_PROPERTY,
+      position: 0,
+      description: 'ID of the reported document'
+    },
+    targetType: {
       type: 'string',
-      maxLength: 256,
+      maxLength: 32,
       position: 1,
-      description: 'Contains season/episode info (e.g., Breaking.Bad.S01E05.720p)'
+      description: 'Document type of the reported document'
     },
-    seriesImdbId: {
+    reason: {
       type: 'integer',
-      minimum: 0,
-      maximum: 9999999999,
+      minimum: Math.min(...REASON_CODES),
+      maximum: Math.max(...REASON_CODES),
       position: 2,
-      description: 'IMDB series numeric ID (e.g., 903747 from tt0903747)'
+      description: 'Reason code (see REPORT_REASONS)'
     },
-    trackers: {
+    note: {
       type: 'string',
-      maxLength: 2048,
+      maxLength: 280,
       position: 3,
-      description: 'Tracker URLs separated by newline (optional)'
-    },
-    sizeBytes: {
-      type: 'integer',
-      minimum: 0,
-      position: 4
+      description: 'Free-text details (optional)'
     }
   },
-  required: ['infoHash', 'torrentName', 'seriesImdbId'],
+  required: ['targetId', 'targetType', 'reason', '$createdAt'],
   additionalProperties: false,
   indices: [
-    {
-      name: 'bySeriesImdbId',
-      properties: [{ seriesImdbId: 'asc' }]
-    }
+    { name: 'byTarget', properties: [{ targetId: 'asc' }] },
+    { name: 'byOwnerTarget', properties: [{ $ownerId: 'asc' }, { targetId: 'asc' }], unique: true },
+    { name: 'byCreatedAt', properties: [{ $createdAt: 'asc' }] }
   ]
 };
 
-// Book document schema
-const bookSchema = {
+/**
+ * Moderation decision on a document
+ * Anyone can publish one, but browse only honours the contract owner's;
+ * decisions are reversed by replacing the document
+ */
+const MODERATION_SCHEMA = {
   type: 'object',
+  documentsMutable: true,
   properties: {
-    infoHash: {
-      type: 'array',
-      byteArray: true,
-      minItems: 20,
-      maxItems: 20,
-      position: 0
+    targetId: {
+      ...IDENTIFIER_PROPERTY,
+      position: 0,
+      description: 'ID of the moderated document'
     },
-    torrentName: {
-      type: 'string',
-      maxLength: 256,
-      position: 1
+    hidden: {
+      type: 'boolean',
+      position: 1,
+      description: 'Whether the document is hidden from browse'
     },
-    workId: {
+    reason: {
       type: 'integer',
-      minimum: 0,
-      maximum: 9999999999,
+      minimum: Math.min(...REASON_CODES),
+      maximum: Math.max(...REASON_CODES),
       position: 2,
-      description: 'OpenLibrary Work ID numeric part (e.g., 8483260 from OL8483260W)'
+      description: 'Reason code (optional)'
     },
-    trackers: {
+    note: {
       type: 'string',
-      maxLength: 2048,
+      maxLength: 280,
       position: 3,
-      description: 'Tracker URLs separated by newline (optional)'
-    },
-    sizeBytes: {
-      type: 'integer',
-      minimum: 0,
-      position: 4
+      description: 'Moderator note (optional)'
     }
   },
-  required: ['infoHash', 'torrentName', 'workId'],
+  required: ['targetId', 'hidden'],
   additionalProperties: false,
   indices: [
-    {
-      name: 'byWorkId',
-      properties: [{ workId: 'asc' }]
-    }
+    { name: 'byOwnerTarget', properties: [{ $ownerId: 'asc' }, { targetId: 'asc' }], unique: true }
   ]
 };
 
-// ISO/Software document schema
-const isoSchema = {
+/**
+ * A curator's list of trusted publisher identities, one list per curator
+ * Curators update their list by replacing the document
+ */
+const TRUST_LIST_SCHEMA = {
   type: 'object',
+  documentsMutable: true,
   properties: {
-    infoHash: {
-      type: 'array',
-      byteArray: true,
-      minItems: 20,
-      maxItems: 20,
-      position: 0
-    },
-    torrentName: {
-      type: 'string',
-      maxLength: 256,
-      position: 1
-    },
-    title: {
+    name: {
       type: 'string',
       maxLength: 63,
-      position: 2,
-      description: 'Software/ISO name for search'
+      position: 0,
+      description: 'Display name of the list'
     },
-    trackers: {
+    identities: {
       type: 'string',
-      maxLength: 2048,
-      position: 3,
-      description: 'Tracker URLs separated by newline (optional)'
-    },
-    sizeBytes: {
-      type: 'integer',
-      minimum: 0,
-      position: 4
+      maxLength: 4500,
+      position: 1,
+      description: 'Trusted identity IDs (base58), newline-separated (up to 100)'
     }
   },
-  required: ['infoHash', 'torrentName', 'title'],
+  required: ['name', 'identities'],
   additionalProperties: false,
   indices: [
-    {
-      name: 'byTitle',
-      properties: [{ title: 'asc' }]
-    }
+    { name: 'byOwner', properties: [{ $ownerId: 'asc' }], unique: true }
   ]
 };
 
-// Other/Miscellaneous document schema
-const otherSchema = {
+/**
+ * A tag on a torrent document, one document per tag
+ * Tags are removed by deleting the document; browse only honours tags
+ * published by the torrent document's owner
+ */
+const TAG_SCHEMA = {
   type: 'object',
+  canBeDeleted: true,
   properties: {
-    infoHash: {
-      type: 'array',
-      byteArray: true,
-      minItems: 20,
-      maxItems: 20,
-      position: 0
+    targetId: {
+      ...IDENTIFIER_PROPERTY,
+      position: 0,
+      description: 'ID of the tagged document'
     },
-    torrentName: {
+    targetType: {
       type: 'string',
-      maxLength: 256,
-      position: 1
+      maxLength: 32,
+      position: 1,
+      description: 'Document type of the tagged document'
     },
+    name: {
+      type: 'string',
+      maxLength: MAX_TAG_LENGTH,
+      pattern: TAG_PATTERN,
+      position: 2,
+      description: 'Tag, lowercase words joined by hyphens (e.g., linux-distro)'
+    }
+  },
+  required: ['targetId', 'targetType', 'name', '$createdAt'],
+  additionalProperties: false,
+  indices: [
+    { name: 'byTypeName', properties: [{ targetType: 'asc' }, { name: 'asc' }, { $createdAt: 'asc' }] },
+    { name: 'byTarget', properties: [{ targetId: 'asc' }] },
+    { name: 'byOwnerTargetName', properties: [{ $ownerId: 'asc' }, { targetId: 'asc' }, { name: 'asc' }], unique: true }
+  ]
+};
+
+/**
+ * A curated collection: an ordered list of torrent document IDs or infohashes
+ * Owners append items by replacing the document
+ */
+const COLLECTION_SCHEMA = {
+  type: 'object',
+  documentsMutable: true,
+  canBeDeleted: true,
+  properties: {
     title: {
       type: 'string',
-      maxLength: 63,
-      position: 2
+      minLength: 1,
+      maxLength: 128,
+      position: 0,
+      description: 'Collection title'
     },
-    trackers: {
+    description: {
       type: 'string',
-      maxLength: 2048,
-      position: 3,
-      description: 'Tracker URLs separated by newline (optional)'
+      maxLength: 1000,
+      position: 1,
+      description: 'What the collection gathers (optional)'
     },
-    sizeBytes: {
-      type: 'integer',
-      minimum: 0,
-      position: 4
+    items: {
+      type: 'string',
+      minLength: 1,
+      maxLength: COLLECTION_ITEMS_MAX_LENGTH,
+      position: 2,
+      description: 'Document IDs (base58) or infohashes (hex), newline-separated, in display order (up to 100)'
     }
   },
-  required: ['infoHash', 'torrentName', 'title'],
+  required: ['title', 'items', '$createdAt'],
   additionalProperties: false,
   indices: [
-    {
-      name: 'byTitle',
-      properties: [{ title: 'asc' }]
-    }
+    { name: 'byCreatedAt', properties: [{ $createdAt: 'asc' }] },
+    { name: 'byOwner', properties: [{ $ownerId: 'asc' }, { $createdAt: 'asc' }] }
   ]
 };
 
@@ -239,54 +327,25 @@ const otherSchema = {
  * Complete contract schema with all document types
  */
 export const TORRENT_CONTRACT_SCHEMA = {
-  movie: movieSchema,
-  tv: tvSchema,
-  book: bookSchema,
-  iso: isoSchema,
-  other: otherSchema
+  ...Object.fromEntries(
+    Object.keys(DOCUMENT_TYPES).map(docType => [docType, buildDocumentSchema(docType)])
+  ),
+  fileList: FILE_LIST_SCHEMA,
+  vote: VOTE_SCHEMA,
+  report: REPORT_SCHEMA,
+  moderation: MODERATION_SCHEMA,
+  trustList: TRUST_LIST_SCHEMA,
+  tag: TAG_SCHEMA,
+  collection: COLLECTION_SCHEMA
 };
 
 /**
  * Form field definitions for each document type
  * Used by UI to generate dynamic forms
  */
-export const FORM_FIELDS = {
-  movie: [
-    { name: 'infoHash', label: 'Info Hash', type: 'text', required: true, placeholder: '40-char hex (auto-filled from magnet)' },
-    { name: 'torrentName', label: 'Torrent Name', type: 'text', required: true, placeholder: 'Full release name' },
-    { name: 'imdbId', label: 'IMDB ID', type: 'text', required: true, placeholder: 'e.g., tt0133093' },
-    { name: 'trackers', label: 'Trackers', type: 'textarea', required: false, placeholder: 'One tracker URL per line (optional)' },
-    { name: 'sizeBytes', label: 'Size (bytes)', type: 'number', required: false, placeholder: 'e.g., 1073741824', min: 0 }
-  ],
-  tv: [
-    { name: 'infoHash', label: 'Info Hash', type: 'text', required: true, placeholder: '40-char hex (auto-filled from magnet)' },
-    { name: 'torrentName', label: 'Torrent Name', type: 'text', required: true, placeholder: 'Full release name (includes S01E05 etc.)' },
-    { name: 'seriesImdbId', label: 'Series IMDB ID', type: 'text', required: true, placeholder: 'e.g., tt0903747' },
-    { name: 'trackers', label: 'Trackers', type: 'textarea', required: false, placeholder: 'One tracker URL per line (optional)' },
-    { name: 'sizeBytes', label: 'Size (bytes)', type: 'number', required: false, placeholder: 'e.g., 1073741824', min: 0 }
-  ],
-  book: [
-    { name: 'infoHash', label: 'Info Hash', type: 'text', required: true, placeholder: '40-char hex (auto-filled from magnet)' },
-    { name: 'torrentName', label: 'Torrent Name', type: 'text', required: true, placeholder: 'Full release name' },
-    { name: 'workId', label: 'OpenLibrary Work ID', type: 'text', required: true, placeholder: 'e.g., OL8483260W' },
-    { name: 'trackers', label: 'Trackers', type: 'textarea', required: false, placeholder: 'One tracker URL per line (optional)' },
-    { name: 'sizeBytes', label: 'Size (bytes)', type: 'number', required: false, placeholder: 'e.g., 10485760', min: 0 }
-  ],
-  iso: [
-    { name: 'infoHash', label: 'Info Hash', type: 'text', required: true, placeholder: '40-char hex (auto-filled from magnet)' },
-    { name: 'torrentName', label: 'Torrent Name', type: 'text', required: true, placeholder: 'Full release name' },
-    { name: 'title', label: 'Software/ISO Title', type: 'text', required: true, placeholder: 'e.g., Ubuntu 24.04 LTS', maxLength: 63 },
-    { name: 'trackers', label: 'Trackers', type: 'textarea', required: false, placeholder: 'One tracker URL per line (optional)' },
-    { name: 'sizeBytes', label: 'Size (bytes)', type: 'number', required: false, placeholder: 'e.g., 4700000000', min: 0 }
-  ],
-  other: [
-    { name: 'infoHash', label: 'Info Hash', type: 'text', required: true, placeholder: '40-char hex (auto-filled from magnet)' },
-    { name: 'torrentName', label: 'Torrent Name', type: 'text', required: true, placeholder: 'Full release name' },
-    { name: 'title', label: 'Title', type: 'text', required: true, placeholder: 'e.g., Nature Wallpapers Collection', maxLength: 63 },
-    { name: 'trackers', label: 'Trackers', type: 'textarea', required: false, placeholder: 'One tracker URL per line (optional)' },
-    { name: 'sizeBytes', label: 'Size (bytes)', type: 'number', required: false, placeholder: 'e.g., 524288000', min: 0 }
-  ]
-};
+export const FORM_FIELDS = Object.fromEntries(
+  Object.keys(DOCUMENT_TYPES).map(docType => [docType, buildFormFields(docType)])
+);
 
 /**
  * Build a complete contract definition for registration
@@ -305,7 +364,7 @@ export function buildContractDefinition(ownerIdentityId) {
 
 /**
  * Get the required fields for a document type
- * @param {string} docType - Document type (movie, tv, book, iso, other)
+ * @param {string} docType - Document type (movie, tv, book, music, iso, other)
  * @returns {string[]} Array of required field names
  */
 export function getRequiredFields(docType) {
@@ -0,0 +1,606 @@
+/**
+ * Document Type Registry
+ * Single declarative definition of every torrent document type.
+ *
+ * Each type declares its fields (schema + form metadata), its identifier
+ * (how the lookup key is parsed, formatted and linked), its search semantics
+ * and how it is presented on cards. The contract schema, admin forms, browse
+ * tabs, search where-clauses and card formatting are all derived from here,
+ * so adding a type means adding one entry to DOCUMENT_TYPES.
+ */
+
+import {
+  hexToBytes,
+  bytesToHex,
+  decodeByteField,
+  truncateInfoHashV2,
+  stripMultihashPrefix,
+  parseTrackersInput,
+  parseWebSeedsInput,
+  parseImdbId,
+  formatImdbId,
+  parseWorkId,
+  formatWorkId,
+  parseMusicBrainzId,
+  formatMusicBrainzId,
+  formatSeasonEpisode
+} from './utils.js';
+import { LANGUAGE_LIST_PATTERN, parseLanguageList } from './languages.js';
+
+/**
+ * Identifier kinds
+ * parse: user input (string) -> stored value, or null if invalid
+ * format: stored value -> display string
+ * url: stored value -> external link (optional)
+ */
+export const IDENTIFIER_KINDS = {
+  imdb: {
+    parse: parseImdbId,
+    format: formatImdbId,
+    url: id => `https://www.imdb.com/title/${formatImdbId(id)}/`
+  },
+  openLibraryWork: {
+    parse: parseWorkId,
+    format: formatWorkId,
+    url: id => `https://openlibrary.org/works/${formatWorkId(id)}`
+  },
+  musicBrainzReleaseGroup: {
+    parse: parseMusicBrainzId,
+    format: formatMusicBrainzId,
+    url: id => `https://musicbrainz.org/release-group/${formatMusicBrainzId(id)}`
+  },
+  title: {
+    parse: value => (typeof value === 'string' && value.trim()) || null,
+    format: value => value,
+    url: null
+  }
+};
+
+/**
+ * Leading fields shared by every torrent document type
+ * @param {object} options - Per-type overrides (namePlaceholder, nameDescription)
+ * @returns {object[]} Field definitions
+ */
+function torrentHeadFields({ namePlaceholder = 'Full release name', nameDescription = 'Full release name for display/magnet dn' } = {}) {
+  return [
+    {
+      name: 'infoHash',
+      position: 0,
+      required: true,
+      schema: { type: 'array', byteArray: true, minItems: 20, maxItems: 20, description: '20-byte raw BitTorrent v1 infohash' },
+      form: { label: 'Info Hash', type: 'text', placeholder: '40-char hex (auto-filled from magnet)' }
+    },
+    {
+      name: 'infoHashV2',
+      position: 5,
+      schema: { type: 'array', byteArray: true, minItems: 32, maxItems: 32, description: '32-byte BitTorrent v2 infohash (optional, v2 and hybrid torrents)' },
+      form: { label: 'Info Hash (v2)', type: 'text', placeholder: '64-char hex, v2/hybrid torrents only (optional)' }
+    },
+    {
+      name: 'torrentName',
+      position: 1,
+      required: true,
+      schema: { type: 'string', maxLength: 256, description: nameDescription },
+      form: { label: 'Torrent Name', type: 'text', placeholder: namePlaceholder }
+    }
+  ];
+}
+
+/**
+ * Trailing fields shared by every torrent document type
+ * webSeeds was added after the type-specific fields, so its position follows them
+ * @param {object} options - Per-type overrides (sizePlaceholder, webSeedsPosition)
+ * @returns {object[]} Field definitions
+ */
+function torrentTailFields({ sizePlaceholder = 'e.g., 1073741824', webSeedsPosition = 6 } = {}) {
+  return [
+    {
+      name: 'trackers',
+      position: 3,
+      schema: { type: 'string', maxLength: 2048, description: 'Tracker URLs separated by newline (optional)' },
+      form: { label: 'Trackers', type: 'textarea', placeholder: 'One tracker URL per line (optional)' }
+    },
+    {
+      name: 'sizeBytes',
+      position: 4,
+      schema: { type: 'integer', minimum: 0, description: 'Total torrent size in bytes' },
+      form: { label: 'Size (bytes)', type: 'number', placeholder: sizePlaceholder, min: 0 }
+    },
+    {
+      name: 'webSeeds',
+      position: webSeedsPosition,
+      schema: { type: 'string', maxLength: 2048, description: 'Web seed (BEP 19) URLs separated by newline (optional)' },
+      form: { label: 'Web Seeds', type: 'textarea', placeholder: 'One http(s) web seed URL per line (optional)' }
+    }
+  ];
+}
+
+/**
+ * Optional audio and subtitle language fields (comma-separated ISO 639 codes)
+ * They were added after the other fields, so their positions follow them
+ * @param {object} options - Field positions (audioPosition, subtitlePosition)
+ * @returns {object[]} Field definitions
+ */
+function languageFields({ audioPosition, subtitlePosition }) {
+  return [
+    {
+      name: 'audioLanguages',
+      position: audioPosition,
+      schema: { type: 'string', maxLength: 128, pattern: LANGUAGE_LIST_PATTERN, description: 'Audio languages, comma-separated ISO 639 codes (optional)' },
+      form: { label: 'Audio Languages', type: 'languages' }
+    },
+    {
+      name: 'subtitleLanguages',
+      position: subtitlePosition,
+      schema: { type: 'string', maxLength: 128, pattern: LANGUAGE_LIST_PATTERN, description: 'Subtitle languages, comma-separated ISO 639 codes (optional)' },
+      form: { label: 'Subtitle Languages', type: 'languages' }
+    }
+  ];
+}
+
+/**
+ * Torrent document types, in tab order
+ *
+ * label / tabLabel: names in the admin type select and browse tab bar
+ * identifier: the field a type is looked up by, its kind (IDENTIFIER_KINDS)
+ *   and the message shown when it is missing
+ * search: 'exact' (==) or 'prefix' (startsWith) matching on the identifier,
+ *   the search placeholder, and whether season/episode filters apply
+ * fields: schema properties and form inputs, in form order
+ * indices: type-specific indices (byInfoHash, byInfoHashV2, byOwner and byCreatedAt are
+ *   added to every type)
+ * card: extra meta items shown on cards, besides the identifier
+ * validate: optional cross-field checks returning error messages
+ */
+export const DOCUMENT_TYPES = {
+  movie: {
+    label: 'Movie',
+    tabLabel: 'Movies',
+    identifier: { field: 'imdbId', kind: 'imdb', label: 'IMDB', requiredMessage: 'IMDB ID is required (e.g., tt0133093)' },
+    search: { mode: 'exact', placeholder: 'Search by IMDB ID (e.g., tt0133093)' },
+    fields: [
+      ...torrentHeadFields(),
+      {
+        name: 'imdbId',
+        position: 2,
+        required: true,
+        schema: { type: 'integer', minimum: 0, maximum: 9999999999, description: 'IMDB numeric ID (e.g., 133093 from tt0133093)' },
+        form: { label: 'IMDB ID', type: 'text', placeholder: 'e.g., tt0133093' }
+      },
+      ...torrentTailFields({ sizePlaceholder: 'e.g., 1073741824' }),
+      ...languageFields({ audioPosition: 7, subtitlePosition: 8 })
+    ],
+    indices: [
+      { name: 'byImdbId', properties: [{ imdbId: 'asc' }] }
+    ]
+  },
+
+  tv: {
+    label: 'TV Show',
+    tabLabel: 'TV Shows',
+    identifier: { field: 'seriesImdbId', kind: 'imdb', label: 'Series', requiredMessage: 'Series IMDB ID is required (e.g., tt0903747)' },
+    // Season/episode filters narrow a series search via bySeriesSeasonEpisode
+    search: { mode: 'exact', placeholder: 'Search by Series IMDB ID (e.g., tt0903747)', episodeFilters: true },
+    fields: [
+      ...torrentHeadFields({
+        namePlaceholder: 'Full release name (includes S01E05 etc.)',
+        nameDescription: 'Contains season/episode info (e.g., Breaking.Bad.S01E05.720p)'
+      }),
+      {
+        name: 'seriesImdbId',
+        position: 2,
+        required: true,
+        schema: { type: 'integer', minimum: 0, maximum: 9999999999, description: 'IMDB series numeric ID (e.g., 903747 from tt0903747)' },
+        form: { label: 'Series IMDB ID', type: 'text', placeholder: 'e.g., tt0903747' }
+      },
+      {
+        name: 'season',
+        position: 6,
+        schema: { type: 'integer', minimum: 0, maximum: 9999, description: 'Season number (optional)' },
+        form: { label: 'Season', type: 'number', placeholder: 'Auto-filled from name (e.g., S01E05)', min: 0, max: 9999 }
+      },
+      {
+        name: 'episode',
+        position: 7,
+        schema: { type: 'integer', minimum: 0, maximum: 99999, description: 'Episode number within the season (optional, omitted for season packs)' },
+        form: { label: 'Episode', type: 'number', placeholder: 'Empty for season packs', min: 0, max: 99999 }
+      },
+      ...torrentTailFields({ sizePlaceholder: 'e.g., 1073741824', webSeedsPosition: 8 }),
+      ...languageFields({ audioPosition: 9, subtitlePosition: 10 })
+    ],
+    indices: [
+      { name: 'bySeriesImdbId', properties: [{ seriesImdbId: 'asc' }] },
+      { name: 'bySeriesSeasonEpisode', properties: [{ seriesImdbId: 'asc' }, { season: 'asc' }, { episode: 'asc' }] }
+    ],
+    card: [
+      { field: 'season', label: 'Episode', format: (season, data) => formatSeasonEpisode(season, data.episode) }
+    ],
+    validate: data => (data.episode != null && data.season == null ? ['Season is required when an episode is given'] : [])
+  },
+
+  book: {
+    label: 'Book',
+    tabLabel: 'Books',
+    identifier: { field: 'workId', kind: 'openLibraryWork', label: 'Work ID', requiredMessage: 'OpenLibrary Work ID is required (e.g., OL8483260W)' },
+    search: { mode: 'exact', placeholder: 'Search by Work ID (e.g., OL8483260W)' },
+    fields: [
+      ...torrentHeadFields(),
+      {
+        name: 'workId',
+        position: 2,
+        required: true,
+        schema: { type: 'integer', minimum: 0, maximum: 9999999999, description: 'OpenLibrary Work ID numeric part (e.g., 8483260 from OL8483260W)' },
+        form: { label: 'OpenLibrary Work ID', type: 'text', placeholder: 'e.g., OL8483260W' }
+      },
+      ...torrentTailFields({ sizePlaceholder: 'e.g., 10485760' }),
+      ...languageFields({ audioPosition: 7, subtitlePosition: 8 })
+    ],
+    indices: [
+      { name: 'byWorkId', properties: [{ workId: 'asc' }] }
+    ]
+  },
+
+  music: {
+    label: 'Music',
+    tabLabel: 'Music',
+    identifier: {
+      field: 'releaseGroupId',
+      kind: 'musicBrainzReleaseGroup',
+      label: 'MusicBrainz',
+      requiredMessage: 'MusicBrainz release-group ID is required (UUID or musicbrainz.org URL)'
+    },
+    search: { mode: 'exact', placeholder: 'Search by MusicBrainz release-group ID or URL' },
+    fields: [
+      ...torrentHeadFields(),
+      {
+        name: 'releaseGroupId',
+        position: 2,
+        required: true,
+        schema: { type: 'array', byteArray: true, minItems: 16, maxItems: 16, description: 'MusicBrainz release-group MBID (16-byte UUID)' },
+        form: { label: 'MusicBrainz Release Group', type: 'text', placeholder: 'UUID or https://musicbrainz.org/release-group/...' }
+      },
+      {
+        name: 'format',
+        position: 6,
+        schema: { type: 'string', maxLength: 16, description: 'Audio format (optional, e.g., FLAC, MP3, AAC)' },
+        form: { label: 'Format', type: 'text', placeholder: 'e.g., FLAC (optional)', maxLength: 16 }
+      },
+      {
+        name: 'bitrate',
+        position: 7,
+        schema: { type: 'integer', minimum: 0, maximum: 100000, description: 'Bitrate in kbps (optional)' },
+        form: { label: 'Bitrate (kbps)', type: 'number', placeholder: 'e.g., 320 (optional)', min: 0, max: 100000 }
+      },
+      ...torrentTailFields({ sizePlaceholder: 'e.g., 104857600', webSeedsPosition: 8 })
+    ],
+    indices: [
+      { name: 'byReleaseGroupId', properties: [{ releaseGroupId: 'asc' }] }
+    ],
+    card: [
+      { field: 'format', label: 'Format' },
+      { field: 'bitrate', label: 'Bitrate', format: bitrate => `${bitrate} kbps` }
+    ]
+  },
+
+  iso: {
+    label: 'ISO / Software',
+    tabLabel: 'Software',
+    identifier: { field: 'title', kind: 'title', label: 'Title', requiredMessage: 'Title is required' },
+    search: { mode: 'prefix', placeholder: 'Search by title...' },
+    fields: [
+      ...torrentHeadFields(),
+      {
+        name: 'title',
+        position: 2,
+        required: true,
+        schema: { type: 'string', maxLength: 63, description: 'Software/ISO name for search' },
+        form: { label: 'Software/ISO Title', type: 'text', placeholder: 'e.g., Ubuntu 24.04 LTS', maxLength: 63 }
+      },
+      ...torrentTailFields({ sizePlaceholder: 'e.g., 4700000000' })
+    ],
+    indices: [
+      { name: 'byTitle', properties: [{ title: 'asc' }] }
+    ]
+  },
+
+  other: {
+    label: 'Other',
+    tabLabel: 'Other',
+    identifier: { field: 'title', kind: 'title', label: 'Title', requiredMessage: 'Title is required' },
+    search: { mode: 'prefix', placeholder: 'Search by title...' },
+    fields: [
+      ...torrentHeadFields(),
+      {
+        name: 'title',
+        position: 2,
+        required: true,
+        schema: { type: 'string', maxLength: 63, description: 'Title for search' },
+        form: { label: 'Title', type: 'text', placeholder: 'e.g., Nature Wallpapers Collection', maxLength: 63 }
+      },
+      ...torrentTailFields({ sizePlaceholder: 'e.g., 524288000' })
+    ],
+    indices: [
+      { name: 'byTitle', properties: [{ title: 'asc' }] }
+    ]
+  }
+};
+
+// Indices every torrent document type gets
+const COMMON_INDICES = [
+  { name: 'byInfoHash', properties: [{ infoHash: 'asc' }] },
+  { name: 'byInfoHashV2', properties: [{ infoHashV2: 'asc' }] },
+  { name: 'byOwner', properties: [{ $ownerId: 'asc' }] },
+  { name: 'byCreatedAt', properties: [{ $createdAt: 'asc' }] }
+];
+
+/**
+ * Check whether a type has the audio/subtitle language fields
+ * @param {string} docType - Document type
+ * @returns {boolean}
+ */
+export function hasLanguageFields(docType) {
+  return DOCUMENT_TYPES[docType].fields.some(field => field.name === 'audioLanguages');
+}
+
+/**
+ * Get the names of all registered document types
+ * @returns {string[]}
+ */
+export function getDocumentTypes() {
+  return Object.keys(DOCUMENT_TYPES);
+}
+
+/**
+ * Build the Platform document schema for a type
+ * @param {string} docType - Document type
+ * @returns {object} JSON schema with properties, required fields and indices
+ */
+export function buildDocumentSchema(docType) {
+  const def = DOCUMENT_TYPES[docType];
+  const properties = {};
+
+  for (const field of def.fields) {
+    properties[field.name] = { ...field.schema, position: field.position };
+  }
+
+  // Owners can fix (replace) or withdraw (delete) their own submissions
+  return {
+    type: 'object',
+    documentsMutable: true,
+    canBeDeleted: true,
+    properties,
+    // $createdAt must be required to be indexed (byCreatedAt)
+    required: [...def.fields.filter(f => f.required).map(f => f.name), '$createdAt'],
+    additionalProperties: false,
+    indices: [...def.indices, ...COMMON_INDICES]
+  };
+}
+
+/**
+ * Build the admin form field list for a type
+ * @param {string} docType - Document type
+ * @returns {object[]} Field descriptors (name, label, type, required, placeholder, min, max, maxLength)
+ */
+export function buildFormFields(docType) {
+  return DOCUMENT_TYPES[docType].fields
+    .filter(field => field.form)
+    .map(field => ({ name: field.name, required: !!field.required, ...field.form }));
+}
+
+/**
+ * Parse a type's identifier from user input (IMDB ID, Work ID, title...)
+ * @param {string} docType - Document type
+ * @param {string} value - Raw input
+ * @returns {number|string|null} Stored identifier value, or null if invalid
+ */
+export function parseIdentifier(docType, value) {
+  const { kind } = DOCUMENT_TYPES[docType].identifier;
+  return IDENTIFIER_KINDS[kind].parse(value);
+}
+
+/**
+ * Build the where clause for an identifier search
+ * @param {string} docType - Document type
+ * @param {string} query - Raw search input
+ * @returns {Array[]|null} Where clause, or null if the input isn't a valid identifier
+ */
+export function buildIdentifierWhere(docType, query) {
+  const def = DOCUMENT_TYPES[docType];
+  const value = parseIdentifier(docType, query);
+  if (value === null) {
+    return null;
+  }
+
+  const operator = def.search.mode === 'prefix' ? 'startsWith' : '==';
+  return [[def.identifier.field, operator, value]];
+}
+
+/**
+ * Convert one form value to its stored representation
+ * @param {object} def - Document type definition
+ * @param {object} field - Field definition
+ * @param {string} value - Raw form value
+ * @returns {*} Stored value (may be null/NaN when invalid)
+ */
+function prepareFieldValue(def, field, value) {
+  if (field.name === def.identifier.field) {
+    return IDENTIFIER_KINDS[def.identifier.kind].parse(value);
+  }
+  if (field.form && field.form.type === 'languages') {
+    return parseLanguageList(value).join(',') || null;
+  }
+  if (field.schema.type === 'integer') {
+    return parseInt(value, 10);
+  }
+  if (field.schema.type === 'string') {
+    return value.trim();
+  }
+  return value;
+}
+
+/**
+ * Prepare document data for submission
+ * Converts hex strings to bytes, IMDB strings to integers, etc.
+ * @param {string} docType - Document type
+ * @param {object} formData - Raw form data
+ * @returns {object} Prepared data for Platform submission
+ */
+export function prepareDocumentData(docType, formData) {
+  const def = DOCUMENT_TYPES[docType];
+  const data = {};
+
+  // Convert infoHash from hex string to bytes
+  if (formData.infoHash) {
+    data.infoHash = Array.from(hexToBytes(formData.infoHash));
+  }
+
+  // Convert v2 infoHash (accepts bare hex or the 1220-prefixed multihash)
+  if (formData.infoHashV2) {
+    const hashV2Hex = stripMultihashPrefix(formData.infoHashV2);
+    data.infoHashV2 = Array.from(hexToBytes(hashV2Hex));
+
+    // v2-only torrents are indexed by their truncated v2 infohash
+    if (!data.infoHash) {
+      data.infoHash = Array.from(hexToBytes(truncateInfoHashV2(hashV2Hex)));
+    }
+  }
+
+  // Parse trackers (string input to newline-separated string)
+  if (formData.trackers) {
+    const trackers = parseTrackersInput(formData.trackers);
+    if (trackers.length > 0) {
+      // Store as newline-separated string (not array - Platform only supports byte arrays)
+      data.trackers = trackers.join('\n');
+    }
+  }
+
+  // Parse web seeds the same way (http/https URLs only)
+  if (formData.webSeeds) {
+    const webSeeds = parseWebSeedsInput(formData.webSeeds);
+    if (webSeeds.length > 0) {
+      data.webSeeds = webSeeds.join('\n');
+    }
+  }
+
+  // Remaining fields convert according to the registry
+  const handled = ['infoHash', 'infoHashV2', 'trackers', 'webSeeds'];
+  for (const field of def.fields) {
+    if (handled.includes(field.name) || !formData[field.name]) continue;
+    data[field.name] = prepareFieldValue(def, field, formData[field.name]);
+  }
+
+  // Remove undefined/null/NaN values
+  for (const key of Object.keys(data)) {
+    if (data[key] === undefined || data[key] === null || Number.isNaN(data[key])) {
+      delete data[key];
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Convert stored document data back into form values (for editing)
+ * The inverse of prepareDocumentData()
+ * @param {string} docType - Document type
+ * @param {object} data - Document data from a query
+ * @returns {object} Form values keyed by field name
+ */
+export function documentToFormData(docType, data) {
+  const def = DOCUMENT_TYPES[docType];
+  const formData = {};
+
+  for (const field of def.fields) {
+    const value = data[field.name];
+    if (value == null || !field.form) continue;
+
+    if (field.name === def.identifier.field) {
+      formData[field.name] = String(IDENTIFIER_KINDS[def.identifier.kind].format(value) ?? value);
+    } else if (field.schema.byteArray) {
+      const bytes = decodeByteField(value);
+      formData[field.name] = bytes ? bytesToHex(bytes) : '';
+    } else {
+      formData[field.name] = String(value);
+    }
+  }
+
+  return formData;
+}
+
+/**
+ * Validate document data before submission
+ * @param {string} docType - Document type
+ * @param {object} data - Prepared document data
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateDocumentData(docType, data) {
+  const def = DOCUMENT_TYPES[docType];
+  const errors = [];
+
+  if (!def) {
+    return { valid: false, errors: [`Unknown document type: ${docType}`] };
+  }
+
+  // Common validations
+  if (!data.infoHash || data.infoHash.length !== 20) {
+    errors.push('Invalid or missing infoHash (must be 40-char hex)');
+  }
+
+  if (data.infoHashV2 && data.infoHashV2.length !== 32) {
+    errors.push('Invalid v2 infoHash (must be 64-char hex)');
+  }
+
+  if (!data.torrentName || data.torrentName.length === 0) {
+    errors.push('Torrent name is required');
+  }
+
+  // Identifier is always required
+  const identifierValue = data[def.identifier.field];
+  if (identifierValue == null || identifierValue === '') {
+    errors.push(def.identifier.requiredMessage);
+  }
+
+  // Type-specific cross-field checks
+  if (def.validate) {
+    errors.push(...def.validate(data));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Build the type-specific meta items for a document (identifier first)
+ * @param {string} docType - Document type
+ * @param {object} data - Document data
+ * @returns {{ label: string, value: string, url: string|null }[]}
+ */
+export function formatDocumentMeta(docType, data) {
+  const def = DOCUMENT_TYPES[docType];
+  if (!def) {
+    return [];
+  }
+
+  const items = [];
+
+  const { field, kind, label } = def.identifier;
+  if (data[field] != null) {
+    const identifierKind = IDENTIFIER_KINDS[kind];
+    items.push({
+      label,
+      value: String(identifierKind.format(data[field]) ?? data[field]),
+      url: identifierKind.url ? identifierKind.url(data[field]) : null
+    });
+  }
+
+  for (const meta of def.card || []) {
+    if (data[meta.field] != null) {
+      const value = meta.format ? meta.format(data[meta.field], data) : data[meta.field];
+      items.push({ label: meta.label, value: String(value), url: null });
+    }
+  }
+
+  return items;
+}
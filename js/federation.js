@@ -0,0 +1,231 @@
+/**
+ * Federation
+ * Browsing several copies of the torrent contract as one
+ *
+ * A source is a contract ID on a network with a display label. Pages are
+ * queried from every source and merged in query order; a release (infohash)
+ * listed by more than one contract is shown once, from the first contract
+ * whose listing comes up. Sources off the main connection's network get
+ * their own client.
+ */
+
+import { SdkClient, sdkClient } from './sdk-client.js';
+import { isValidIdentifier, bytesToHex, decodeByteField } from './utils.js';
+
+// Networks a source can name; without one it follows the main contract's network
+export const SOURCE_NETWORKS = ['testnet', 'mainnet', 'local'];
+
+// Clients of sources off the main connection's network, by network
+const sourceClients = new Map();
+
+/**
+ * Parse contract source input: one "<contract ID> [network] [label]" per line
+ * @param {string} input - e.g., "7Xyz... mainnet Linux ISOs"
+ * @returns {{ sources: { contractId: string, network: string|null, label: string|null }[], invalid: string[] }}
+ *   Sources in input order (the first of repeated contracts kept) and lines that don't start with a contract ID
+ */
+export function parseContractSourcesInput(input) {
+  if (!input || typeof input !== 'string') {
+    return { sources: [], invalid: [] };
+  }
+
+  const lines = input.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const sources = [];
+  const invalid = [];
+
+  for (const line of lines) {
+    const [contractId, ...rest] = line.split(/\s+/);
+    if (!isValidIdentifier(contractId)) {
+      invalid.push(line);
+      continue;
+    }
+
+    const network = SOURCE_NETWORKS.includes(rest[0]) ? rest.shift() : null;
+    const label = rest.join(' ') || null;
+    if (!sources.some(source => source.contractId === contractId && source.network === network)) {
+      sources.push({ contractId, network, label });
+    }
+  }
+
+  return { sources, invalid };
+}
+
+/**
+ * Format sources back into parseContractSourcesInput() input
+ * @param {object[]} sources - Sources as parsed
+ * @returns {string}
+ */
+export function formatContractSources(sources) {
+  return sources
+    .map(source => [source.contractId, source.network, source.label].filter(Boolean).join(' '))
+    .join('\n');
+}
+
+/**
+ * Get the key a source is tracked by (cursors, results)
+ * @param {{ contractId: string, network: string }} source
+ * @returns {string}
+ */
+export function sourceKey(source) {
+  return `${source.network}:${source.contractId}`;
+}
+
+/**
+ * Get a source's display label: its own, or its shortened contract ID
+ * @param {{ contractId: string, label: string|null }} source
+ * @returns {string}
+ */
+export function sourceLabel(source) {
+  const id = source.contractId;
+  return source.label || `${id.substring(0, 6)}...${id.substring(id.length - 4)}`;
+}
+
+/**
+ * Get the client that queries a source: the main one when the source is on
+ * its network, otherwise one per network (created unconnected)
+ * @param {{ network: string }} source
+ * @param {object} options - connect() options of the main connection ({ verification, custom })
+ * @returns {SdkClient}
+ */
+export function getSourceClient(source, options) {
+  if (sdkClient.isTarget(source.network, options)) {
+    return sdkClient;
+  }
+  if (!sourceClients.has(source.network)) {
+    sourceClients.set(source.network, new SdkClient());
+  }
+  return sourceClients.get(source.network);
+}
+
+/**
+ * Get a source's client, connecting it first if it is not the main one
+ * @param {{ network: string }} source
+ * @param {object} options - connect() options of the main connection ({ verification, custom })
+ * @returns {Promise<SdkClient>}
+ */
+export async function connectSourceClient(source, options) {
+  const client = getSourceClient(source, options);
+  if (client !== sdkClient) {
+    await client.connect(source.network, options);
+  }
+  return client;
+}
+
+/**
+ * Disconnect and drop the clients of sources off the main network
+ * @returns {Promise<void>}
+ */
+export async function closeSourceClients() {
+  const clients = [...sourceClients.values()];
+  sourceClients.clear();
+  await Promise.all(clients.map(client => client.disconnect()));
+}
+
+/**
+ * Read the value a document is ordered by
+ * @param {object} doc - Document from query
+ * @param {string} field - orderBy field (system fields start with $)
+ * @returns {*} undefined if missing
+ */
+function orderValue(doc, field) {
+  if (field.startsWith('$')) {
+    const value = doc[field] ?? doc[field.slice(1)];
+    return field.endsWith('At') && value !== undefined ? Number(value) : value;
+  }
+  const value = (doc.data || doc)[field];
+  if (typeof value === 'string' || typeof value === 'number' || value === undefined) {
+    return value;
+  }
+  return decodeByteField(value) || value;
+}
+
+/**
+ * Compare two order values as Platform indices do; missing values sort first
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function compareOrderValues(a, b) {
+  if (a === undefined || b === undefined) {
+    return (a === undefined ? 0 : 1) - (b === undefined ? 0 : 1);
+  }
+  if (a instanceof Uint8Array && b instanceof Uint8Array) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Build a comparator of documents in a query's order
+ * @param {Array[]} orderBy - [field, 'asc'|'desc'] pairs
+ * @returns {function(object, object): number}
+ */
+export function compareByOrder(orderBy = []) {
+  return (a, b) => {
+    for (const [field, direction] of orderBy) {
+      const order = compareOrderValues(orderValue(a, field), orderValue(b, field));
+      if (order !== 0) {
+        return direction === 'desc' ? -order : order;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Merge query pages into one page, in query order
+ * Streams are merged head by head, so each keeps its own order. The page
+ * ends early when a full stream (one that may hold more than was fetched)
+ * runs dry, since its next document could come before the others'. A
+ * document whose infohash another source already showed (on this page or,
+ * via claimed, an earlier one) is skipped but still moves its cursor.
+ * @param {{ key: string, sourceKey: string, documents: object[], full: boolean }[]} streams -
+ *   One page per stream (a source, or a source and document type); documents
+ *   are deduplicated across sourceKey()s
+ * @param {function(object, object): number} compare - Query order
+ * @param {number} limit - Page size
+ * @param {object} after - Stream key -> last document ID shown so far
+ * @param {Map<string, string>} claimed - Infohash hex -> source key that showed it; updated
+ * @returns {{ entries: { doc: object, stream: object }[], after: object, more: boolean }}
+ *   The page, the cursors after it, and whether any stream may hold more
+ */
+export function mergeSourcePages(streams, compare, limit, after = {}, claimed = new Map()) {
+  const heads = streams.map(() => 0);
+  const cursors = { ...after };
+  const entries = [];
+
+  const runDry = () => streams.some((stream, i) => stream.full && heads[i] >= stream.documents.length);
+
+  while (entries.length < limit && !runDry()) {
+    let next = -1;
+    streams.forEach((stream, i) => {
+      if (heads[i] >= stream.documents.length) return;
+      if (next === -1 || compare(stream.documents[heads[i]], streams[next].documents[heads[next]]) < 0) {
+        next = i;
+      }
+    });
+    if (next === -1) break;
+
+    const stream = streams[next];
+    const doc = stream.documents[heads[next]++];
+    cursors[stream.key] = doc.$id || doc.id;
+
+    const bytes = decodeByteField((doc.data || doc).infoHash);
+    const infoHash = bytes && bytes.length === 20 ? bytesToHex(bytes) : null;
+    if (infoHash && claimed.has(infoHash) && claimed.get(infoHash) !== stream.sourceKey) {
+      continue;
+    }
+    if (infoHash) {
+      claimed.set(infoHash, stream.sourceKey);
+    }
+    entries.push({ doc, stream });
+  }
+
+  const more = streams.some((stream, i) => stream.full || heads[i] < stream.documents.length);
+  return { entries, after: cursors, more };
+}
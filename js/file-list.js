@@ -0,0 +1,155 @@
+/**
+ * File Lists
+ * Compact path/size listings stored as fileList documents alongside a
+ * torrent document, chunked across documents when a release has many files
+ *
+ * A listing is one line per file: "<length>\t<path>", with paths relative
+ * to the torrent's root directory.
+ */
+
+import { formatIdentifier } from './utils.js';
+
+// Maximum UTF-8 bytes of listing per fileList document (schema maxLength)
+export const FILE_LIST_CHUNK_BYTES = 4000;
+
+// Maximum documents per listing (one query page)
+export const FILE_LIST_MAX_CHUNKS = 100;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Encode files into fileList chunk strings
+ * @param {{ path: string, length: number }[]} files - Files from parseTorrentFile()
+ * @param {string} rootName - Torrent name; a leading "<rootName>/" is stripped from paths
+ * @returns {string[]} Chunks, each at most FILE_LIST_CHUNK_BYTES bytes
+ */
+export function encodeFileList(files, rootName = '') {
+  const prefix = rootName ? `${rootName}/` : '';
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const file of files) {
+    const path = prefix && file.path.startsWith(prefix) ? file.path.slice(prefix.length) : file.path;
+    const line = `${file.length}\t${path.replace(/[\t\n]/g, ' ')}`;
+    const lineBytes = textEncoder.encode(line).length;
+
+    if (lineBytes > FILE_LIST_CHUNK_BYTES) {
+      throw new Error(`File path too long for a file list: ${path.substring(0, 64)}...`);
+    }
+
+    // Start a new chunk rather than split a line (+1 for the newline)
+    if (current && currentBytes + 1 + lineBytes > FILE_LIST_CHUNK_BYTES) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    if (current) {
+      current += '\n';
+      currentBytes += 1;
+    }
+    current += line;
+    currentBytes += lineBytes;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  if (chunks.length > FILE_LIST_MAX_CHUNKS) {
+    throw new Error(`File list too large (${chunks.length} documents, max ${FILE_LIST_MAX_CHUNKS})`);
+  }
+
+  return chunks;
+}
+
+/**
+ * Decode chunk strings back into files
+ * @param {string[]} chunks - Chunks in chunkIndex order
+ * @returns {{ path: string, length: number }[]}
+ */
+export function decodeFileList(chunks) {
+  const files = [];
+
+  for (const line of chunks.join('\n').split('\n')) {
+    const tab = line.indexOf('\t');
+    if (tab === -1) continue;
+    const length = parseInt(line.substring(0, tab), 10);
+    if (Number.isNaN(length)) continue;
+    files.push({ path: line.substring(tab + 1), length });
+  }
+
+  return files;
+}
+
+/**
+ * Pick one complete listing from queried fileList documents
+ * Anyone can publish a listing for an infohash, so chunks are grouped by
+ * owner; the torrent publisher's listing wins, otherwise the first complete one
+ * @param {object[]} docs - fileList documents, ordered by chunkIndex
+ * @param {string|null} preferredOwnerId - Owner of the torrent document
+ * @returns {string[]|null} Chunk strings in order, or null if none is complete
+ */
+export function selectFileListChunks(docs, preferredOwnerId = null) {
+  const byOwner = new Map();
+
+  for (const doc of docs) {
+    const data = doc.data || doc;
+    const ownerId = formatIdentifier(doc.$ownerId || doc.ownerId) || '';
+    if (!byOwner.has(ownerId)) {
+      byOwner.set(ownerId, []);
+    }
+    byOwner.get(ownerId).push(data);
+  }
+
+  const isComplete = chunks => chunks.length > 0 &&
+    chunks.length === chunks[0].chunkCount &&
+    chunks.every((chunk, index) => chunk.chunkIndex === index);
+
+  const owners = [...byOwner.keys()].sort((a, b) => (b === preferredOwnerId) - (a === preferredOwnerId));
+  for (const ownerId of owners) {
+    const chunks = byOwner.get(ownerId);
+    if (isComplete(chunks)) {
+      return chunks.map(chunk => chunk.files);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a directory tree from a flat file list
+ * @param {{ path: string, length: number }[]} files - Files with "/"-separated paths
+ * @returns {{ name: string, size: number, children: object[]|null }} Root node;
+ *   directories have children (directories first, then files, by name)
+ */
+export function buildFileTree(files) {
+  const root = { name: '', size: 0, children: [] };
+
+  for (const file of files) {
+    const parts = file.path.split('/').filter(part => part.length > 0);
+    let node = root;
+    root.size += file.length;
+
+    parts.forEach((part, index) => {
+      const isFile = index === parts.length - 1;
+      let child = node.children.find(c => c.name === part && (c.children === null) === isFile);
+      if (!child) {
+        child = { name: part, size: 0, children: isFile ? null : [] };
+        node.children.push(child);
+      }
+      child.size += file.length;
+      node = child;
+    });
+  }
+
+  const sortTree = node => {
+    if (!node.children) return;
+    node.children.sort((a, b) => (a.children === null) - (b.children === null) || a.name.localeCompare(b.name));
+    node.children.forEach(sortTree);
+  };
+  sortTree(root);
+
+  return root;
+}
@@ -0,0 +1,87 @@
+/**
+ * Languages
+ * ISO 639-1 codes for the audio and subtitle language fields
+ *
+ * Platform has no string arrays, so a field stores its codes comma-separated
+ * (e.g., "en,fr").
+ */
+
+/**
+ * Languages offered in forms and filters, by ISO 639-1 code
+ */
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  sv: 'Swedish',
+  no: 'Norwegian',
+  da: 'Danish',
+  fi: 'Finnish',
+  is: 'Icelandic',
+  pl: 'Polish',
+  cs: 'Czech',
+  sk: 'Slovak',
+  hu: 'Hungarian',
+  ro: 'Romanian',
+  bg: 'Bulgarian',
+  hr: 'Croatian',
+  sr: 'Serbian',
+  sl: 'Slovenian',
+  uk: 'Ukrainian',
+  ru: 'Russian',
+  lt: 'Lithuanian',
+  lv: 'Latvian',
+  et: 'Estonian',
+  el: 'Greek',
+  ca: 'Catalan',
+  tr: 'Turkish',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  fa: 'Persian',
+  hi: 'Hindi',
+  bn: 'Bengali',
+  ta: 'Tamil',
+  te: 'Telugu',
+  th: 'Thai',
+  vi: 'Vietnamese',
+  id: 'Indonesian',
+  ms: 'Malay',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean'
+};
+
+// Stored form: lowercase ISO 639 codes, comma-separated
+export const LANGUAGE_LIST_PATTERN = '^[a-z]{2,3}(,[a-z]{2,3})*$';
+
+/**
+ * Parse a language list (stored string, form input or array of codes)
+ * Entries that aren't 2-3 letter codes are dropped
+ * @param {string|string[]} value - e.g., "en,fr" or "EN, fr"
+ * @returns {string[]} Deduplicated lowercase codes, in input order
+ */
+export function parseLanguageList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  const codes = entries
+    .map(entry => entry.trim().toLowerCase())
+    .filter(entry => /^[a-z]{2,3}$/.test(entry));
+
+  return [...new Set(codes)];
+}
+
+/**
+ * Get the display name for a language code
+ * @param {string} code - ISO 639 code
+ * @returns {string} Name, or the uppercased code if unknown
+ */
+export function formatLanguage(code) {
+  return LANGUAGES[code] || code.toUpperCase();
+}
@@ -0,0 +1,734 @@
+/**
+ * Local Platform
+ * In-memory stand-in for the parts of EvoSDK used by sdk-client.js
+ * (contracts.create/fetch/get, documents.create/replace/delete/query and
+ * dpns.username), for offline development and demo mode
+ *
+ * Contracts and documents are validated against their schemas and queries
+ * follow Platform's rules: every query must be served by one of the type's
+ * indices (or the $id primary key), range and `in` clauses need a matching
+ * orderBy, limit is 1-100 and startAfter/startAt name an existing document.
+ * Signatures are not checked; the ownerId passed in is trusted.
+ *
+ * State is persisted to localStorage, so the browse and admin pages share it.
+ * When nothing is saved yet it is seeded from an optional JSON fixture:
+ *   {
+ *     "contracts": [{ "id", "ownerId", "documentSchemas"? }],
+ *     "documents": [{ "contractId", "type", "ownerId", "id"?, "createdAt"?, "data" }],
+ *     "names": { "<identity ID>": "alice.dash" }
+ *   }
+ * Fixture contracts without documentSchemas use the defaultSchemas option;
+ * byte array fields may be given as hex.
+ */
+
+import { base58Decode, base58Encode, isValidIdentifier, doubleSha256, generateEntropyBytes, decodeByteField } from './utils.js';
+
+// Platform returns at most 100 documents per query
+const MAX_QUERY_LIMIT = 100;
+
+// Most values in an `in` clause
+const MAX_IN_VALUES = 100;
+
+const IDENTIFIER_MEDIA_TYPE = 'application/x.dash.dpp.identifier';
+
+const RANGE_OPERATORS = ['<', '<=', '>', '>=', 'startsWith'];
+
+// Schemas of the system fields documents can be queried and indexed by
+const SYSTEM_FIELDS = {
+  $id: { type: 'array', byteArray: true, contentMediaType: IDENTIFIER_MEDIA_TYPE },
+  $ownerId: { type: 'array', byteArray: true, contentMediaType: IDENTIFIER_MEDIA_TYPE },
+  $revision: { type: 'integer' },
+  $createdAt: { type: 'integer' },
+  $updatedAt: { type: 'integer' }
+};
+
+// Platform's contract config defaults, for contracts that don't set them
+const DEFAULT_CONTRACT_CONFIG = {
+  canBeDeleted: false,
+  readonly: false,
+  keepsHistory: false,
+  documentsKeepHistoryContractDefault: false,
+  documentsMutableContractDefault: true,
+  documentsCanBeDeletedContractDefault: true
+};
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Check whether a property schema describes an identifier
+ * @param {object} schema - Property schema
+ * @returns {boolean}
+ */
+function isIdentifierSchema(schema) {
+  return schema.byteArray === true && schema.contentMediaType === IDENTIFIER_MEDIA_TYPE;
+}
+
+/**
+ * Convert a value to a stored identifier (base58)
+ * @param {*} value - base58 string, byte array or Uint8Array
+ * @returns {string|null} base58 identifier, or null if the value isn't one
+ */
+function toIdentifier(value) {
+  if (typeof value === 'string') {
+    return isValidIdentifier(value) ? value : null;
+  }
+  if ((Array.isArray(value) || value instanceof Uint8Array) && value.length === 32) {
+    return base58Encode(Uint8Array.from(value));
+  }
+  return null;
+}
+
+/**
+ * Convert a value to stored bytes (a plain array, so state serialises to JSON)
+ * @param {*} value - Byte array, Uint8Array, hex or base64 string
+ * @returns {number[]|null}
+ */
+function toByteArray(value) {
+  if (typeof value === 'string' && /^([0-9a-f]{2})+$/i.test(value)) {
+    return value.match(/../g).map(byte => parseInt(byte, 16));
+  }
+  const bytes = decodeByteField(value);
+  return bytes ? Array.from(bytes) : null;
+}
+
+/**
+ * Normalise and validate one property value against its schema
+ * @param {string} name - Property name, for error messages
+ * @param {object} schema - Property schema
+ * @param {*} value - Raw value
+ * @returns {*} Stored value
+ */
+function normalizeValue(name, schema, value) {
+  if (isIdentifierSchema(schema)) {
+    const identifier = toIdentifier(value);
+    if (!identifier) {
+      throw new Error(`${name} must be an identifier`);
+    }
+    return identifier;
+  }
+
+  if (schema.byteArray) {
+    const bytes = toByteArray(value);
+    if (!bytes) {
+      throw new Error(`${name} must be a byte array`);
+    }
+    if (schema.minItems !== undefined && bytes.length < schema.minItems) {
+      throw new Error(`${name} must be at least ${schema.minItems} bytes`);
+    }
+    if (schema.maxItems !== undefined && bytes.length > schema.maxItems) {
+      throw new Error(`${name} must be at most ${schema.maxItems} bytes`);
+    }
+    return bytes;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new Error(`${name} must be a string`);
+      }
+      if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+        throw new Error(`${name} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && [...value].length > schema.maxLength) {
+        throw new Error(`${name} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        throw new Error(`${name} does not match ${schema.pattern}`);
+      }
+      break;
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'bigint' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (schema.minimum !== undefined && number < schema.minimum) {
+        throw new Error(`${name} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && number > schema.maximum) {
+        throw new Error(`${name} must be at most ${schema.maximum}`);
+      }
+      value = number;
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`${name} must be a boolean`);
+      }
+      break;
+    default:
+      throw new Error(`${name} has unsupported type ${schema.type}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new Error(`${name} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Validate document data against a document type schema
+ * @param {string} type - Document type
+ * @param {object} schema - Document type schema
+ * @param {object} data - Raw document data
+ * @returns {object} Stored data
+ */
+function validateData(type, schema, data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`${type} document data must be an object`);
+  }
+
+  const stored = {};
+
+  for (const [name, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    const propertySchema = schema.properties[name];
+    if (!propertySchema) {
+      if (schema.additionalProperties === false) {
+        throw new Error(`${type} documents have no property ${name}`);
+      }
+      continue;
+    }
+    stored[name] = normalizeValue(`${type}.${name}`, propertySchema, value);
+  }
+
+  for (const name of schema.required || []) {
+    if (!name.startsWith('$') && stored[name] === undefined) {
+      throw new Error(`${type}.${name} is required`);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Get the schema of a field documents can be queried by
+ * @param {object} schema - Document type schema
+ * @param {string} field - Property or system field name
+ * @returns {object|null}
+ */
+function fieldSchema(schema, field) {
+  return SYSTEM_FIELDS[field] || schema.properties[field] || null;
+}
+
+/**
+ * Compare two stored values in index order (bytes and identifiers bytewise)
+ * Missing values sort first
+ * @param {*} a - Stored value
+ * @param {*} b - Stored value
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (a === undefined || b === undefined) {
+    return (a === undefined ? 0 : 1) - (b === undefined ? 0 : 1);
+  }
+
+  if (typeof a === 'string' && typeof b === 'string' && isValidIdentifier(a) && isValidIdentifier(b)) {
+    return compareValues(Array.from(base58Decode(a)), Array.from(base58Decode(b)));
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Find an index that serves a query, Platform style: equality fields form a
+ * prefix of the index, followed by the `in` field and then the range field,
+ * and orderBy (apart from equality fields) continues the index from there
+ * @param {object} schema - Document type schema
+ * @param {Array[]} where - Where clauses
+ * @param {Array[]} orderBy - [field, direction] pairs
+ * @returns {string[]|null} Index property names, or null if no index fits
+ */
+function findIndex(schema, where, orderBy) {
+  const equalFields = [...new Set(where.filter(([, op]) => op === '==').map(([field]) => field))];
+  const inFields = [...new Set(where.filter(([, op]) => op === 'in').map(([field]) => field))];
+  const rangeFields = [...new Set(where.filter(([, op]) => RANGE_OPERATORS.includes(op)).map(([field]) => field))];
+  const orderFields = orderBy.map(([field]) => field).filter(field => !equalFields.includes(field));
+
+  const indices = [
+    ...(schema.indices || []).map(index => index.properties.map(property => Object.keys(property)[0])),
+    ['$id']  // primary key
+  ];
+
+  return indices.find(properties => {
+    const prefix = properties.slice(0, equalFields.length);
+    if (prefix.length !== equalFields.length || !equalFields.every(field => prefix.includes(field))) {
+      return false;
+    }
+
+    const rest = properties.slice(equalFields.length);
+    const constrained = [...inFields, ...rangeFields];
+    if (!constrained.every((field, i) => rest[i] === field)) {
+      return false;
+    }
+
+    return orderFields.every((field, i) => rest[i] === field);
+  }) || null;
+}
+
+/**
+ * Check a stored value against one where clause
+ * @param {*} value - Stored value
+ * @param {string} operator - Where operator
+ * @param {*} operand - Normalised operand
+ * @returns {boolean}
+ */
+function matchesClause(value, operator, operand) {
+  if (value === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case '==': return compareValues(value, operand) === 0;
+    case 'in': return operand.some(candidate => compareValues(value, candidate) === 0);
+    case '<': return compareValues(value, operand) < 0;
+    case '<=': return compareValues(value, operand) <= 0;
+    case '>': return compareValues(value, operand) > 0;
+    case '>=': return compareValues(value, operand) >= 0;
+    case 'startsWith': return typeof value === 'string' && value.startsWith(operand);
+    default: return false;
+  }
+}
+
+/**
+ * Deep-copy a stored value so callers can't change state
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * In-memory Dash Platform for offline development and demo mode
+ */
+export class LocalPlatform {
+  /**
+   * @param {object} options
+   * @param {string|null} options.storageKey - localStorage key (null to keep state in memory only)
+   * @param {string|null} options.fixtureUrl - JSON fixture to seed an empty platform from
+   * @param {object} options.defaultSchemas - Document schemas for fixture contracts that don't list their own
+   */
+  constructor({ storageKey = null, fixtureUrl = null, defaultSchemas = {} } = {}) {
+    this.storageKey = storageKey;
+    this.fixtureUrl = fixtureUrl;
+    this.defaultSchemas = defaultSchemas;
+    this.state = { contracts: {}, documents: {}, names: {} };
+    this.loaded = false;
+
+    // Same call shapes as the EvoSDK facades
+    this.contracts = {
+      create: params => this.createContract(params),
+      fetch: contractId => this.fetchContract(contractId),
+      get: ({ contractId }) => this.fetchContract(contractId)
+    };
+    this.documents = {
+      create: params => this.createDocument(params),
+      replace: params => this.replaceDocument(params),
+      delete: params => this.deleteDocument(params),
+      query: params => this.queryDocuments(params)
+    };
+    this.dpns = {
+      username: identityId => this.state.names[identityId] || null
+    };
+  }
+
+  /**
+   * Load saved state, or seed from the fixture when nothing is saved
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.loaded) {
+      return;
+    }
+
+    const saved = this.storageKey && typeof localStorage !== 'undefined' && localStorage.getItem(this.storageKey);
+    if (saved) {
+      this.state = JSON.parse(saved);
+    } else if (this.fixtureUrl) {
+      try {
+        const response = await fetch(this.fixtureUrl);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        await this.seed(await response.json());
+      } catch (error) {
+        console.warn(`Could not load local fixture ${this.fixtureUrl}, starting empty:`, error);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Add the contracts, documents and names from a fixture
+   * Fixture documents are validated like submitted ones
+   * @param {object} fixture - Parsed fixture JSON
+   * @returns {Promise<void>}
+   */
+  async seed(fixture) {
+    for (const contract of fixture.contracts || []) {
+      this.storeContract({
+        id: contract.id,
+        ownerId: contract.ownerId,
+        config: contract.config,
+        documentSchemas: contract.documentSchemas || this.defaultSchemas
+      });
+    }
+
+    for (const doc of fixture.documents || []) {
+      await this.insertDocument(doc.contractId, doc.type, doc.ownerId, doc.data, {
+        id: doc.id,
+        createdAt: doc.createdAt
+      });
+    }
+
+    Object.assign(this.state.names, fixture.names || {});
+    this.save();
+  }
+
+  /**
+   * Write state to localStorage (if persistence is on)
+   */
+  save() {
+    if (this.storageKey && typeof localStorage !== 'undefined') {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    }
+  }
+
+  /**
+   * Register a contract
+   * @param {{ ownerId: string, definition: object }} params - As for EvoSDK contracts.create
+   * @returns {Promise<object>} The stored contract
+   */
+  async createContract({ ownerId, definition }) {
+    if (!toIdentifier(ownerId)) {
+      throw new Error('ownerId must be an identity ID');
+    }
+
+    const id = definition.id || base58Encode(await doubleSha256(Uint8Array.from([
+      ...base58Decode(ownerId),
+      ...generateEntropyBytes()
+    ])));
+
+    const contract = this.storeContract({
+      id,
+      ownerId,
+      version: definition.version,
+      config: definition.config,
+      documentSchemas: definition.documentSchemas
+    });
+    this.save();
+
+    return clone(contract);
+  }
+
+  /**
+   * Validate and store a contract
+   * @param {object} contract - { id, ownerId, version?, config?, documentSchemas }
+   * @returns {object} The stored contract
+   */
+  storeContract({ id, ownerId, version = 1, config = {}, documentSchemas }) {
+    if (!toIdentifier(id)) {
+      throw new Error(`Contract ID ${id} is not an identifier`);
+    }
+    if (this.state.contracts[id]) {
+      throw new Error(`Contract ${id} already exists`);
+    }
+    if (!documentSchemas || Object.keys(documentSchemas).length === 0) {
+      throw new Error('A contract needs at least one document type');
+    }
+
+    for (const [type, schema] of Object.entries(documentSchemas)) {
+      if (schema.type !== 'object' || !schema.properties) {
+        throw new Error(`${type} must be an object schema with properties`);
+      }
+
+      for (const index of schema.indices || []) {
+        for (const property of index.properties) {
+          const field = Object.keys(property)[0];
+          if (!fieldSchema(schema, field)) {
+            throw new Error(`Index ${type}.${index.name} uses unknown field ${field}`);
+          }
+          if ((field === '$createdAt' || field === '$updatedAt') && !(schema.required || []).includes(field)) {
+            throw new Error(`Index ${type}.${index.name} uses ${field}, which must be required`);
+          }
+        }
+      }
+    }
+
+    const settings = { ...config };
+    delete settings.$format_version;
+    const contract = {
+      id,
+      ownerId,
+      version,
+      config: { ...DEFAULT_CONTRACT_CONFIG, ...settings },
+      documentSchemas: clone(documentSchemas)
+    };
+
+    this.state.contracts[id] = contract;
+    this.state.documents[id] = Object.fromEntries(Object.keys(documentSchemas).map(type => [type, {}]));
+    return contract;
+  }
+
+  /**
+   * Fetch a contract
+   * @param {string} contractId - The contract ID
+   * @returns {Promise<object|null>} The contract, or null if it doesn't exist
+   */
+  async fetchContract(contractId) {
+    const contract = this.state.contracts[contractId];
+    return contract ? clone(contract) : null;
+  }
+
+  /**
+   * Look up a contract and one of its document types
+   * @param {string} contractId - The contract ID
+   * @param {string} type - Document type
+   * @returns {{ contract: object, schema: object, documents: object }}
+   */
+  getType(contractId, type) {
+    const contract = this.state.contracts[contractId];
+    if (!contract) {
+      throw new Error(`Contract ${contractId} not found`);
+    }
+    const schema = contract.documentSchemas[type];
+    if (!schema) {
+      throw new Error(`Document type ${type} not found in contract ${contractId}`);
+    }
+    return { contract, schema, documents: this.state.documents[contractId][type] };
+  }
+
+  /**
+   * Create a document
+   * @param {object} params - As for EvoSDK documents.create ({ contractId, type, ownerId, data, entropyHex })
+   * @returns {Promise<{ documentId: string, document: object }>}
+   */
+  async createDocument({ contractId, type, ownerId, data, entropyHex }) {
+    const entropy = entropyHex ? Uint8Array.from(toByteArray(entropyHex)) : generateEntropyBytes();
+    const document = await this.insertDocument(contractId, type, ownerId, data, { entropy });
+    this.save();
+    return { documentId: document.$id, document: clone(document) };
+  }
+
+  /**
+   * Validate and store a new document
+   * @param {string} contractId - The contract ID
+   * @param {string} type - Document type
+   * @param {string} ownerId - Owner identity ID
+   * @param {object} data - Document data
+   * @param {object} options - { id, createdAt, entropy }; the ID is derived from the entropy unless given
+   * @returns {Promise<object>} The stored document
+   */
+  async insertDocument(contractId, type, ownerId, data, { id = null, createdAt = null, entropy = null } = {}) {
+    const { schema, documents } = this.getType(contractId, type);
+    if (!toIdentifier(ownerId)) {
+      throw new Error('ownerId must be an identity ID');
+    }
+
+    if (id && !toIdentifier(id)) {
+      throw new Error(`Document ID ${id} is not an identifier`);
+    }
+
+    // Document ID = double SHA-256 of contract ID, owner ID, type and entropy
+    const documentId = id || base58Encode(await doubleSha256(Uint8Array.from([
+      ...base58Decode(contractId),
+      ...base58Decode(ownerId),
+      ...textEncoder.encode(type),
+      ...(entropy || generateEntropyBytes())
+    ])));
+    if (documents[documentId]) {
+      throw new Error(`Document ${documentId} already exists`);
+    }
+
+    const now = createdAt || Date.now();
+    const document = { $id: documentId, $ownerId: ownerId, $revision: 1, ...validateData(type, schema, data) };
+    if ((schema.required || []).includes('$createdAt')) document.$createdAt = now;
+    if ((schema.required || []).includes('$updatedAt')) document.$updatedAt = now;
+
+    this.checkUniqueIndices(type, schema, documents, document);
+    documents[documentId] = document;
+    return document;
+  }
+
+  /**
+   * Replace a document's data
+   * @param {object} params - As for EvoSDK documents.replace ({ contractId, type, documentId, ownerId, data, revision })
+   * @returns {Promise<object>} The new document
+   */
+  async replaceDocument({ contractId, type, documentId, ownerId, data, revision }) {
+    const { contract, schema, documents } = this.getType(contractId, type);
+    const current = this.getOwnDocument(documents, type, documentId, ownerId);
+
+    const mutable = schema.documentsMutable ?? contract.config.documentsMutableContractDefault;
+    if (!mutable) {
+      throw new Error(`${type} documents are immutable`);
+    }
+    if (Number(revision) !== current.$revision) {
+      throw new Error(`Revision mismatch for ${documentId}: expected ${current.$revision}, got ${revision}`);
+    }
+
+    const document = {
+      $id: current.$id,
+      $ownerId: current.$ownerId,
+      $revision: current.$revision + 1,
+      ...validateData(type, schema, data)
+    };
+    if (current.$createdAt !== undefined) document.$createdAt = current.$createdAt;
+    if ((schema.required || []).includes('$updatedAt')) document.$updatedAt = Date.now();
+
+    this.checkUniqueIndices(type, schema, documents, document);
+    documents[documentId] = document;
+    this.save();
+    return clone(document);
+  }
+
+  /**
+   * Delete a document
+   * @param {object} params - As for EvoSDK documents.delete ({ contractId, type, documentId, ownerId })
+   * @returns {Promise<{ documentId: string }>}
+   */
+  async deleteDocument({ contractId, type, documentId, ownerId }) {
+    const { contract, schema, documents } = this.getType(contractId, type);
+    this.getOwnDocument(documents, type, documentId, ownerId);
+
+    const deletable = schema.canBeDeleted ?? contract.config.documentsCanBeDeletedContractDefault;
+    if (!deletable) {
+      throw new Error(`${type} documents can't be deleted`);
+    }
+
+    delete documents[documentId];
+    this.save();
+    return { documentId };
+  }
+
+  /**
+   * Get a document, checking it belongs to the identity
+   * @param {object} documents - The type's documents by ID
+   * @param {string} type - Document type
+   * @param {string} documentId - Document ID
+   * @param {string} ownerId - Identity ID claiming ownership
+   * @returns {object}
+   */
+  getOwnDocument(documents, type, documentId, ownerId) {
+    const document = documents[documentId];
+    if (!document) {
+      throw new Error(`${type} document ${documentId} not found`);
+    }
+    if (document.$ownerId !== ownerId) {
+      throw new Error(`${type} document ${documentId} belongs to another identity`);
+    }
+    return document;
+  }
+
+  /**
+   * Refuse a document that repeats another's values on a unique index
+   * Indices with a missing value don't constrain (as on Platform)
+   * @param {string} type - Document type
+   * @param {object} schema - Document type schema
+   * @param {object} documents - The type's documents by ID
+   * @param {object} document - Document being stored
+   */
+  checkUniqueIndices(type, schema, documents, document) {
+    for (const index of (schema.indices || []).filter(i => i.unique)) {
+      const fields = index.properties.map(property => Object.keys(property)[0]);
+      if (fields.some(field => document[field] === undefined)) continue;
+
+      const clash = Object.values(documents).find(other => other.$id !== document.$id &&
+        fields.every(field => compareValues(other[field], document[field]) === 0));
+      if (clash) {
+        throw new Error(`Duplicate ${type} document for unique index ${index.name} (conflicts with ${clash.$id})`);
+      }
+    }
+  }
+
+  /**
+   * Query documents
+   * @param {object} params - As for EvoSDK documents.query ({ contractId, type, where, orderBy, limit, startAfter, startAt })
+   * @returns {Promise<object[]>}
+   */
+  async queryDocuments({ contractId, type, where = [], orderBy = [], limit = MAX_QUERY_LIMIT, startAfter = null, startAt = null }) {
+    const { schema, documents } = this.getType(contractId, type);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      throw new Error(`limit must be between 1 and ${MAX_QUERY_LIMIT}`);
+    }
+
+    const clauses = where.map(([field, operator, value]) => {
+      const propertySchema = fieldSchema(schema, field);
+      if (!propertySchema) {
+        throw new Error(`${type} documents have no field ${field}`);
+      }
+
+      if (operator === 'in') {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES) {
+          throw new Error(`in on ${field} needs 1-${MAX_IN_VALUES} values`);
+        }
+        return [field, operator, value.map(v => normalizeValue(field, { ...propertySchema, minItems: undefined, maxItems: undefined }, v))];
+      }
+      if (operator === 'startsWith') {
+        if (propertySchema.type !== 'string' || typeof value !== 'string') {
+          throw new Error(`startsWith on ${field} needs a string field and value`);
+        }
+        return [field, operator, value];
+      }
+      if (operator !== '==' && !RANGE_OPERATORS.includes(operator)) {
+        throw new Error(`Unsupported where operator ${operator}`);
+      }
+      return [field, operator, normalizeValue(field, { ...propertySchema, minItems: undefined, maxItems: undefined, pattern: undefined, enum: undefined }, value)];
+    });
+
+    const rangeFields = new Set(clauses.filter(([, op]) => op === 'in' || RANGE_OPERATORS.includes(op)).map(([field]) => field));
+    if (clauses.filter(([, op]) => RANGE_OPERATORS.includes(op)).map(([field]) => field).some((field, i, fields) => field !== fields[0])) {
+      throw new Error('Range clauses are only allowed on one field');
+    }
+    for (const field of rangeFields) {
+      if (!orderBy.some(([orderField]) => orderField === field)) {
+        throw new Error(`Range and in clauses on ${field} need an orderBy on ${field}`);
+      }
+    }
+
+    const index = findIndex(schema, clauses, orderBy);
+    if (!index) {
+      throw new Error(`No index of ${type} serves this query (where ${JSON.stringify(where)}, orderBy ${JSON.stringify(orderBy)})`);
+    }
+
+    // Sort by orderBy, else along the index; $id breaks ties in the last direction
+    const order = orderBy.length > 0 ? orderBy : index.map(field => [field, 'asc']);
+    const tieDirection = order[order.length - 1][1];
+    const compareDocuments = (a, b) => {
+      for (const [field, direction] of [...order, ['$id', tieDirection]]) {
+        const result = compareValues(a[field], b[field]);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    };
+
+    let results = Object.values(documents)
+      .filter(doc => clauses.every(([field, operator, operand]) => matchesClause(doc[field], operator, operand)))
+      .sort(compareDocuments);
+
+    // The cursor is a position in the index, so it must be an existing document
+    const cursorId = startAfter || startAt;
+    if (cursorId) {
+      const cursor = documents[toIdentifier(cursorId)];
+      if (!cursor) {
+        throw new Error(`Start document ${cursorId} not found`);
+      }
+      results = results.filter(doc => startAfter ? compareDocuments(doc, cursor) > 0 : compareDocuments(doc, cursor) >= 0);
+    }
+
+    return clone(results.slice(0, limit));
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Moderation
+ * Report reasons, report grouping for the moderation queue, and hide decisions
+ *
+ * Anyone can file a report; only decisions published by the contract owner
+ * are honoured by the browse page.
+ */
+
+import { formatIdentifier } from './utils.js';
+
+/**
+ * Report reason codes (stored as integers in report and moderation documents)
+ */
+export const REPORT_REASONS = {
+  1: 'Malware',
+  2: 'Mislabeled',
+  3: 'Illegal content',
+  4: 'Fake or broken',
+  5: 'Spam',
+  6: 'Other'
+};
+
+/**
+ * Get the label for a reason code
+ * @param {number} code - Reason code
+ * @returns {string}
+ */
+export function formatReportReason(code) {
+  return REPORT_REASONS[code] || `Unknown (${code})`;
+}
+
+/**
+ * Group report documents by target, most reported first
+ * @param {object[]} reports - report documents
+ * @returns {{ targetId: string, targetType: string, count: number, reasons: object, notes: string[] }[]}
+ *   reasons maps reason code -> count
+ */
+export function groupReports(reports) {
+  const groups = new Map();
+
+  for (const doc of reports) {
+    const data = doc.data || doc;
+    const targetId = formatIdentifier(data.targetId);
+    if (!groups.has(targetId)) {
+      groups.set(targetId, { targetId, targetType: data.targetType, count: 0, reasons: {}, notes: [] });
+    }
+
+    const group = groups.get(targetId);
+    group.count++;
+    group.reasons[data.reason] = (group.reasons[data.reason] || 0) + 1;
+    if (data.note) {
+      group.notes.push(data.note);
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Collect the target IDs currently hidden by moderation decisions
+ * @param {object[]} decisions - moderation documents (already filtered to the moderator)
+ * @returns {Set<string>}
+ */
+export function collectHiddenTargets(decisions) {
+  const hidden = new Set();
+
+  for (const doc of decisions) {
+    const data = doc.data || doc;
+    if (data.hidden) {
+      hidden.add(formatIdentifier(data.targetId));
+    }
+  }
+
+  return hidden;
+}
@@ -0,0 +1,181 @@
+/**
+ * Query Cache
+ * IndexedDB store of document query results, keyed by network, contract,
+ * document type and query options
+ *
+ * Results are served stale-while-revalidate by sdkClient.queryDocumentsCached():
+ * a cached page is shown straight away and, once older than
+ * QUERY_CACHE_FRESH_MS, queried again in the background. Writes through
+ * sdk-client drop the cached queries of the document type they touch, so the
+ * browse and admin pages (which share the store) see their own submissions.
+ * Where IndexedDB is unavailable every lookup misses and nothing is stored.
+ */
+
+const DB_NAME = 'unstoppable-torrents-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'queries';
+
+// Results younger than this are served without querying again
+export const QUERY_CACHE_FRESH_MS = 30 * 1000;
+
+// Results older than this are dropped when the cache is opened
+export const QUERY_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the cache database (once per page), dropping expired results
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      if (typeof indexedDB === 'undefined') {
+        return null;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('byStoredAt', 'storedAt');
+      };
+      const db = await promisifyRequest(request);
+
+      const expired = IDBKeyRange.upperBound(Date.now() - QUERY_CACHE_MAX_AGE_MS);
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      const expiredKeys = await promisifyRequest(store.index('byStoredAt').getAllKeys(expired));
+      expiredKeys.forEach(key => store.delete(key));
+
+      return db;
+    })().catch(error => {
+      console.warn('Query cache unavailable:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Build the prefix shared by a network/contract's cache keys (optionally one type's)
+ * @param {string} network - Network scope (sdkClient.cacheScope())
+ * @param {string} contractId - The contract ID
+ * @param {string} [documentType] - Document type
+ * @returns {string}
+ */
+function keyPrefix(network, contractId, documentType) {
+  return documentType ? `${network}|${contractId}|${documentType}|` : `${network}|${contractId}|`;
+}
+
+/**
+ * Build the cache key of a query
+ * Options are copied in a fixed order so equal queries get equal keys
+ * @param {string} network - Network scope (sdkClient.cacheScope())
+ * @param {string} contractId - The contract ID
+ * @param {string} documentType - Document type
+ * @param {object} options - Query options (where, orderBy, limit, startAfter, startAt)
+ * @param {string} verification - Verification level the results are fetched with
+ * @returns {string}
+ */
+export function buildQueryKey(network, contractId, documentType, options = {}, verification = 'trusted') {
+  const query = {
+    verification,
+    where: options.where || null,
+    orderBy: options.orderBy || null,
+    limit: options.limit || null,
+    startAfter: options.startAfter || null,
+    startAt: options.startAt || null
+  };
+  return keyPrefix(network, contractId, documentType) + JSON.stringify(query);
+}
+
+/**
+ * Look up a cached query
+ * @param {string} key - Key from buildQueryKey()
+ * @returns {Promise<{ documents: object[], verification: object[], storedAt: number }|null>} null on a miss
+ */
+export async function getCachedQuery(key) {
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      return null;
+    }
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    return (await promisifyRequest(store.get(key))) || null;
+  } catch (error) {
+    console.warn('Query cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a query's results
+ * Documents are stored by structured clone (SDK objects via their toJSON());
+ * failures are logged and otherwise ignored
+ * @param {string} key - Key from buildQueryKey()
+ * @param {object[]} documents - Query results
+ * @param {object[]} verification - How each document was verified (sdkClient.getVerification())
+ * @returns {Promise<void>}
+ */
+export async function putCachedQuery(key, documents, verification = []) {
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      return;
+    }
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisifyRequest(store.put({
+      key,
+      documents: documents.map(doc => (typeof doc.toJSON === 'function' ? doc.toJSON() : doc)),
+      verification,
+      storedAt: Date.now()
+    }));
+  } catch (error) {
+    console.warn('Query cache write failed:', error);
+  }
+}
+
+/**
+ * Drop the cached queries of a contract, or of one of its document types
+ * @param {string} network - Network scope (sdkClient.cacheScope())
+ * @param {string} contractId - The contract ID
+ * @param {string} [documentType] - Document type (all types if omitted)
+ * @returns {Promise<void>}
+ */
+export async function invalidateCachedQueries(network, contractId, documentType) {
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      return;
+    }
+    const prefix = keyPrefix(network, contractId, documentType);
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisifyRequest(store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+  } catch (error) {
+    console.warn('Query cache invalidation failed:', error);
+  }
+}
+
+/**
+ * Check whether two result pages differ (by document ID and revision)
+ * @param {object[]} previous - Cached results
+ * @param {object[]} current - Fresh results
+ * @returns {boolean}
+ */
+export function documentsChanged(previous, current) {
+  const fingerprint = documents => documents
+    .map(doc => `${doc.$id || doc.id}:${doc.$revision ?? doc.revision ?? ''}`)
+    .join(',');
+  return fingerprint(previous) !== fingerprint(current);
+}
@@ -0,0 +1,295 @@
+/**
+ * Release Name Parser
+ * Extracts quality and release metadata from scene-style torrent names
+ * (e.g., "The.Matrix.1999.2160p.UHD.BluRay.x265.HDR.DTS-HD.MA.5.1-GROUP")
+ */
+
+// Token boundaries: start/end of name or a separator
+const BEFORE = '(?<=^|[\\s._\\-\\[\\]()])';
+const AFTER = '(?=$|[\\s._\\-\\[\\]()])';
+
+// Known site-advert prefixes, e.g. "[www.example.org] " or "www.example.org - "
+const SITE_PREFIX_PATTERNS = [
+  /^\s*[[(【]\s*(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+\s*[\])】]\s*[-_.]*\s*/i,
+  /^\s*www\.[a-z0-9-]+(?:\.[a-z0-9-]+)+\s*[-_]+\s*/i
+];
+
+// Media file extensions that sometimes end a release name
+const EXTENSION_PATTERN = /\.(mkv|mp4|avi|m4v|wmv|ts|iso|epub|pdf|mobi|flac|mp3)$/i;
+
+/**
+ * Tag tables: [canonical value, pattern source]
+ * Earlier entries win, so more specific patterns come first
+ */
+const RESOLUTIONS = [
+  ['2160p', '(?:2160p|4k|uhd)'],
+  ['1080p', '(?:1080[pi])'],
+  ['720p', '720p'],
+  ['576p', '576[pi]'],
+  ['480p', '480[pi]']
+];
+
+const SOURCES = [
+  ['Remux', '(?:bd)?remux'],
+  ['WEB-DL', 'web[ .-]?dl'],
+  ['WEBRip', 'web[ .-]?rip'],
+  ['BluRay', '(?:blu[ .-]?ray|bdrip|brrip)'],
+  ['HDTV', 'hdtv'],
+  ['DVDRip', 'dvd[ .-]?rip'],
+  ['DVD', '(?:dvd(?:5|9)?|dvdr)'],
+  ['HDRip', 'hdrip'],
+  ['CAM', '(?:cam|hdcam|camrip)'],
+  ['Telesync', '(?:ts|telesync|hdts)'],
+  ['WEB', 'web']
+];
+
+// x264/x265 name the encoder; H.264/H.265 only the format (e.g., WEB-DL streams)
+const VIDEO_CODECS = [
+  ['x265', 'x265'],
+  ['H.265', '(?:h[ .]?265|hevc)'],
+  ['x264', 'x264'],
+  ['H.264', '(?:h[ .]?264|avc)'],
+  ['AV1', 'av1'],
+  ['VP9', 'vp9'],
+  ['XviD', '(?:xvid|divx)']
+];
+
+// Audio codecs may be followed by a channel layout (e.g., "DDP5.1", "DTS-HD.MA.7.1")
+const AUDIO_CODECS = [
+  ['TrueHD', 'truehd'],
+  ['DTS-HD MA', 'dts[ .-]?hd[ .-]?ma'],
+  ['DTS', 'dts(?:[ .-]?(?:x|hd|es))?'],
+  ['DD+', '(?:ddp|dd\\+|e-?ac-?3)'],
+  ['DD', '(?:dd|ac-?3)'],
+  ['AAC', 'aac'],
+  ['FLAC', 'flac'],
+  ['Opus', 'opus'],
+  ['MP3', 'mp3']
+];
+
+const CHANNELS = '(?:[ .-]?(\\d[ .]\\d))?';
+
+// Dolby Atmos rides on another codec (TrueHD or DD+), so it is reported alongside it
+const ATMOS_PATTERN = new RegExp(`${BEFORE}atmos${AFTER}`, 'i');
+
+const HDR_FORMATS = [
+  ['Dolby Vision', '(?:dolby[ .]?vision|dovi|dv)'],
+  ['HDR10+', 'hdr10(?:\\+|plus)'],
+  ['HDR10', 'hdr10'],
+  ['HLG', 'hlg'],
+  ['HDR', 'hdr']
+];
+
+const EDITIONS = [
+  ["Director's Cut", 'directors?[ .\']?s?[ .]?cut'],
+  ['Extended', 'extended(?:[ .]?(?:cut|edition))?'],
+  ['Unrated', 'unrated'],
+  ['Uncut', 'uncut'],
+  ['Theatrical', 'theatrical(?:[ .]?cut)?'],
+  ['Final Cut', 'final[ .]?cut'],
+  ['Remastered', 'remastered'],
+  ['IMAX', 'imax'],
+  ['Criterion', 'criterion'],
+  ['Anniversary Edition', '\\d{1,3}(?:th)?[ .]?anniversary(?:[ .]?edition)?'],
+  ['Special Edition', 'special[ .]?edition']
+];
+
+/**
+ * Canonical filter values, for building filter controls
+ */
+export const RELEASE_FILTER_OPTIONS = {
+  resolution: RESOLUTIONS.map(([value]) => value),
+  source: SOURCES.map(([value]) => value),
+  videoCodec: VIDEO_CODECS.map(([value]) => value),
+  hdr: HDR_FORMATS.map(([value]) => value)
+};
+
+// Compile tables once
+const compile = (table, suffix = '') => table.map(([value, source]) => ({
+  value,
+  pattern: new RegExp(`${BEFORE}${source}${suffix}${AFTER}`, 'i')
+}));
+
+const TABLES = {
+  resolution: compile(RESOLUTIONS),
+  source: compile(SOURCES),
+  videoCodec: compile(VIDEO_CODECS),
+  hdr: compile(HDR_FORMATS),
+  edition: compile(EDITIONS)
+};
+
+const AUDIO_TABLE = compile(AUDIO_CODECS, CHANNELS);
+
+/**
+ * Find the first matching entry of a tag table
+ * @param {object[]} table - Compiled tag table
+ * @param {string} name - Release name
+ * @returns {{ value: string, index: number, match: string[] }|null}
+ */
+function matchTable(table, name) {
+  for (const { value, pattern } of table) {
+    const match = pattern.exec(name);
+    if (match) {
+      return { value, index: match.index, match };
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract the audio codec with its channel layout and Atmos
+ * (e.g., "DDP5.1.Atmos" is "DD+ 5.1 Atmos")
+ * @param {string} name - Release name
+ * @returns {{ value: string, index: number }|null}
+ */
+function extractAudio(name) {
+  const codec = matchTable(AUDIO_TABLE, name);
+  const atmos = ATMOS_PATTERN.exec(name);
+  if (!codec && !atmos) {
+    return null;
+  }
+
+  const channels = codec && codec.match[1] ? codec.match[1].replace(' ', '.') : null;
+  const value = [codec && codec.value, channels, atmos && 'Atmos'].filter(Boolean).join(' ');
+  const indexes = [codec, atmos].filter(Boolean).map(match => match.index);
+  return { value, index: Math.min(...indexes) };
+}
+
+/**
+ * Strip known site-advert prefixes from a release name
+ * @param {string} name - Raw release name
+ * @returns {string} Name without the advert prefix
+ */
+export function stripSitePrefix(name) {
+  let result = name;
+  for (const pattern of SITE_PREFIX_PATTERNS) {
+    result = result.replace(pattern, '');
+  }
+  return result;
+}
+
+/**
+ * Extract the release group from a name
+ * Handles "...-GROUP" / "...-[GROUP]" suffixes and "[Group] Title" prefixes.
+ * Suffixes are only trusted on names carrying scene tags, so plain names
+ * like "ubuntu-24.04-desktop-amd64" don't yield a group.
+ * @param {string} name - Release name without site prefix or extension
+ * @param {boolean} hasTags - Whether any quality tags were recognised
+ * @returns {string|null}
+ */
+function extractGroup(name, hasTags) {
+  const suffix = name.match(/-(?:([a-z0-9]+)|\[([^\]]+)\])(?:\s*\[[^\]]*\])?$/i);
+  if (hasTags && suffix) {
+    const group = suffix[1] || suffix[2];
+    if (!/^(dl|rip|hd|ma)$/i.test(group)) {
+      return group;
+    }
+  }
+
+  const prefix = name.match(/^\[([^\].]+)\]/);
+  if (prefix) {
+    return prefix[1].trim();
+  }
+
+  return null;
+}
+
+/**
+ * Extract the release year, ignoring a year that starts the title
+ * (e.g., "2001.A.Space.Odyssey.1968" is 1968)
+ * @param {string} name - Release name
+ * @returns {{ value: number, index: number }|null}
+ */
+function extractYear(name) {
+  const pattern = new RegExp(`${BEFORE}[(\\[]?((?:19|20)\\d{2})[)\\]]?${AFTER}`, 'g');
+  let found = null;
+
+  for (const match of name.matchAll(pattern)) {
+    if (match.index === 0) continue;
+    found = { value: parseInt(match[1], 10), index: match.index };
+  }
+
+  return found;
+}
+
+/**
+ * Parse a scene-style release name
+ * @param {string} name - Release name (torrentName)
+ * @returns {{ cleanName: string, title: string|null, year: number|null, resolution: string|null,
+ *   videoCodec: string|null, audioCodec: string|null, source: string|null, hdr: string|null,
+ *   group: string|null, edition: string|null }}
+ */
+export function parseReleaseName(name) {
+  const result = {
+    cleanName: '',
+    title: null,
+    year: null,
+    resolution: null,
+    videoCodec: null,
+    audioCodec: null,
+    source: null,
+    hdr: null,
+    group: null,
+    edition: null
+  };
+
+  if (!name || typeof name !== 'string') {
+    return result;
+  }
+
+  const cleanName = stripSitePrefix(name.trim()).replace(EXTENSION_PATTERN, '');
+  result.cleanName = cleanName;
+
+  // The title ends where the first recognised tag begins
+  let titleEnd = cleanName.length;
+
+  for (const [field, table] of Object.entries(TABLES)) {
+    const match = matchTable(table, cleanName);
+    if (match) {
+      result[field] = match.value;
+      titleEnd = Math.min(titleEnd, match.index);
+    }
+  }
+
+  const audio = extractAudio(cleanName);
+  if (audio) {
+    result.audioCodec = audio.value;
+    titleEnd = Math.min(titleEnd, audio.index);
+  }
+
+  const year = extractYear(cleanName);
+  if (year) {
+    result.year = year.value;
+    titleEnd = Math.min(titleEnd, year.index);
+  }
+
+  const episode = cleanName.search(new RegExp(`${BEFORE}(?:S\\d{1,4}(?:E\\d{1,5})?|\\d{1,2}x\\d{2,3})${AFTER}`, 'i'));
+  if (episode !== -1) {
+    titleEnd = Math.min(titleEnd, episode);
+  }
+
+  result.group = extractGroup(cleanName, titleEnd < cleanName.length);
+
+  const title = cleanName
+    .substring(0, titleEnd)
+    .replace(/^\[[^\]]*\]\s*/, '')
+    // Dots between digits are version numbers ("ubuntu-24.04"), not separators
+    .replace(/_|\.(?!\d)|(?<!\d)\./g, ' ')
+    .replace(/[\s\-([]+$/, '')
+    .trim();
+  result.title = title || null;
+
+  return result;
+}
+
+/**
+ * Build display badges from a parsed release name
+ * @param {object} parsed - Result of parseReleaseName()
+ * @returns {{ field: string, value: string }[]}
+ */
+export function getReleaseBadges(parsed) {
+  const fields = ['resolution', 'source', 'hdr', 'videoCodec', 'audioCodec', 'edition', 'group'];
+  return fields
+    .filter(field => parsed[field])
+    .map(field => ({ field, value: parsed[field] }));
+}
@@ -4,18 +4,165 @@
  */
 
 import { TORRENT_CONTRACT_SCHEMA } from './contract-schema.js';
-import { generateEntropy, generateEntropyBytes, generateContractId } from './utils.js';
+import { getDocumentTypes } from './document-types.js';
+import { FILE_LIST_MAX_CHUNKS } from './file-list.js';
+import { MAX_COLLECTION_ITEMS, isInfoHashItem, mergeCollectionItems } from './collections.js';
+import { LocalPlatform } from './local-platform.js';
+import { QUERY_CACHE_FRESH_MS, buildQueryKey, getCachedQuery, putCachedQuery, invalidateCachedQueries, documentsChanged } from './query-cache.js';
+import { generateEntropy, generateEntropyBytes, generateContractId, formatIdentifier, decodeByteField, hexToBytes } from './utils.js';
+
+// Platform returns at most 100 documents per query
+const MAX_QUERY_LIMIT = 100;
+
+// Upper bound on vote pages fetched per score lookup
+const MAX_VOTE_PAGES = 10;
+
+// Upper bound on report pages fetched for the moderation queue
+const MAX_REPORT_PAGES = 5;
+
+// Upper bound on tag pages fetched for a page of cards
+const MAX_TAG_PAGES = 3;
+
+// The local network keeps its state here, shared by the browse and admin pages
+const LOCAL_STORAGE_KEY = 'unstoppable-torrents-local-platform';
+
+// Demo data the local network starts from when nothing is saved yet
+const LOCAL_FIXTURE_URL = 'fixtures/local-demo.json';
+
+// Upper bound on establishing a connection (quorum prefetch included)
+const CONNECT_TIMEOUT_MS = 20000;
+
+// Per-request DAPI timeout; a node that fails a request is banned for a while,
+// so the SDK sends the next attempt to another node
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Attempts per read before its error is surfaced
+const MAX_REQUEST_ATTEMPTS = 4;
+
+// Exponential backoff between attempts, with jitter
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Consecutive failed requests after which the connection counts as dropped
+const FAILURES_BEFORE_RECONNECT = 2;
+
+/**
+ * Compare two byte fields in any of the shapes documents carry them in
+ * @param {*} a - Byte array, Uint8Array, hex or base64 string
+ * @param {*} b - Byte array, Uint8Array, hex or base64 string
+ * @returns {boolean}
+ */
+function sameBytes(a, b) {
+  const bytesA = decodeByteField(a);
+  const bytesB = decodeByteField(b);
+  return !!bytesA && !!bytesB && bytesA.length === bytesB.length && bytesA.every((byte, i) => byte === bytesB[i]);
+}
+
+/**
+ * Check whether an error is worth retrying (timeouts, unreachable nodes,
+ * dropped connections) rather than a rejected request
+ * @param {*} error - Error thrown by the SDK
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const message = String(error?.message || error);
+  return /time[ds]? ?out|deadline|unavailable|failed to fetch|network ?error|connection|ECONN|socket|no available (addresses|nodes)|transport|status:? ?50[234]/i.test(message);
+}
+
+/**
+ * Get the delay before a retry: exponential in the attempt, capped, with
+ * "equal jitter" (half fixed, half random) so clients don't retry in step
+ * @param {number} attempt - Retry number, from 0
+ * @param {number} maxDelay - Cap in milliseconds
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, maxDelay) {
+  const delay = Math.min(maxDelay, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise
+ * @param {number} ms - Milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Thrown when a document's infohash is already listed and duplicates are not allowed
+ */
+export class DuplicateInfoHashError extends Error {
+  /**
+   * @param {{ documentType: string, documentId: string }[]} duplicates - Existing documents with the infohash
+   */
+  constructor(duplicates) {
+    const locations = duplicates.map(d => `${d.documentType} document ${d.documentId}`).join(', ');
+    super(`InfoHash already exists as ${locations}`);
+    this.name = 'DuplicateInfoHashError';
+    this.duplicates = duplicates;
+  }
+}
 
 /**
  * SDK Client class for Dash Platform operations
+ *
+ * Connection states: 'disconnected' -> 'connecting' -> 'connected', and
+ * 'reconnecting' after a drop until a new connection is up. Concurrent
+ * connect() calls share one attempt. Reads are retried with backoff while
+ * the connection is re-established; writes are not retried, as they may
+ * have been applied before the error.
  */
 export class SdkClient {
   constructor() {
     this.sdk = null;
     this.network = 'testnet';
-    this.connected = false;
-    this.connecting = false;
+    this.customNetwork = null;  // { network, addresses } when network is 'custom'
+    this.verification = 'trusted';  // 'trusted' or 'proof' (GroveDB proofs requested and verified)
+    this.documentVerification = new WeakMap();  // document -> { level, height }
+    this.state = 'disconnected';
+    this.connectPromise = null;  // In-flight connection attempt, shared by callers
+    this.connectionId = 0;  // Incremented per attempt, so superseded attempts are dropped
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.requestFailures = 0;  // Consecutive transient request failures
     this.onStatusChange = null;
+    this.contractOwners = new Map();  // contractId -> owner identity ID
+    this.dpnsNames = new Map();  // identity ID -> DPNS name (null if none)
+
+    // Coming back online ends the reconnect backoff early
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        if (this.state === 'reconnecting') {
+          this.scheduleReconnect(0);
+        }
+      });
+    }
+  }
+
+  /**
+   * Whether a connection is up
+   * @returns {boolean}
+   */
+  get connected() {
+    return this.state === 'connected';
   }
 
   /**
@@ -39,80 +186,342 @@ export class SdkClient {
 
   /**
    * Initialize and connect to Dash Platform
-   * @param {string} network - 'testnet' or 'mainnet'
+   * 'local' connects to an in-memory stand-in instead (see local-platform.js);
+   * 'custom' connects to the DAPI nodes in options.custom (e.g., a devnet)
+   * Callers during an attempt for the same target share it; a different
+   * network, node list or verification level supersedes it
+   * @param {string} network - 'testnet', 'mainnet', 'local' or 'custom'
+   * @param {object} options - { verification: 'trusted' (default) or 'proof',
+   *   custom: { network: 'local' (dashmate devnet), 'testnet' or 'mainnet', addresses: string[] } }
    * @returns {Promise<void>}
    */
-  async connect(network = 'testnet') {
-    if (this.connecting) {
-      throw new Error('Connection already in progress');
+  async connect(network = 'testnet', options = {}) {
+    const verification = options.verification === 'proof' ? 'proof' : 'trusted';
+    const customNetwork = network === 'custom' ? options.custom : null;
+    if (network === 'custom' && !(customNetwork && customNetwork.addresses && customNetwork.addresses.length > 0)) {
+      throw new Error('A custom network needs at least one DAPI address');
+    }
+
+    const sameTarget = this.isTarget(network, { verification, custom: customNetwork });
+
+    if (this.connectPromise && sameTarget) {
+      return this.connectPromise;
     }
 
-    if (this.connected && this.network === network) {
+    if (this.connected && sameTarget) {
       return; // Already connected to the same network
     }
 
-    this.connecting = true;
-    this.updateStatus('loading', `Connecting to ${network}...`);
+    // Disconnect if previously connected to (or connecting to) a different network
+    if (this.sdk || this.connectPromise || this.state === 'reconnecting') {
+      await this.disconnect();
+    }
 
-    try {
-      // Disconnect if previously connected to different network
-      if (this.sdk && this.network !== network) {
-        await this.disconnect();
-      }
+    this.network = network;
+    this.customNetwork = customNetwork ? { network: customNetwork.network, addresses: [...customNetwork.addresses] } : null;
+    this.verification = verification;
+    this.updateStatus('loading', `Connecting to ${this.describeNetwork()}...`);
+    return this.startConnection('connecting');
+  }
+
+  /**
+   * Check whether a network and connect() options are the current target
+   * @param {string} network - Network name
+   * @param {object} options - connect() options
+   * @returns {boolean}
+   */
+  isTarget(network, options = {}) {
+    const verification = options.verification === 'proof' ? 'proof' : 'trusted';
+    const custom = network === 'custom' ? options.custom : null;
+    return this.network === network &&
+      this.verification === verification &&
+      JSON.stringify(custom && { network: custom.network, addresses: custom.addresses }) === JSON.stringify(this.customNetwork);
+  }
+
+  /**
+   * Check whether the connection is up to a network with these connect() options
+   * @param {string} network - Network name
+   * @param {object} options - connect() options
+   * @returns {boolean}
+   */
+  isConnectedTo(network, options = {}) {
+    return this.connected && this.isTarget(network, options);
+  }
+
+  /**
+   * Describe the current network for status messages
+   * @returns {string} e.g., "testnet" or "custom network (2 nodes)"
+   */
+  describeNetwork() {
+    if (this.network !== 'custom') {
+      return this.network;
+    }
+    const count = this.customNetwork.addresses.length;
+    return `custom network (${count} node${count === 1 ? '' : 's'})`;
+  }
+
+  /**
+   * Get the scope query cache keys use for the current network
+   * A custom network is scoped by its nodes, so different devnets don't share results
+   * @returns {string}
+   */
+  cacheScope() {
+    return this.network === 'custom' ? `custom:${this.customNetwork.addresses.join(',')}` : this.network;
+  }
+
+  /**
+   * Start a connection attempt to this.network and track it as the in-flight one
+   * @param {string} state - 'connecting' or 'reconnecting'
+   * @returns {Promise<void>}
+   */
+  startConnection(state) {
+    const connectionId = ++this.connectionId;
+    this.state = state;
 
-      // Get EvoSDK from global (set by app.js after loading)
-      if (typeof window.EvoSDK === 'undefined') {
-        throw new Error('EvoSDK not loaded. Make sure WASM is initialized.');
+    this.connectPromise = this.openConnection(connectionId).finally(() => {
+      if (this.connectionId === connectionId) {
+        this.connectPromise = null;
       }
+    });
+    return this.connectPromise;
+  }
+
+  /**
+   * Create an SDK instance for this.network and connect it
+   * @param {number} connectionId - Attempt this belongs to
+   * @returns {Promise<void>}
+   */
+  async openConnection(connectionId) {
+    const network = this.network;
 
-      // Create SDK instance with trusted mode for the selected network
-      // These factory methods return configured instances that need connect() called
-      this.sdk = network === 'testnet'
-        ? window.EvoSDK.testnetTrusted()
-        : window.EvoSDK.mainnetTrusted();
+    try {
+      let sdk;
+      if (network === 'local') {
+        // Same facades as EvoSDK, backed by memory and localStorage
+        sdk = new LocalPlatform({
+          storageKey: LOCAL_STORAGE_KEY,
+          fixtureUrl: LOCAL_FIXTURE_URL,
+          defaultSchemas: TORRENT_CONTRACT_SCHEMA
+        });
+
+        this.updateStatus('loading', 'Loading local platform data...');
+      } else {
+        // Get EvoSDK from global (set by app.js after loading)
+        if (typeof window.EvoSDK === 'undefined') {
+          throw new Error('EvoSDK not loaded. Make sure WASM is initialized.');
+        }
+
+        // Create SDK instance with trusted mode for the selected network (or the
+        // custom node list); these return configured instances that need connect() called
+        const options = {
+          proofs: this.verification === 'proof',
+          settings: {
+            connectTimeoutMs: REQUEST_TIMEOUT_MS,
+            timeoutMs: REQUEST_TIMEOUT_MS,
+            retries: 0,  // Retried here, with backoff
+            banFailedAddress: true
+          }
+        };
+        if (network === 'custom') {
+          // Each reconnect attempt starts from the next node in the list
+          const { addresses } = this.customNetwork;
+          const offset = this.reconnectAttempt % addresses.length;
+          sdk = window.EvoSDK.withAddresses(
+            [...addresses.slice(offset), ...addresses.slice(0, offset)],
+            this.customNetwork.network,
+            options
+          );
+        } else {
+          sdk = network === 'testnet'
+            ? window.EvoSDK.testnetTrusted(options)
+            : window.EvoSDK.mainnetTrusted(options);
+        }
+
+        this.updateStatus('loading', `Prefetching quorums for ${this.describeNetwork()}...`);
+      }
 
-      this.updateStatus('loading', `Prefetching quorums for ${network}...`);
+      // Connect to the network (this initializes WASM and prefetches quorums,
+      // or loads the local platform's saved state)
+      await withTimeout(sdk.connect(), CONNECT_TIMEOUT_MS, `Connecting to ${this.describeNetwork()} timed out`);
 
-      // Connect to the network (this initializes WASM and prefetches quorums)
-      await this.sdk.connect();
+      if (this.connectionId !== connectionId) {
+        return; // Superseded by disconnect() or another network
+      }
 
-      this.network = network;
-      this.connected = true;
-      this.updateStatus('connected', `Connected to ${network}`);
+      this.sdk = sdk;
+      this.state = 'connected';
+      this.reconnectAttempt = 0;
+      this.requestFailures = 0;
+      this.updateStatus('connected', `Connected to ${this.describeNetwork()}`);
 
     } catch (error) {
-      this.connected = false;
+      if (this.connectionId !== connectionId) {
+        return;
+      }
+
+      // A dropped connection keeps trying; a first connection reports the failure
+      if (this.state === 'reconnecting' && isTransientError(error)) {
+        this.scheduleReconnect();
+        return;
+      }
+
+      this.state = 'disconnected';
+      this.sdk = null;
       this.updateStatus('error', `Connection failed: ${error.message}`);
       throw error;
-    } finally {
-      this.connecting = false;
     }
   }
 
   /**
-   * Disconnect from Dash Platform
-   * @returns {Promise<void>}
+   * Treat the connection as dropped and reconnect in the background
+   * Reads wait for the new connection meanwhile
    */
-  async disconnect() {
-    if (this.sdk) {
+  handleConnectionDrop() {
+    if (this.state !== 'connected') {
+      return;
+    }
+    this.state = 'reconnecting';
+    this.scheduleReconnect(0);
+  }
+
+  /**
+   * Schedule the next reconnect attempt, backing off after each failure
+   * @param {number} [delay] - Milliseconds (backoff by attempt if omitted)
+   */
+  scheduleReconnect(delay) {
+    clearTimeout(this.reconnectTimer);
+
+    const wait = delay ?? backoffDelay(this.reconnectAttempt, RECONNECT_MAX_DELAY_MS);
+    this.reconnectAttempt++;
+    this.updateStatus('loading', wait > 0
+      ? `Connection lost, reconnecting in ${Math.ceil(wait / 1000)}s (attempt ${this.reconnectAttempt})...`
+      : `Connection lost, reconnecting (attempt ${this.reconnectAttempt})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.startConnection('reconnecting').catch(error => {
+        console.warn('Reconnect failed:', error);
+      });
+    }, wait);
+  }
+
+  /**
+   * Wait until a connection is up (through any reconnect in progress)
+   * Gives up after CONNECT_TIMEOUT_MS, so reads don't hang while offline
+   * @returns {Promise<object>} The SDK instance
+   */
+  async whenConnected() {
+    const deadline = Date.now() + CONNECT_TIMEOUT_MS;
+
+    while (this.state === 'reconnecting' || this.connectPromise) {
+      if (Date.now() > deadline) {
+        throw new Error(`Connection to ${this.describeNetwork()} lost, still reconnecting`);
+      }
+      if (this.connectPromise) {
+        await this.connectPromise;
+      } else {
+        await sleep(250);
+      }
+    }
+
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+    return this.sdk;
+  }
+
+  /**
+   * Run a read against the SDK, retrying transient failures with backoff
+   * Repeated failures count as a dropped connection: the SDK is rebuilt
+   * (a fresh node set) and the read waits for it
+   * @param {string} label - What is being read, for status messages
+   * @param {function(object): Promise<*>} request - Called with the SDK instance
+   * @returns {Promise<*>} The request's result
+   */
+  async withRetry(label, request) {
+    for (let attempt = 0; ; attempt++) {
+      const sdk = await this.whenConnected();
+
       try {
-        // SDK cleanup if available
-        this.sdk = null;
+        const result = await request(sdk);
+        this.requestFailures = 0;
+        return result;
       } catch (error) {
-        console.warn('Error during disconnect:', error);
+        if (!isTransientError(error) || attempt + 1 >= MAX_REQUEST_ATTEMPTS) {
+          throw error;
+        }
+
+        this.requestFailures++;
+        if (this.requestFailures >= FAILURES_BEFORE_RECONNECT) {
+          this.handleConnectionDrop();
+        }
+
+        const delay = backoffDelay(attempt, RETRY_MAX_DELAY_MS);
+        console.warn(`${label} failed (attempt ${attempt + 1}/${MAX_REQUEST_ATTEMPTS}), retrying:`, error);
+        this.updateStatus('loading', `${label} failed, retrying in ${Math.ceil(delay / 1000)}s...`);
+        await sleep(delay);
       }
     }
+  }
 
-    this.connected = false;
+  /**
+   * Disconnect from Dash Platform
+   * Abandons any connection attempt or reconnect in progress
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.connectionId++;
+    this.connectPromise = null;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.requestFailures = 0;
+
+    this.sdk = null;
+    this.state = 'disconnected';
     this.updateStatus('disconnected', 'Disconnected');
   }
 
   /**
    * Check if SDK is ready for operations
+   * True while reconnecting too: reads wait for the new connection
    * @returns {boolean}
    */
   isReady() {
-    return this.connected && this.sdk != null;
+    return this.sdk != null && (this.state === 'connected' || this.state === 'reconnecting');
+  }
+
+  /**
+   * Check whether reads are proof-verified
+   * The local network has no proofs, so it never is
+   * @returns {boolean}
+   */
+  usesProofs() {
+    return this.verification === 'proof' && this.network !== 'local';
+  }
+
+  /**
+   * Record how a query's documents were verified
+   * @param {object[]} documents - Query results
+   * @param {{ level: string, height: number|null }} verification
+   */
+  markVerification(documents, verification) {
+    (documents || []).forEach(doc => {
+      if (doc && typeof doc === 'object') {
+        this.documentVerification.set(doc, verification);
+      }
+    });
+  }
+
+  /**
+   * Get how a document was verified
+   * @param {object} doc - Document returned by a query
+   * @returns {{ level: 'proof'|'trusted'|'local', height: number|null, cachedAt?: number }|null}
+   *   height is the block the proof was made at; null if unknown. cachedAt is
+   *   set when the document came from the query cache, to when it was stored
+   */
+  getVerification(doc) {
+    return this.documentVerification.get(doc) || null;
   }
 
   /**
@@ -214,7 +623,9 @@ export class SdkClient {
 
     try {
       console.log('Verifying contract exists:', contractId);
-      const contract = await this.sdk.contracts.fetch(contractId);
+      const contract = this.usesProofs()
+        ? (await this.withRetry('Fetching contract', sdk => sdk.contracts.fetchWithProof(contractId))).data
+        : await this.withRetry('Fetching contract', sdk => sdk.contracts.fetch(contractId));
       console.log('Contract found:', contract);
       return contract;
     } catch (error) {
@@ -223,16 +634,74 @@ export class SdkClient {
     }
   }
 
+  /**
+   * Find documents with the given infohash across all document types
+   * With a v2 infohash, the same torrent stored under another form also
+   * matches: a v2-only copy (infoHash is the truncated v2 infohash) or a
+   * hybrid copy (same infoHashV2)
+   * @param {string} contractId - The contract ID
+   * @param {number[]|Uint8Array} infoHash - 20-byte infohash
+   * @param {number[]|Uint8Array} [infoHashV2] - 32-byte v2 infohash
+   * @returns {Promise<{ documentType: string, documentId: string }[]>}
+   */
+  async findDocumentsByInfoHash(contractId, infoHash, infoHashV2 = null) {
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+
+    const lookups = [['infoHash', Array.from(infoHash)]];
+    if (infoHashV2) {
+      const truncated = Array.from(infoHashV2).slice(0, 20);
+      if (!sameBytes(truncated, infoHash)) {
+        lookups.push(['infoHash', truncated]);
+      }
+      lookups.push(['infoHashV2', Array.from(infoHashV2)]);
+    }
+
+    const matches = new Map();  // document ID -> match
+
+    for (const documentType of getDocumentTypes()) {
+      for (const [field, value] of lookups) {
+        let results;
+        try {
+          results = await this.queryDocuments(contractId, documentType, {
+            where: [[field, '==', value]],
+            orderBy: [[field, 'asc']],
+            limit: 1
+          });
+        } catch (error) {
+          if (field !== 'infoHashV2') {
+            throw error;
+          }
+          // Contracts registered before the byInfoHashV2 index can't be searched by it
+          console.warn(`Could not look up ${documentType} documents by v2 infohash:`, error);
+          continue;
+        }
+
+        for (const doc of results || []) {
+          const documentId = doc.$id || doc.id;
+          matches.set(documentId, { documentType, documentId });
+        }
+      }
+    }
+
+    return [...matches.values()];
+  }
+
   /**
    * Submit a document to an existing contract
+   * Refuses infohashes that already exist under any document type unless
+   * options.allowDuplicate is set
    * @param {string} contractId - The contract ID to submit to
-   * @param {string} documentType - Document type (movie, tv, book, iso, other)
+   * @param {string} documentType - Document type (movie, tv, book, music, iso, other)
    * @param {string} ownerId - The identity ID of the document owner
    * @param {object} data - Document data
    * @param {string} privateKeyWif - Private key in WIF format
-   * @returns {Promise<{ documentId: string, result: object }>}
+   * @param {object} options - Submit options (allowDuplicate)
+   * @returns {Promise<{ documentId: string, result: object, duplicates: object[] }>}
+   * @throws {DuplicateInfoHashError} If the infohash exists and duplicates are not allowed
    */
-  async submitDocument(contractId, documentType, ownerId, data, privateKeyWif) {
+  async submitDocument(contractId, documentType, ownerId, data, privateKeyWif, options = {}) {
     if (!this.isReady()) {
       throw new Error('SDK not connected');
     }
@@ -248,6 +717,40 @@ export class SdkClient {
     console.log('Contract verified, submitting document...');
     console.log('Contract document types:', Object.keys(contract.documentSchemas || contract.documents || {}));
 
+    // Check all torrent document types for an existing document with this infohash
+    // (fileList documents reference an existing torrent, so they skip the check)
+    let duplicates = [];
+    if (getDocumentTypes().includes(documentType)) {
+      this.updateStatus('loading', 'Checking for duplicate infohash...');
+      duplicates = await this.findDocumentsByInfoHash(contractId, data.infoHash, data.infoHashV2);
+    }
+    if (duplicates.length > 0) {
+      const locations = duplicates.map(d => `${d.documentType} document ${d.documentId}`).join(', ');
+      if (!options.allowDuplicate) {
+        this.updateStatus('error', 'Duplicate infohash');
+        throw new DuplicateInfoHashError(duplicates);
+      }
+      console.warn(`Submitting duplicate infohash (already exists as ${locations})`);
+    }
+
+    const { documentId, result } = await this.createDocument(contractId, documentType, ownerId, data, privateKeyWif);
+    return {
+      documentId,
+      result,
+      duplicates
+    };
+  }
+
+  /**
+   * Create a document without the contract and duplicate checks of submitDocument()
+   * @param {string} contractId - The contract ID to submit to (already verified)
+   * @param {string} documentType - Document type
+   * @param {string} ownerId - The identity ID of the document owner
+   * @param {object} data - Document data
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<{ documentId: string, result: object }>}
+   */
+  async createDocument(contractId, documentType, ownerId, data, privateKeyWif) {
     this.updateStatus('loading', `Submitting ${documentType} document...`);
 
     try {
@@ -263,12 +766,12 @@ export class SdkClient {
 
       const documentId = result.documentId || result.id || result;
 
+      // Cached pages of this type no longer list everything
+      await invalidateCachedQueries(this.cacheScope(), contractId, documentType);
+
       this.updateStatus('connected', `Document submitted: ${documentId}`);
 
-      return {
-        documentId,
-        result
-      };
+      return { documentId, result };
 
     } catch (error) {
       this.updateStatus('error', `Document submission failed: ${error.message}`);
@@ -276,6 +779,627 @@ export class SdkClient {
     }
   }
 
+  /**
+   * Submit a file listing for a torrent, one fileList document per chunk
+   * Chunks the owner already published for this infohash (same index, count
+   * and content) are skipped, so an interrupted listing can be finished by
+   * submitting it again.
+   * @param {string} contractId - The contract ID to submit to
+   * @param {string} ownerId - The identity ID of the document owner
+   * @param {Uint8Array|number[]} infoHash - 20-byte infohash of the torrent document
+   * @param {string[]} chunks - Listing chunks from encodeFileList()
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<{ documentIds: string[], skipped: number }>} Document IDs
+   *   in chunk order (published earlier or now) and how many were already published
+   */
+  async submitFileList(contractId, ownerId, infoHash, chunks, privateKeyWif) {
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+
+    this.updateStatus('loading', `Verifying contract ${contractId.substring(0, 12)}...`);
+    const contract = await this.verifyContract(contractId);
+    if (!contract) {
+      throw new Error(`Contract ${contractId} not found on network. It may need more time to propagate, or the ID may be incorrect.`);
+    }
+
+    const owner = formatIdentifier(ownerId);
+    const published = new Map();  // chunkIndex -> document ID of the owner's matching chunk
+    for (const doc of await this.getFileListDocuments(contractId, infoHash)) {
+      const data = doc.data || doc;
+      if (formatIdentifier(doc.$ownerId || doc.ownerId) === owner &&
+          data.chunkCount === chunks.length && data.files === chunks[data.chunkIndex]) {
+        published.set(data.chunkIndex, doc.$id || doc.id);
+      }
+    }
+
+    const documentIds = [];
+    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+      if (published.has(chunkIndex)) {
+        documentIds.push(published.get(chunkIndex));
+        continue;
+      }
+      const { documentId } = await this.createDocument(contractId, 'fileList', ownerId, {
+        infoHash: Array.from(infoHash),
+        chunkIndex,
+        chunkCount: chunks.length,
+        files: chunks[chunkIndex]
+      }, privateKeyWif);
+      documentIds.push(documentId);
+    }
+
+    return { documentIds, skipped: published.size };
+  }
+
+  /**
+   * Fetch all fileList documents for an infohash, in chunk order
+   * @param {string} contractId - The contract ID
+   * @param {Uint8Array|number[]} infoHash - 20-byte infohash
+   * @returns {Promise<object[]>}
+   */
+  async getFileListDocuments(contractId, infoHash) {
+    const results = await this.queryDocuments(contractId, 'fileList', {
+      where: [['infoHash', '==', Array.from(infoHash)]],
+      orderBy: [['infoHash', 'asc'], ['chunkIndex', 'asc']],
+      limit: FILE_LIST_MAX_CHUNKS
+    });
+    return results || [];
+  }
+
+  /**
+   * Replace (update) an existing document
+   * @param {string} contractId - The contract ID
+   * @param {string} documentType - Document type
+   * @param {string} documentId - The document to replace
+   * @param {string} ownerId - The identity ID of the document owner
+   * @param {object} data - New document data
+   * @param {number} revision - Current revision of the document
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<object>}
+   */
+  async replaceDocument(contractId, documentType, documentId, ownerId, data, revision, privateKeyWif) {
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+
+    this.updateStatus('loading', `Updating ${documentType} document...`);
+
+    try {
+      // API: documents.replace({ contractId, type, documentId, ownerId, data, revision, privateKeyWif })
+      const result = await this.sdk.documents.replace({
+        contractId,
+        type: documentType,
+        documentId,
+        ownerId,
+        data,
+        revision: BigInt(revision),
+        privateKeyWif
+      });
+
+      await invalidateCachedQueries(this.cacheScope(), contractId, documentType);
+
+      this.updateStatus('connected', `Document updated: ${documentId}`);
+      return result;
+
+    } catch (error) {
+      this.updateStatus('error', `Document update failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a single document by ID
+   * @param {string} contractId - The contract ID
+   * @param {string} documentType - Document type
+   * @param {string} documentId - Document ID
+   * @returns {Promise<object|null>} The document, or null if it doesn't exist
+   */
+  async getDocument(contractId, documentType, documentId) {
+    const results = await this.queryDocuments(contractId, documentType, {
+      where: [['$id', '==', documentId]],
+      limit: 1
+    });
+    return (results && results[0]) || null;
+  }
+
+  /**
+   * Update one of the identity's own documents with new data
+   * Looks up the current revision and, if the infohash changes, refuses
+   * infohashes that already exist elsewhere unless options.allowDuplicate is set
+   * @param {string} contractId - The contract ID
+   * @param {string} documentType - Document type
+   * @param {string} documentId - The document to update
+   * @param {string} ownerId - The identity ID of the document owner
+   * @param {object} data - Complete new document data
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @param {object} options - Update options (allowDuplicate)
+   * @returns {Promise<{ result: object, duplicates: object[] }>}
+   */
+  async updateDocument(contractId, documentType, documentId, ownerId, data, privateKeyWif, options = {}) {
+    const current = await this.getDocument(contractId, documentType, documentId);
+    if (!current) {
+      throw new Error(`${documentType} document ${documentId} not found`);
+    }
+
+    if (formatIdentifier(current.$ownerId || current.ownerId) !== formatIdentifier(ownerId)) {
+      throw new Error('Only the identity that submitted a document can update it');
+    }
+
+    // A changed infohash gets the same duplicate check as a new submission
+    let duplicates = [];
+    const currentInfoHash = (current.data || current).infoHash;
+    const currentInfoHashV2 = (current.data || current).infoHashV2;
+    const hashesChanged = !sameBytes(currentInfoHash, data.infoHash) ||
+      (data.infoHashV2 && !sameBytes(currentInfoHashV2, data.infoHashV2));
+    if (getDocumentTypes().includes(documentType) && hashesChanged) {
+      duplicates = (await this.findDocumentsByInfoHash(contractId, data.infoHash, data.infoHashV2))
+        .filter(d => d.documentId !== documentId);
+    }
+    if (duplicates.length > 0) {
+      const locations = duplicates.map(d => `${d.documentType} document ${d.documentId}`).join(', ');
+      if (!options.allowDuplicate) {
+        this.updateStatus('error', 'Duplicate infohash');
+        throw new DuplicateInfoHashError(duplicates);
+      }
+      console.warn(`Updating to a duplicate infohash (already exists as ${locations})`);
+    }
+
+    const revision = Number(current.$revision || current.revision || 1);
+    const result = await this.replaceDocument(contractId, documentType, documentId, ownerId, data, revision, privateKeyWif);
+
+    return { result, duplicates };
+  }
+
+  /**
+   * Delete one of the identity's own documents
+   * @param {string} contractId - The contract ID
+   * @param {string} documentType - Document type
+   * @param {string} documentId - The document to delete
+   * @param {string} ownerId - The identity ID of the document owner
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<object>}
+   */
+  async deleteDocument(contractId, documentType, documentId, ownerId, privateKeyWif) {
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+
+    this.updateStatus('loading', `Deleting ${documentType} document...`);
+
+    try {
+      // API: documents.delete({ contractId, type, documentId, ownerId, privateKeyWif })
+      const result = await this.sdk.documents.delete({
+        contractId,
+        type: documentType,
+        documentId,
+        ownerId,
+        privateKeyWif
+      });
+
+      await invalidateCachedQueries(this.cacheScope(), contractId, documentType);
+
+      this.updateStatus('connected', `Document deleted: ${documentId}`);
+      return result;
+
+    } catch (error) {
+      this.updateStatus('error', `Document deletion failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all votes for a set of infohashes
+   * Pages through results, up to MAX_VOTE_PAGES pages
+   * @param {string} contractId - The contract ID
+   * @param {Array<Uint8Array|number[]>} infoHashes - 20-byte infohashes (at most 100)
+   * @returns {Promise<object[]>} vote documents
+   */
+  async getVoteDocuments(contractId, infoHashes) {
+    if (infoHashes.length === 0) {
+      return [];
+    }
+
+    const votes = [];
+    let startAfter = null;
+
+    for (let page = 0; page < MAX_VOTE_PAGES; page++) {
+      const results = await this.queryDocuments(contractId, 'vote', {
+        where: [['infoHash', 'in', infoHashes.map(hash => Array.from(hash))]],
+        orderBy: [['infoHash', 'asc']],
+        limit: MAX_QUERY_LIMIT,
+        startAfter
+      }) || [];
+
+      votes.push(...results);
+      if (results.length < MAX_QUERY_LIMIT) {
+        break;
+      }
+      const last = results[results.length - 1];
+      startAfter = last.$id || last.id;
+    }
+
+    return votes;
+  }
+
+  /**
+   * Cast, change or withdraw (value 0) the identity's vote on a release
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - The voting identity ID
+   * @param {Uint8Array|number[]} infoHash - 20-byte infohash
+   * @param {number} value - 1, -1 or 0
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @param {object|null} existing - The identity's current vote ({ documentId, revision }), if any
+   * @returns {Promise<string>} Vote document ID
+   */
+  async castVote(contractId, ownerId, infoHash, value, privateKeyWif, existing = null) {
+    const data = { infoHash: Array.from(infoHash), value };
+
+    if (existing) {
+      await this.replaceDocument(contractId, 'vote', existing.documentId, ownerId, data, existing.revision, privateKeyWif);
+      return existing.documentId;
+    }
+
+    const { documentId } = await this.submitDocument(contractId, 'vote', ownerId, data, privateKeyWif);
+    return documentId;
+  }
+
+  /**
+   * Get the identity that owns a contract (cached per contract)
+   * @param {string} contractId - The contract ID
+   * @returns {Promise<string>} Owner identity ID
+   */
+  async getContractOwnerId(contractId) {
+    if (this.contractOwners.has(contractId)) {
+      return this.contractOwners.get(contractId);
+    }
+
+    const contract = await this.verifyContract(contractId);
+    if (!contract) {
+      throw new Error(`Contract ${contractId} not found`);
+    }
+
+    const json = typeof contract.toJSON === 'function' ? contract.toJSON() : contract;
+    const ownerId = formatIdentifier(json.ownerId || contract.ownerId);
+    this.contractOwners.set(contractId, ownerId);
+    return ownerId;
+  }
+
+  /**
+   * Query one page of an identity's documents of a type (byOwner index)
+   * @param {string} contractId - The contract ID
+   * @param {string} documentType - Document type
+   * @param {string} ownerId - Publisher identity ID
+   * @param {object} options - { limit, startAfter }
+   * @returns {Promise<object[]>}
+   */
+  async getDocumentsByOwner(contractId, documentType, ownerId, options = {}) {
+    return await this.queryDocuments(contractId, documentType, {
+      where: [['$ownerId', '==', ownerId]],
+      orderBy: [['$ownerId', 'asc']],
+      limit: options.limit,
+      startAfter: options.startAfter
+    }) || [];
+  }
+
+  /**
+   * Resolve identities to their DPNS names (cached per identity)
+   * Lookups that fail resolve to null rather than throwing
+   * @param {string[]} identityIds - Identity IDs
+   * @returns {Promise<Map<string, string|null>>} identity ID -> name (e.g., "alice.dash")
+   */
+  async getDpnsNames(identityIds) {
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+
+    const pending = [...new Set(identityIds)].filter(id => !this.dpnsNames.has(id));
+
+    await Promise.all(pending.map(async identityId => {
+      try {
+        const username = await this.withRetry('Resolving DPNS name', sdk => sdk.dpns.username(identityId));
+        const name = typeof username === 'string' ? username : username?.fullName || username?.label || null;
+        this.dpnsNames.set(identityId, name || null);
+      } catch (error) {
+        console.warn(`DPNS lookup failed for ${identityId}:`, error);
+      }
+    }));
+
+    return new Map(identityIds.map(id => [id, this.dpnsNames.get(id) ?? null]));
+  }
+
+  /**
+   * Fetch the newest reports, up to MAX_REPORT_PAGES pages
+   * @param {string} contractId - The contract ID
+   * @returns {Promise<object[]>} report documents, newest first
+   */
+  async getReports(contractId) {
+    const reports = [];
+    let startAfter = null;
+
+    for (let page = 0; page < MAX_REPORT_PAGES; page++) {
+      const results = await this.queryDocuments(contractId, 'report', {
+        orderBy: [['$createdAt', 'desc']],
+        limit: MAX_QUERY_LIMIT,
+        startAfter
+      }) || [];
+
+      reports.push(...results);
+      if (results.length < MAX_QUERY_LIMIT) {
+        break;
+      }
+      const last = results[results.length - 1];
+      startAfter = last.$id || last.id;
+    }
+
+    return reports;
+  }
+
+  /**
+   * Fetch a moderator's decisions on a set of documents
+   * @param {string} contractId - The contract ID
+   * @param {string} moderatorId - Identity whose decisions count (the contract owner)
+   * @param {string[]} targetIds - Document IDs (at most 100)
+   * @returns {Promise<object[]>} moderation documents
+   */
+  async getModerationDecisions(contractId, moderatorId, targetIds) {
+    if (targetIds.length === 0) {
+      return [];
+    }
+
+    const results = await this.queryDocuments(contractId, 'moderation', {
+      where: [['$ownerId', '==', moderatorId], ['targetId', 'in', targetIds]],
+      orderBy: [['$ownerId', 'asc'], ['targetId', 'asc']],
+      limit: MAX_QUERY_LIMIT
+    });
+    return results || [];
+  }
+
+  /**
+   * Publish (or update) a hide/unhide decision on a document
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - Moderator identity ID
+   * @param {string} targetId - Document ID being moderated
+   * @param {object} decision - { hidden: boolean, reason?: number, note?: string }
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<string>} Moderation document ID
+   */
+  async publishModerationDecision(contractId, ownerId, targetId, decision, privateKeyWif) {
+    const data = { targetId, hidden: decision.hidden };
+    if (decision.reason) data.reason = decision.reason;
+    if (decision.note) data.note = decision.note;
+
+    const [existing] = await this.getModerationDecisions(contractId, ownerId, [targetId]);
+    if (existing) {
+      const documentId = existing.$id || existing.id;
+      await this.replaceDocument(contractId, 'moderation', documentId, ownerId, data,
+        Number(existing.$revision || existing.revision || 1), privateKeyWif);
+      return documentId;
+    }
+
+    const { documentId } = await this.submitDocument(contractId, 'moderation', ownerId, data, privateKeyWif);
+    return documentId;
+  }
+
+  /**
+   * Fetch a curator's trust list
+   * @param {string} contractId - The contract ID
+   * @param {string} curatorId - Curator identity ID
+   * @returns {Promise<object|null>} trustList document, or null if the curator has none
+   */
+  async getTrustList(contractId, curatorId) {
+    const results = await this.queryDocuments(contractId, 'trustList', {
+      where: [['$ownerId', '==', curatorId]],
+      orderBy: [['$ownerId', 'asc']],
+      limit: 1
+    });
+    return (results && results[0]) || null;
+  }
+
+  /**
+   * Publish (or replace) the identity's trust list
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - Curator identity ID
+   * @param {string} name - List name
+   * @param {string[]} identities - Trusted identity IDs
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<string>} trustList document ID
+   */
+  async publishTrustList(contractId, ownerId, name, identities, privateKeyWif) {
+    const data = { name, identities: identities.join('\n') };
+
+    const existing = await this.getTrustList(contractId, ownerId);
+    if (existing) {
+      const documentId = existing.$id || existing.id;
+      await this.replaceDocument(contractId, 'trustList', documentId, ownerId, data,
+        Number(existing.$revision || existing.revision || 1), privateKeyWif);
+      return documentId;
+    }
+
+    const { documentId } = await this.submitDocument(contractId, 'trustList', ownerId, data, privateKeyWif);
+    return documentId;
+  }
+
+  /**
+   * Query one page of tag documents with a tag name on a document type, newest first
+   * @param {string} contractId - The contract ID
+   * @param {string} targetType - Document type of the tagged documents
+   * @param {string} name - Normalised tag
+   * @param {object} options - { limit, startAfter }
+   * @returns {Promise<object[]>} tag documents
+   */
+  async getTagsByName(contractId, targetType, name, options = {}) {
+    return await this.queryDocuments(contractId, 'tag', {
+      where: [['targetType', '==', targetType], ['name', '==', name]],
+      orderBy: [['$createdAt', 'desc']],
+      limit: options.limit,
+      startAfter: options.startAfter
+    }) || [];
+  }
+
+  /**
+   * Fetch the tags on a set of documents, up to MAX_TAG_PAGES pages
+   * @param {string} contractId - The contract ID
+   * @param {string[]} targetIds - Tagged document IDs (at most 100)
+   * @returns {Promise<object[]>} tag documents
+   */
+  async getTagsForTargets(contractId, targetIds) {
+    if (targetIds.length === 0) {
+      return [];
+    }
+
+    const tags = [];
+    let startAfter = null;
+
+    for (let page = 0; page < MAX_TAG_PAGES; page++) {
+      const results = await this.queryDocuments(contractId, 'tag', {
+        where: [['targetId', 'in', targetIds]],
+        orderBy: [['targetId', 'asc']],
+        limit: MAX_QUERY_LIMIT,
+        startAfter
+      }) || [];
+
+      tags.push(...results);
+      if (results.length < MAX_QUERY_LIMIT) {
+        break;
+      }
+      const last = results[results.length - 1];
+      startAfter = last.$id || last.id;
+    }
+
+    return tags;
+  }
+
+  /**
+   * Make the identity's tags on a document match a list
+   * Missing tags are created and tags no longer listed are deleted
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - Tagging identity ID
+   * @param {string} targetId - Tagged document ID
+   * @param {string} targetType - Document type of the tagged document
+   * @param {string[]} names - Normalised tags
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<{ added: string[], removed: string[] }>}
+   */
+  async setTags(contractId, ownerId, targetId, targetType, names, privateKeyWif) {
+    const existing = (await this.getTagsForTargets(contractId, [targetId]))
+      .filter(doc => formatIdentifier(doc.$ownerId || doc.ownerId) === ownerId);
+    const existingNames = existing.map(doc => (doc.data || doc).name);
+
+    const added = names.filter(name => !existingNames.includes(name));
+    const removed = existing.filter(doc => !names.includes((doc.data || doc).name));
+
+    for (const name of added) {
+      await this.submitDocument(contractId, 'tag', ownerId, { targetId, targetType, name }, privateKeyWif);
+    }
+
+    for (const doc of removed) {
+      await this.deleteDocument(contractId, 'tag', doc.$id || doc.id, ownerId, privateKeyWif);
+    }
+
+    return { added, removed: removed.map(doc => (doc.data || doc).name) };
+  }
+
+  /**
+   * Fetch an identity's collections, newest first
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - Publisher identity ID
+   * @returns {Promise<object[]>} collection documents (at most 100)
+   */
+  async getCollectionsByOwner(contractId, ownerId) {
+    const results = await this.queryDocuments(contractId, 'collection', {
+      where: [['$ownerId', '==', ownerId]],
+      orderBy: [['$ownerId', 'asc'], ['$createdAt', 'asc']],
+      limit: MAX_QUERY_LIMIT
+    }) || [];
+    return results.reverse();
+  }
+
+  /**
+   * Publish a new collection
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - Publisher identity ID
+   * @param {{ title: string, description?: string, items: string[] }} collection - Normalised items
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<string>} collection document ID
+   */
+  async createCollection(contractId, ownerId, collection, privateKeyWif) {
+    if (collection.items.length > MAX_COLLECTION_ITEMS) {
+      throw new Error(`Too many items (${collection.items.length}, max ${MAX_COLLECTION_ITEMS})`);
+    }
+
+    const data = { title: collection.title, items: collection.items.join('\n') };
+    if (collection.description) data.description = collection.description;
+
+    const { documentId } = await this.submitDocument(contractId, 'collection', ownerId, data, privateKeyWif);
+    return documentId;
+  }
+
+  /**
+   * Append items to one of the identity's collections, optionally retitling it
+   * Items the collection already holds are skipped
+   * @param {string} contractId - The contract ID
+   * @param {string} ownerId - Publisher identity ID
+   * @param {string} collectionId - Collection document ID
+   * @param {{ title?: string, description?: string, items: string[] }} changes - New title/description and items to append
+   * @param {string} privateKeyWif - Private key in WIF format
+   * @returns {Promise<{ added: string[], total: number }>}
+   */
+  async appendToCollection(contractId, ownerId, collectionId, changes, privateKeyWif) {
+    const current = await this.getDocument(contractId, 'collection', collectionId);
+    if (!current) {
+      throw new Error(`Collection ${collectionId} not found`);
+    }
+
+    const currentData = current.data || current;
+    const existing = currentData.items ? currentData.items.split('\n') : [];
+    const { items, added } = mergeCollectionItems(existing, changes.items);
+    if (items.length > MAX_COLLECTION_ITEMS) {
+      throw new Error(`Too many items (${items.length}, max ${MAX_COLLECTION_ITEMS})`);
+    }
+
+    const data = { title: changes.title || currentData.title, items: items.join('\n') };
+    const description = changes.description !== undefined ? changes.description : currentData.description;
+    if (description) data.description = description;
+
+    await this.updateDocument(contractId, 'collection', collectionId, ownerId, data, privateKeyWif);
+    return { added, total: items.length };
+  }
+
+  /**
+   * Find the torrent documents named by collection items, across all types
+   * @param {string} contractId - The contract ID
+   * @param {string[]} items - Normalised items (at most 100)
+   * @returns {Promise<{ doc: object, documentType: string }[]>} Unordered matches; infohash
+   *   items can match several documents
+   */
+  async getCollectionDocuments(contractId, items) {
+    const documentIds = items.filter(item => !isInfoHashItem(item));
+    const infoHashes = items.filter(isInfoHashItem).map(item => Array.from(hexToBytes(item)));
+    const matches = [];
+
+    for (const documentType of getDocumentTypes()) {
+      if (documentIds.length > 0) {
+        const results = await this.queryDocuments(contractId, documentType, {
+          where: [['$id', 'in', documentIds]],
+          orderBy: [['$id', 'asc']],
+          limit: MAX_QUERY_LIMIT
+        }) || [];
+        results.forEach(doc => matches.push({ doc, documentType }));
+      }
+
+      if (infoHashes.length > 0) {
+        const results = await this.queryDocuments(contractId, documentType, {
+          where: [['infoHash', 'in', infoHashes]],
+          orderBy: [['infoHash', 'asc']],
+          limit: MAX_QUERY_LIMIT
+        }) || [];
+        results.forEach(doc => matches.push({ doc, documentType }));
+      }
+    }
+
+    return matches;
+  }
+
   /**
    * Get a data contract by ID
    * @param {string} contractId - The contract ID to fetch
@@ -286,9 +1410,9 @@ export class SdkClient {
       throw new Error('SDK not connected');
     }
 
-    return await this.sdk.contracts.get({
+    return await this.withRetry('Fetching contract', sdk => sdk.contracts.get({
       contractId
-    });
+    }));
   }
 
   /**
@@ -323,11 +1447,29 @@ export class SdkClient {
         queryParams.orderBy = options.orderBy;
       }
 
+      // Add pagination cursor if provided
+      if (options.startAfter) {
+        queryParams.startAfter = options.startAfter;
+      } else if (options.startAt) {
+        queryParams.startAt = options.startAt;
+      }
+
       console.log('Query params:', queryParams);
 
-      const result = await this.sdk.documents.query(queryParams);
+      const label = `Querying ${documentType} documents`;
+      let result;
+
+      if (this.usesProofs()) {
+        // The SDK throws if the proof doesn't verify against the quorum signature
+        const response = await this.withRetry(label, sdk => sdk.documents.queryWithProof(queryParams));
+        result = response.data;
+        this.markVerification(result, { level: 'proof', height: Number(response.metadata?.height) || null });
+      } else {
+        result = await this.withRetry(label, sdk => sdk.documents.query(queryParams));
+        this.markVerification(result, { level: this.network === 'local' ? 'local' : 'trusted', height: null });
+      }
 
-      this.updateStatus('connected', `Found ${result?.length || 0} documents`);
+      this.updateStatus('connected', `Found ${result?.length || 0} documents${this.usesProofs() ? ' (proof verified)' : ''}`);
 
       return result;
 
@@ -336,6 +1478,59 @@ export class SdkClient {
       throw error;
     }
   }
+
+  /**
+   * Query documents through the persistent query cache (stale-while-revalidate)
+   * A cached page is returned straight away; once older than QUERY_CACHE_FRESH_MS
+   * it is also queried again in the background and the cache updated
+   * @param {string} contractId - The contract ID
+   * @param {string} documentType - Document type
+   * @param {object} options - Query options, as for queryDocuments()
+   * @returns {Promise<{ documents: object[], revalidation: Promise<boolean>|null }>}
+   *   revalidation (null unless a stale page was served) resolves to whether
+   *   the fresh results differ from the ones returned
+   */
+  async queryDocumentsCached(contractId, documentType, options = {}) {
+    if (!this.isReady()) {
+      throw new Error('SDK not connected');
+    }
+
+    const key = buildQueryKey(this.cacheScope(), contractId, documentType, options, this.verification);
+    const cached = await getCachedQuery(key);
+
+    const queryAndStore = async () => {
+      const documents = await this.queryDocuments(contractId, documentType, options) || [];
+      await putCachedQuery(key, documents, documents.map(doc => this.getVerification(doc)));
+      return documents;
+    };
+
+    // Cached documents keep the verification they were fetched with, marked
+    // with when it happened: the proof says nothing about the current state
+    if (cached) {
+      cached.documents.forEach((doc, index) => {
+        if (cached.verification && cached.verification[index]) {
+          this.documentVerification.set(doc, { ...cached.verification[index], cachedAt: cached.storedAt });
+        }
+      });
+    }
+
+    if (!cached) {
+      return { documents: await queryAndStore(), revalidation: null };
+    }
+
+    if (Date.now() - cached.storedAt < QUERY_CACHE_FRESH_MS) {
+      return { documents: cached.documents, revalidation: null };
+    }
+
+    const revalidation = queryAndStore()
+      .then(documents => documentsChanged(cached.documents, documents))
+      .catch(error => {
+        console.warn('Could not revalidate cached query:', error);
+        return false;
+      });
+
+    return { documents: cached.documents, revalidation };
+  }
 }
 
 // Create and export singleton instance
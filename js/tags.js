@@ -0,0 +1,91 @@
+/**
+ * Tags
+ * Normalisation of tag strings and grouping of tag documents by target
+ *
+ * A tag document links one tag to one torrent document. Anyone can publish
+ * tags, but browse only shows and searches tags published by the torrent
+ * document's own publisher.
+ */
+
+import { formatIdentifier } from './utils.js';
+
+// Longest tag (schema maxLength)
+export const MAX_TAG_LENGTH = 32;
+
+// Most tags per torrent document
+export const MAX_TAGS = 10;
+
+// Stored form: lowercase words joined by single hyphens
+export const TAG_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+/**
+ * Normalise a tag ("Linux Distros" -> "linux-distros")
+ * @param {string} value - Raw tag
+ * @returns {string|null} Normalised tag, or null if nothing usable is left
+ */
+export function normalizeTag(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const tag = value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return tag && tag.length <= MAX_TAG_LENGTH ? tag : null;
+}
+
+/**
+ * Parse comma-separated tag input
+ * @param {string} input - e.g., "linux, distro, Ubuntu"
+ * @returns {{ tags: string[], invalid: string[] }} Deduplicated normalised tags
+ *   and entries that could not be normalised
+ */
+export function parseTagsInput(input) {
+  if (!input || typeof input !== 'string') {
+    return { tags: [], invalid: [] };
+  }
+
+  const entries = input.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+  const tags = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    const tag = normalizeTag(entry);
+    if (tag) {
+      tags.push(tag);
+    } else {
+      invalid.push(entry);
+    }
+  }
+
+  return { tags: [...new Set(tags)], invalid };
+}
+
+/**
+ * Group tag documents by target, keeping only the target publisher's tags
+ * @param {object[]} tagDocs - tag documents
+ * @param {Map<string, string>} ownersByTarget - target document ID -> publisher identity ID
+ * @returns {Map<string, string[]>} target document ID -> sorted tag names
+ */
+export function groupTagsByTarget(tagDocs, ownersByTarget) {
+  const groups = new Map();
+
+  for (const doc of tagDocs) {
+    const data = doc.data || doc;
+    const targetId = formatIdentifier(data.targetId);
+    const taggerId = formatIdentifier(doc.$ownerId || doc.ownerId);
+    if (ownersByTarget.get(targetId) !== taggerId) continue;
+
+    if (!groups.has(targetId)) {
+      groups.set(targetId, []);
+    }
+    if (!groups.get(targetId).includes(data.name)) {
+      groups.get(targetId).push(data.name);
+    }
+  }
+
+  groups.forEach(names => names.sort());
+  return groups;
+}
@@ -0,0 +1,276 @@
+/**
+ * .torrent file parsing
+ * Bencode decoding and metadata extraction for the admin import flow
+ */
+
+import { bytesToHex, sha256, truncateInfoHashV2, parseWebSeedsInput } from './utils.js';
+
+const textDecoder = new TextDecoder('utf-8');
+
+// Bencode token bytes
+const CHAR_D = 0x64;  // 'd'
+const CHAR_E = 0x65;  // 'e'
+const CHAR_I = 0x69;  // 'i'
+const CHAR_L = 0x6c;  // 'l'
+const CHAR_COLON = 0x3a;  // ':'
+
+/**
+ * Decode a bencoded value starting at a byte offset
+ * Byte strings are returned as Uint8Array, dictionary keys as UTF-8 strings
+ * @param {Uint8Array} bytes - Bencoded data
+ * @param {number} pos - Offset to start decoding at
+ * @returns {{ value: *, end: number }} Decoded value and offset just past it
+ */
+function decodeAt(bytes, pos) {
+  if (pos >= bytes.length) {
+    throw new Error('Unexpected end of bencoded data');
+  }
+
+  const token = bytes[pos];
+
+  // Integer: i<digits>e
+  if (token === CHAR_I) {
+    const end = bytes.indexOf(CHAR_E, pos + 1);
+    if (end === -1) throw new Error('Unterminated bencoded integer');
+    const digits = textDecoder.decode(bytes.subarray(pos + 1, end));
+    if (!/^-?\d+$/.test(digits)) throw new Error(`Invalid bencoded integer: ${digits}`);
+    return { value: Number(digits), end: end + 1 };
+  }
+
+  // List: l<values>e
+  if (token === CHAR_L) {
+    const list = [];
+    let cursor = pos + 1;
+    while (bytes[cursor] !== CHAR_E) {
+      const item = decodeAt(bytes, cursor);
+      list.push(item.value);
+      cursor = item.end;
+    }
+    return { value: list, end: cursor + 1 };
+  }
+
+  // Dictionary: d<key><value>...e
+  if (token === CHAR_D) {
+    const dict = {};
+    let cursor = pos + 1;
+    while (bytes[cursor] !== CHAR_E) {
+      const key = decodeAt(bytes, cursor);
+      if (!(key.value instanceof Uint8Array)) throw new Error('Bencoded dictionary key must be a string');
+      const item = decodeAt(bytes, key.end);
+      dict[textDecoder.decode(key.value)] = item.value;
+      cursor = item.end;
+    }
+    return { value: dict, end: cursor + 1 };
+  }
+
+  // Byte string: <length>:<bytes>
+  const colon = bytes.indexOf(CHAR_COLON, pos);
+  if (colon === -1) throw new Error('Invalid bencoded string');
+  const lengthStr = textDecoder.decode(bytes.subarray(pos, colon));
+  if (!/^\d+$/.test(lengthStr)) throw new Error(`Invalid bencoded string length: ${lengthStr}`);
+  const start = colon + 1;
+  const end = start + parseInt(lengthStr, 10);
+  if (end > bytes.length) throw new Error('Bencoded string exceeds data length');
+  return { value: bytes.subarray(start, end), end };
+}
+
+/**
+ * Decode a complete bencoded buffer
+ * @param {Uint8Array} bytes - Bencoded data
+ * @returns {*} Decoded value
+ */
+export function decodeBencode(bytes) {
+  const { value, end } = decodeAt(bytes, 0);
+  if (end !== bytes.length) {
+    throw new Error('Trailing data after bencoded value');
+  }
+  return value;
+}
+
+/**
+ * Decode a byte string to text (UTF-8)
+ * @param {Uint8Array|undefined} value - Byte string from the decoder
+ * @returns {string|null}
+ */
+function toText(value) {
+  return value instanceof Uint8Array ? textDecoder.decode(value) : null;
+}
+
+/**
+ * Compute SHA-1 hash
+ * @param {Uint8Array} data - Data to hash
+ * @returns {Promise<Uint8Array>} 20-byte hash
+ */
+async function sha1(data) {
+  const hashBuffer = await crypto.subtle.digest('SHA-1', data);
+  return new Uint8Array(hashBuffer);
+}
+
+/**
+ * Collect tracker URLs from announce and announce-list (BEP 12)
+ * @param {object} torrent - Decoded top-level dictionary
+ * @returns {string[]} Deduplicated tracker URLs in tier order
+ */
+function collectTrackers(torrent) {
+  const trackers = [];
+
+  const announce = toText(torrent.announce);
+  if (announce) trackers.push(announce);
+
+  if (Array.isArray(torrent['announce-list'])) {
+    for (const tier of torrent['announce-list']) {
+      if (!Array.isArray(tier)) continue;
+      for (const url of tier) {
+        const text = toText(url);
+        if (text) trackers.push(text);
+      }
+    }
+  }
+
+  return [...new Set(trackers.map(t => t.trim()).filter(t => t.length > 0))];
+}
+
+/**
+ * Collect web seed URLs from url-list (BEP 19), which may be a single string or a list
+ * @param {object} torrent - Decoded top-level dictionary
+ * @returns {string[]} Deduplicated http(s) web seed URLs
+ */
+function collectWebSeeds(torrent) {
+  const urlList = torrent['url-list'];
+  const urls = Array.isArray(urlList) ? urlList.map(toText) : [toText(urlList)];
+  return parseWebSeedsInput(urls.filter(Boolean).join('\n'));
+}
+
+/**
+ * Check whether a v1 file entry is a BEP 47 padding file
+ * @param {object} file - Decoded file dictionary
+ * @returns {boolean}
+ */
+function isPaddingFile(file) {
+  const attr = toText(file.attr);
+  return attr ? attr.includes('p') : false;
+}
+
+/**
+ * List files described by a v2 file tree (BEP 52)
+ * @param {object} tree - Decoded file tree dictionary
+ * @param {string} prefix - Path of the enclosing directory
+ * @returns {{ path: string, length: number }[]}
+ */
+function collectFileTree(tree, prefix) {
+  const files = [];
+
+  for (const [name, node] of Object.entries(tree)) {
+    if (!node || typeof node !== 'object' || node instanceof Uint8Array) continue;
+
+    // A file is a dictionary with a single empty key holding its properties
+    if (name === '') {
+      if (typeof node.length === 'number') {
+        files.push({ path: prefix, length: node.length });
+      }
+      continue;
+    }
+
+    files.push(...collectFileTree(node, prefix ? `${prefix}/${name}` : name));
+  }
+
+  return files;
+}
+
+/**
+ * List files described by an info dictionary
+ * @param {object} info - Decoded info dictionary
+ * @returns {{ path: string, length: number }[]}
+ */
+function collectFiles(info) {
+  const name = toText(info['name.utf-8']) || toText(info.name) || '';
+
+  // v2 and hybrid torrents: the file tree has no padding files
+  if (info['file tree'] && typeof info['file tree'] === 'object') {
+    const files = collectFileTree(info['file tree'], '');
+
+    // Single-file v2 torrents list the file at the root under the torrent name
+    if (files.length === 1 && files[0].path === name) {
+      return files;
+    }
+    return files.map(file => ({ path: `${name}/${file.path}`, length: file.length }));
+  }
+
+  // Single-file torrent
+  if (typeof info.length === 'number') {
+    return [{ path: name, length: info.length }];
+  }
+
+  // Multi-file torrent
+  if (Array.isArray(info.files)) {
+    return info.files
+      .filter(file => typeof file.length === 'number' && !isPaddingFile(file))
+      .map(file => {
+        const parts = (file['path.utf-8'] || file.path || []).map(toText);
+        return { path: [name, ...parts].join('/'), length: file.length };
+      });
+  }
+
+  return [];
+}
+
+/**
+ * Parse a .torrent file and extract the metadata needed for a document
+ * v2-only torrents report the truncated v2 infohash as infoHash
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw .torrent file contents
+ * @returns {Promise<{ infoHash: string, infoHashV2: string|null, version: string, name: string|null, trackers: string, webSeeds: string, sizeBytes: number, files: object[] }>}
+ */
+export async function parseTorrentFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (bytes[0] !== CHAR_D) {
+    throw new Error('Not a valid .torrent file (expected a bencoded dictionary)');
+  }
+
+  // Walk the top-level dictionary by hand so we keep the raw bytes of
+  // the info dictionary: the infohash is defined over those exact bytes,
+  // not over a re-encoding of the decoded value.
+  const torrent = {};
+  let infoBytes = null;
+  let cursor = 1;
+  while (bytes[cursor] !== CHAR_E) {
+    const key = decodeAt(bytes, cursor);
+    const item = decodeAt(bytes, key.end);
+    const keyText = textDecoder.decode(key.value);
+    torrent[keyText] = item.value;
+    if (keyText === 'info') {
+      infoBytes = bytes.subarray(key.end, item.end);
+    }
+    cursor = item.end;
+  }
+
+  const info = torrent.info;
+  if (!infoBytes || !info || typeof info !== 'object') {
+    throw new Error('Torrent file has no info dictionary');
+  }
+
+  // v1 infohash is SHA-1 over the info dictionary; v2 (BEP 52) is SHA-256.
+  // Hybrid torrents carry both v1 piece hashes and a v2 file tree.
+  const hasV1 = info.pieces instanceof Uint8Array;
+  const hasV2 = info['meta version'] === 2;
+  if (!hasV1 && !hasV2) {
+    throw new Error('Torrent file has neither v1 pieces nor a v2 meta version');
+  }
+
+  const infoHashV2 = hasV2 ? bytesToHex(await sha256(infoBytes)) : null;
+  const infoHash = hasV1 ? bytesToHex(await sha1(infoBytes)) : truncateInfoHashV2(infoHashV2);
+  const version = hasV1 && hasV2 ? 'hybrid' : (hasV2 ? 'v2' : 'v1');
+  const files = collectFiles(info);
+  const sizeBytes = files.reduce((total, file) => total + file.length, 0);
+
+  return {
+    infoHash,
+    infoHashV2,
+    version,
+    name: toText(info['name.utf-8']) || toText(info.name),
+    trackers: collectTrackers(torrent).join('\n'),
+    webSeeds: collectWebSeeds(torrent).join('\n'),
+    sizeBytes,
+    files
+  };
+}
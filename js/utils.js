@@ -94,6 +94,39 @@ export function base58Encode(bytes) {
   return result;
 }
 
+/**
+ * Normalize an identifier field from a queried document to base58
+ * Identifiers may come back as base58 strings, base64 strings or byte arrays
+ * @param {string|Array|Uint8Array} value - Raw identifier value
+ * @returns {string|null} Base58 identifier, or null if missing
+ */
+export function formatIdentifier(value) {
+  if (value == null) return null;
+  if (typeof value === 'string') {
+    // base64 (32 bytes -> 44 chars with padding) uses characters base58 lacks
+    if (/[+/=]/.test(value)) {
+      return base58Encode(Uint8Array.from(atob(value), c => c.charCodeAt(0)));
+    }
+    return value;
+  }
+  if (Array.isArray(value) || value instanceof Uint8Array) {
+    return base58Encode(Uint8Array.from(value));
+  }
+  return String(value);
+}
+
+/**
+ * Check whether a string is a base58 identifier (32 bytes)
+ * @param {string} value - Candidate identity or document ID
+ * @returns {boolean}
+ */
+export function isValidIdentifier(value) {
+  if (typeof value !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value)) {
+    return false;
+  }
+  return base58Decode(value).length === 32;
+}
+
 /**
  * Compute SHA-256 hash
  * @param {Uint8Array} data - Data to hash
@@ -137,13 +170,68 @@ export async function generateContractId(ownerIdBase58, entropy) {
   return base58Encode(hash);
 }
 
+// Multihash prefix for SHA-256 with a 32-byte digest (BitTorrent v2 infohash)
+const BTMH_SHA256_PREFIX = '1220';
+
+/**
+ * Derive the 20-byte infohash used for a v2 torrent in the v1 swarm
+ * protocols (trackers, DHT): the SHA-256 infohash truncated to 20 bytes (BEP 52)
+ * @param {string} infoHashV2 - 64-character hex v2 infohash
+ * @returns {string} 40-character hex string
+ */
+export function truncateInfoHashV2(infoHashV2) {
+  return infoHashV2.substring(0, 40).toLowerCase();
+}
+
 /**
- * Parse a magnet link to extract infoHash, display name, and trackers
+ * Strip the SHA-256 multihash prefix from a v2 infohash, if present
+ * @param {string} hash - 64-char hex, or the 1220-prefixed multihash form
+ * @returns {string} 64-character hex string
+ */
+export function stripMultihashPrefix(hash) {
+  return hash.replace(new RegExp(`^${BTMH_SHA256_PREFIX}(?=[a-f0-9]{64}$)`, 'i'), '');
+}
+
+/**
+ * Collect all decoded values of a magnet parameter
+ * Also matches numbered variants (e.g. ws.1=, tr.2=)
  * @param {string} magnetUri - The magnet link URI
- * @returns {{ infoHash: string|null, displayName: string|null, trackers: string }}
+ * @param {string} key - Parameter name (e.g. "tr", "x.pe")
+ * @returns {string[]} Decoded values in order of appearance
+ */
+function getMagnetParams(magnetUri, key) {
+  const escaped = key.replace(/\./g, '\\.');
+  const values = [];
+  for (const match of magnetUri.matchAll(new RegExp(`[?&]${escaped}(?:\\.\\d+)?=([^&]+)`, 'g'))) {
+    try {
+      values.push(decodeURIComponent(match[1]));
+    } catch (e) {
+      // Ignore malformed values
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a magnet link to extract infoHash, display name, trackers and
+ * the extended parameters (web seeds, exact length, sources, peers)
+ * For v2-only magnets, infoHash is the truncated v2 infohash
+ * @param {string} magnetUri - The magnet link URI
+ * @returns {{ infoHash: string|null, infoHashV2: string|null, displayName: string|null, trackers: string,
+ *   webSeeds: string, exactLength: number|null, exactSources: string[], acceptableSources: string[], peers: string[] }}
  */
 export function parseMagnetLink(magnetUri) {
-  const result = { infoHash: null, displayName: null, trackers: '' };
+  const result = {
+    infoHash: null,
+    infoHashV2: null,
+    displayName: null,
+    trackers: '',
+    webSeeds: '',
+    exactLength: null,
+    exactSources: [],
+    acceptableSources: [],
+    peers: []
+  };
 
   if (!magnetUri || typeof magnetUri !== 'string') {
     return result;
@@ -160,6 +248,15 @@ export function parseMagnetLink(magnetUri) {
     result.infoHash = base32ToHex(base32Match[1]);
   }
 
+  // Extract v2 infohash (SHA-256 multihash: 1220 + 64-char hex)
+  const btmhMatch = magnetUri.match(new RegExp(`urn:btmh:${BTMH_SHA256_PREFIX}([a-fA-F0-9]{64})`, 'i'));
+  if (btmhMatch) {
+    result.infoHashV2 = btmhMatch[1].toLowerCase();
+    if (!result.infoHash) {
+      result.infoHash = truncateInfoHashV2(result.infoHashV2);
+    }
+  }
+
   // Extract display name (dn parameter)
   const dnMatch = magnetUri.match(/[?&]dn=([^&]+)/);
   if (dnMatch) {
@@ -167,16 +264,21 @@ export function parseMagnetLink(magnetUri) {
   }
 
   // Extract all tracker URLs (tr parameter) as newline-separated string
-  const trackerList = [];
-  const trackerMatches = magnetUri.matchAll(/[?&]tr=([^&]+)/g);
-  for (const match of trackerMatches) {
-    try {
-      trackerList.push(decodeURIComponent(match[1]));
-    } catch (e) {
-      // Ignore invalid URLs
-    }
+  result.trackers = getMagnetParams(magnetUri, 'tr').join('\n');
+
+  // Web seeds (ws, BEP 19), stored like trackers as a newline-separated string
+  result.webSeeds = parseWebSeedsInput(getMagnetParams(magnetUri, 'ws').join('\n')).join('\n');
+
+  // Exact length in bytes (xl)
+  const [exactLength] = getMagnetParams(magnetUri, 'xl');
+  if (exactLength && /^\d+$/.test(exactLength)) {
+    result.exactLength = parseInt(exactLength, 10);
   }
-  result.trackers = trackerList.join('\n');
+
+  // Exact sources (xs), acceptable sources (as) and peer addresses (x.pe)
+  result.exactSources = getMagnetParams(magnetUri, 'xs');
+  result.acceptableSources = getMagnetParams(magnetUri, 'as');
+  result.peers = getMagnetParams(magnetUri, 'x.pe');
 
   return result;
 }
@@ -206,31 +308,34 @@ export function base32ToHex(base32) {
 
 /**
  * Validate infoHash format
+ * Accepts v1 (40-char hex / 20 bytes) and v2 (64-char hex, 1220-prefixed
+ * multihash / 32 bytes) infohashes
  * @param {string|Uint8Array} hash - The hash to validate
  * @returns {boolean}
  */
 export function isValidInfoHash(hash) {
   if (typeof hash === 'string') {
-    return /^[a-f0-9]{40}$/i.test(hash);
+    return /^[a-f0-9]{40}$/i.test(hash) ||
+      new RegExp(`^(${BTMH_SHA256_PREFIX})?[a-f0-9]{64}$`, 'i').test(hash);
   }
   if (hash instanceof Uint8Array) {
-    return hash.length === 20;
+    return hash.length === 20 || hash.length === 32;
   }
   return false;
 }
 
 /**
  * Convert hex string to Uint8Array (for storage)
- * @param {string} hex - 40-character hex string
- * @returns {Uint8Array} 20-byte array
+ * @param {string} hex - 40-character (v1) or 64-character (v2) hex string
+ * @returns {Uint8Array} 20- or 32-byte array
  */
 export function hexToBytes(hex) {
-  if (!hex || hex.length !== 40) {
-    throw new Error('Invalid hex string: must be 40 characters');
+  if (!hex || (hex.length !== 40 && hex.length !== 64)) {
+    throw new Error('Invalid hex string: must be 40 or 64 characters');
   }
 
-  const bytes = new Uint8Array(20);
-  for (let i = 0; i < 40; i += 2) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < hex.length; i += 2) {
     bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
   }
   return bytes;
@@ -238,12 +343,12 @@ export function hexToBytes(hex) {
 
 /**
  * Convert Uint8Array to hex string (for display/magnet)
- * @param {Uint8Array} bytes - 20-byte array
- * @returns {string} 40-character hex string
+ * @param {Uint8Array} bytes - 20- or 32-byte array
+ * @returns {string} 40- or 64-character hex string
  */
 export function bytesToHex(bytes) {
-  if (!bytes || bytes.length !== 20) {
-    throw new Error('Invalid bytes array: must be 20 bytes');
+  if (!bytes || (bytes.length !== 20 && bytes.length !== 32)) {
+    throw new Error('Invalid bytes array: must be 20 or 32 bytes');
   }
 
   return Array.from(bytes)
@@ -251,6 +356,32 @@ export function bytesToHex(bytes) {
     .join('');
 }
 
+/**
+ * Normalize a byte array field from a queried document to Uint8Array
+ * Documents may carry byte arrays as plain arrays, Uint8Array, hex or base64 strings
+ * @param {Array|Uint8Array|string} value - Raw field value
+ * @returns {Uint8Array|null} Bytes, or null if the value is missing or unrecognized
+ */
+export function decodeByteField(value) {
+  if (value instanceof Uint8Array) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return new Uint8Array(value);
+  }
+  if (typeof value === 'string' && value.length > 0) {
+    if (/^([a-f0-9]{40}|[a-f0-9]{64})$/i.test(value)) {
+      return hexToBytes(value);
+    }
+    try {
+      return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
 /**
  * Parse IMDB ID string to integer (strips "tt" prefix)
  * @param {string} imdbStr - IMDB ID string like "tt0133093"
@@ -356,6 +487,83 @@ export function isValidWorkId(id) {
   return false;
 }
 
+// MusicBrainz IDs are UUIDs, optionally inside a musicbrainz.org URL
+const MBID_PATTERN = /^(?:https?:\/\/(?:[a-z]+\.)?musicbrainz\.org\/release-group\/)?([a-f0-9]{8}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{12})\/?(?:[?#].*)?$/i;
+
+/**
+ * Parse a MusicBrainz release-group ID to bytes (for storage)
+ * Accepts a bare UUID (with or without hyphens) or a release-group URL
+ * @param {string} mbidStr - e.g. "f5093c06-23e3-404f-aeaa-40f72885ee3a"
+ * @returns {number[]|null} 16-byte array or null if invalid
+ */
+export function parseMusicBrainzId(mbidStr) {
+  if (!mbidStr || typeof mbidStr !== 'string') return null;
+
+  const match = mbidStr.trim().match(MBID_PATTERN);
+  if (!match) return null;
+
+  const hex = match[1].replace(/-/g, '').toLowerCase();
+  const bytes = [];
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes.push(parseInt(hex.substr(i, 2), 16));
+  }
+  return bytes;
+}
+
+/**
+ * Format stored MusicBrainz ID bytes as a hyphenated UUID
+ * @param {Array|Uint8Array|string} value - 16 bytes (array, Uint8Array or base64) or a UUID
+ * @returns {string|null} UUID like "f5093c06-23e3-404f-aeaa-40f72885ee3a"
+ */
+export function formatMusicBrainzId(value) {
+  // UUID/URL strings parse directly; other strings are base64 from a query
+  const bytes = parseMusicBrainzId(value) || decodeByteField(value);
+  if (!bytes || bytes.length !== 16) return null;
+
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Extract season/episode numbers from a scene-style release name
+ * Recognizes S01E05, S01E05E06 (first episode), 1x05 and season packs (S01, Season 1)
+ * @param {string} name - Release name like "Breaking.Bad.S01E05.720p"
+ * @returns {{ season: number|null, episode: number|null }}
+ */
+export function parseSeasonEpisode(name) {
+  const result = { season: null, episode: null };
+
+  if (!name || typeof name !== 'string') {
+    return result;
+  }
+
+  const episodeMatch = name.match(/\bS(\d{1,4})[ ._-]?E(\d{1,5})/i) || name.match(/\b(\d{1,2})x(\d{2,3})\b/i);
+  if (episodeMatch) {
+    result.season = parseInt(episodeMatch[1], 10);
+    result.episode = parseInt(episodeMatch[2], 10);
+    return result;
+  }
+
+  const seasonMatch = name.match(/\bS(\d{1,4})\b/i) || name.match(/\bSeason[ ._-]?(\d{1,4})\b/i);
+  if (seasonMatch) {
+    result.season = parseInt(seasonMatch[1], 10);
+  }
+
+  return result;
+}
+
+/**
+ * Format season/episode numbers as S01E05 (or S01 for season packs)
+ * @param {number|null} season - Season number
+ * @param {number|null} episode - Episode number
+ * @returns {string|null} Formatted string, or null without a season
+ */
+export function formatSeasonEpisode(season, episode) {
+  if (season == null) return null;
+  const seasonStr = `S${season.toString().padStart(2, '0')}`;
+  return episode != null ? `${seasonStr}E${episode.toString().padStart(2, '0')}` : seasonStr;
+}
+
 /**
  * Format bytes to human readable string
  * @param {number} bytes - Size in bytes
@@ -376,30 +584,77 @@ export function formatBytes(bytes) {
   return `${size.toFixed(2)} ${units[i]}`;
 }
 
+// Relative time units, largest first: [unit, milliseconds]
+const RELATIVE_TIME_UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000]
+];
+
+const relativeTimeFormat = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+/**
+ * Format a timestamp relative to now
+ * @param {number|bigint} timestamp - Milliseconds since the epoch (e.g., $createdAt)
+ * @param {number} now - Reference time in milliseconds
+ * @returns {string} Formatted string like "3 hours ago" or "yesterday"
+ */
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const elapsed = now - Number(timestamp);
+
+  for (const [unit, ms] of RELATIVE_TIME_UNITS) {
+    if (Math.abs(elapsed) >= ms) {
+      return relativeTimeFormat.format(-Math.trunc(elapsed / ms), unit);
+    }
+  }
+
+  return 'just now';
+}
+
 /**
  * Build a magnet URI from document data
+ * Hybrid torrents get both btih and btmh exact topics; v2-only torrents
+ * (whose v1 infohash is the truncated v2 infohash) get btmh only
  * @param {Uint8Array|string} infoHash - The infohash (bytes or hex string)
  * @param {string} displayName - The display name for the magnet
  * @param {string} trackers - Tracker URLs (newline-separated string)
+ * @param {Uint8Array|string|null} infoHashV2 - Optional v2 infohash (bytes or hex string)
+ * @param {object} extras - Optional extended parameters
+ * @param {string} extras.webSeeds - Web seed URLs (newline-separated string)
+ * @param {number} extras.exactLength - Total size in bytes (xl)
+ * @param {string[]} extras.exactSources - Exact source URLs (xs)
+ * @param {string[]} extras.acceptableSources - Acceptable source URLs (as)
+ * @param {string[]} extras.peers - Peer addresses as host:port (x.pe)
  * @returns {string} Magnet URI
  */
-export function buildMagnetUri(infoHash, displayName, trackers = '') {
-  let hashHex;
+export function buildMagnetUri(infoHash, displayName, trackers = '', infoHashV2 = null, extras = {}) {
+  const hashHex = infoHashToHex(infoHash);
+  const hashV2Hex = infoHashV2 ? infoHashToHex(infoHashV2) : null;
 
-  if (infoHash instanceof Uint8Array) {
-    hashHex = bytesToHex(infoHash);
-  } else if (typeof infoHash === 'string') {
-    hashHex = infoHash.toLowerCase();
-  } else {
+  const topics = [];
+  if (hashHex && (!hashV2Hex || hashHex !== truncateInfoHashV2(hashV2Hex))) {
+    topics.push(`xt=urn:btih:${hashHex}`);
+  }
+  if (hashV2Hex) {
+    topics.push(`xt=urn:btmh:${BTMH_SHA256_PREFIX}${hashV2Hex}`);
+  }
+  if (topics.length === 0) {
     throw new Error('Invalid infoHash type');
   }
 
-  let magnet = `magnet:?xt=urn:btih:${hashHex}`;
+  let magnet = `magnet:?${topics.join('&')}`;
 
   if (displayName) {
     magnet += `&dn=${encodeURIComponent(displayName)}`;
   }
 
+  if (Number.isInteger(extras.exactLength) && extras.exactLength > 0) {
+    magnet += `&xl=${extras.exactLength}`;
+  }
+
   // Add tracker URLs from newline-separated string
   if (trackers && trackers.length > 0) {
     const trackerList = trackers.split('\n').map(t => t.trim()).filter(t => t.length > 0);
@@ -408,9 +663,34 @@ export function buildMagnetUri(infoHash, displayName, trackers = '') {
     }
   }
 
+  // Add web seeds, sources and peers
+  for (const webSeed of parseWebSeedsInput(extras.webSeeds)) {
+    magnet += `&ws=${encodeURIComponent(webSeed)}`;
+  }
+  for (const [key, values] of [['as', extras.acceptableSources], ['xs', extras.exactSources], ['x.pe', extras.peers]]) {
+    for (const value of values || []) {
+      magnet += `&${key}=${encodeURIComponent(value)}`;
+    }
+  }
+
   return magnet;
 }
 
+/**
+ * Convert an infohash (bytes or hex string) to lowercase hex
+ * @param {Uint8Array|string|null} infoHash - The infohash
+ * @returns {string|null} Hex string, or null if not provided
+ */
+function infoHashToHex(infoHash) {
+  if (infoHash instanceof Uint8Array) {
+    return bytesToHex(infoHash);
+  }
+  if (typeof infoHash === 'string') {
+    return infoHash.toLowerCase();
+  }
+  return null;
+}
+
 /**
  * Parse trackers from textarea input (one per line or comma-separated)
  * @param {string} input - Raw textarea input
@@ -432,108 +712,70 @@ export function parseTrackersInput(input) {
 }
 
 /**
- * Prepare document data for submission
- * Converts hex strings to bytes, IMDB strings to integers, etc.
- * @param {string} docType - Document type
- * @param {object} formData - Raw form data
- * @returns {object} Prepared data for Platform submission
+ * Parse web seed URLs from textarea input (one per line or comma-separated)
+ * Only http(s) URLs are accepted, as required by BEP 19
+ * @param {string} input - Raw textarea input
+ * @returns {string[]} Array of web seed URLs
  */
-export function prepareDocumentData(docType, formData) {
-  const data = {};
-
-  // Convert infoHash from hex string to bytes
-  if (formData.infoHash) {
-    data.infoHash = Array.from(hexToBytes(formData.infoHash));
-  }
-
-  // Copy torrentName
-  if (formData.torrentName) {
-    data.torrentName = formData.torrentName.trim();
-  }
-
-  // Parse trackers (string input to newline-separated string)
-  if (formData.trackers) {
-    const trackers = parseTrackersInput(formData.trackers);
-    if (trackers.length > 0) {
-      // Store as newline-separated string (not array - Platform only supports byte arrays)
-      data.trackers = trackers.join('\n');
-    }
+export function parseWebSeedsInput(input) {
+  if (!input || typeof input !== 'string') {
+    return [];
   }
 
-  // Handle document-type specific fields
-  switch (docType) {
-    case 'movie':
-      if (formData.imdbId) data.imdbId = parseImdbId(formData.imdbId);
-      if (formData.sizeBytes) data.sizeBytes = parseInt(formData.sizeBytes, 10);
-      break;
-
-    case 'tv':
-      if (formData.seriesImdbId) data.seriesImdbId = parseImdbId(formData.seriesImdbId);
-      if (formData.sizeBytes) data.sizeBytes = parseInt(formData.sizeBytes, 10);
-      break;
-
-    case 'book':
-      if (formData.workId) data.workId = parseWorkId(formData.workId);
-      if (formData.sizeBytes) data.sizeBytes = parseInt(formData.sizeBytes, 10);
-      break;
+  const webSeeds = input
+    .split(/[\n,]+/)
+    .map(url => url.trim())
+    .filter(url => url.startsWith('http://') || url.startsWith('https://'));
 
-    case 'iso':
-    case 'other':
-      if (formData.title) data.title = formData.title.trim();
-      if (formData.sizeBytes) data.sizeBytes = parseInt(formData.sizeBytes, 10);
-      break;
-  }
+  // Deduplicate
+  return [...new Set(webSeeds)];
+}
 
-  // Remove undefined/null/NaN values
-  for (const key of Object.keys(data)) {
-    if (data[key] === undefined || data[key] === null || Number.isNaN(data[key])) {
-      delete data[key];
-    }
+/**
+ * Parse identity IDs from textarea input (one per line, comma or whitespace separated)
+ * @param {string} input - Raw textarea input
+ * @returns {{ identities: string[], invalid: string[] }} Deduplicated valid IDs and rejected entries
+ */
+export function parseIdentityListInput(input) {
+  if (!input || typeof input !== 'string') {
+    return { identities: [], invalid: [] };
   }
 
-  return data;
+  const entries = input.split(/[\s,]+/).filter(entry => entry.length > 0);
+  return {
+    identities: [...new Set(entries.filter(isValidIdentifier))],
+    invalid: entries.filter(entry => !isValidIdentifier(entry))
+  };
 }
 
 /**
- * Validate document data before submission
- * @param {string} docType - Document type
- * @param {object} data - Prepared document data
- * @returns {{ valid: boolean, errors: string[] }}
+ * Parse DAPI node addresses from textarea input (one per line, comma or whitespace separated)
+ * Entries without a scheme are taken as https; paths are not allowed
+ * @param {string} input - Raw textarea input, e.g., "https://127.0.0.1:2443"
+ * @returns {{ addresses: string[], invalid: string[] }} Deduplicated origins
+ *   (e.g., "https://127.0.0.1:2443") and rejected entries
  */
-export function validateDocumentData(docType, data) {
-  const errors = [];
-
-  // Common validations
-  if (!data.infoHash || data.infoHash.length !== 20) {
-    errors.push('Invalid or missing infoHash (must be 40-char hex)');
-  }
-
-  if (!data.torrentName || data.torrentName.length === 0) {
-    errors.push('Torrent name is required');
+export function parseDapiAddressesInput(input) {
+  if (!input || typeof input !== 'string') {
+    return { addresses: [], invalid: [] };
   }
 
-  // Document-type specific validations
-  switch (docType) {
-    case 'movie':
-      if (data.imdbId == null) errors.push('IMDB ID is required (e.g., tt0133093)');
-      break;
-
-    case 'tv':
-      if (data.seriesImdbId == null) errors.push('Series IMDB ID is required (e.g., tt0903747)');
-      break;
+  const entries = input.split(/[\s,]+/).filter(entry => entry.length > 0);
+  const addresses = [];
+  const invalid = [];
 
-    case 'book':
-      if (data.workId == null) errors.push('OpenLibrary Work ID is required (e.g., OL8483260W)');
-      break;
-
-    case 'iso':
-    case 'other':
-      if (!data.title) errors.push('Title is required');
-      break;
+  for (const entry of entries) {
+    try {
+      const url = new URL(/^[a-z]+:\/\//i.test(entry) ? entry : `https://${entry}`);
+      if ((url.protocol === 'https:' || url.protocol === 'http:') && url.pathname === '/' && !url.search && !url.hash) {
+        addresses.push(url.origin);
+      } else {
+        invalid.push(entry);
+      }
+    } catch (e) {
+      invalid.push(entry);
+    }
   }
 
-  return {
-    valid: errors.length === 0,
-    errors
-  };
+  return { addresses: [...new Set(addresses)], invalid };
 }
@@ -0,0 +1,99 @@
+/**
+ * Votes
+ * Aggregates vote documents into per-release scores
+ */
+
+import { bytesToHex, decodeByteField, formatIdentifier } from './utils.js';
+
+/**
+ * Aggregate vote documents by infohash
+ * @param {object[]} docs - vote documents
+ * @param {string|null} identityId - Current identity, to pick out its own vote
+ * @returns {Map<string, { score: number, up: number, down: number, own: object|null }>}
+ *   Keyed by infohash hex; own is { documentId, value, revision } when the identity has voted
+ */
+export function aggregateVotes(docs, identityId = null) {
+  const scores = new Map();
+  const ownerId = identityId ? formatIdentifier(identityId) : null;
+
+  for (const doc of docs) {
+    const data = doc.data || doc;
+    const infoHash = decodeByteField(data.infoHash);
+    if (!infoHash || infoHash.length !== 20) continue;
+
+    const key = bytesToHex(infoHash);
+    if (!scores.has(key)) {
+      scores.set(key, emptyScore());
+    }
+
+    const entry = scores.get(key);
+    addVote(entry, data.value, 1);
+
+    if (ownerId && formatIdentifier(doc.$ownerId || doc.ownerId) === ownerId) {
+      entry.own = {
+        documentId: doc.$id || doc.id,
+        value: data.value,
+        revision: Number(doc.$revision || doc.revision || 1)
+      };
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Create an empty score entry
+ * @returns {{ score: number, up: number, down: number, own: object|null }}
+ */
+export function emptyScore() {
+  return { score: 0, up: 0, down: 0, own: null };
+}
+
+/**
+ * Add (sign 1) or remove (sign -1) a vote value from a score entry
+ * @param {object} entry - Score entry
+ * @param {number} value - Vote value (1, -1 or 0)
+ * @param {number} sign - 1 to add, -1 to remove
+ */
+function addVote(entry, value, sign) {
+  if (value === 1) entry.up += sign;
+  if (value === -1) entry.down += sign;
+  entry.score = entry.up - entry.down;
+}
+
+/**
+ * Update a score entry after the current identity voted
+ * @param {object} entry - Score entry (mutated)
+ * @param {number} value - New vote value
+ * @param {string} documentId - Vote document ID
+ */
+export function applyOwnVote(entry, value, documentId) {
+  if (entry.own) {
+    addVote(entry, entry.own.value, -1);
+  }
+  addVote(entry, value, 1);
+  entry.own = {
+    documentId,
+    value,
+    revision: entry.own ? entry.own.revision + 1 : 1
+  };
+}
+
+/**
+ * Sort documents by score, highest first; ties keep their index order
+ * @param {object[]} docs - Torrent documents
+ * @param {Map} scores - Result of aggregateVotes()
+ * @returns {object[]} New sorted array
+ */
+export function sortByScore(docs, scores) {
+  const scoreOf = doc => {
+    const infoHash = decodeByteField((doc.data || doc).infoHash);
+    const entry = infoHash ? scores.get(bytesToHex(infoHash)) : null;
+    return entry ? entry.score : 0;
+  };
+
+  return docs
+    .map((doc, index) => ({ doc, index, score: scoreOf(doc) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(item => item.doc);
+}